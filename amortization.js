@@ -0,0 +1,207 @@
+/**
+ * Loan Amortization
+ * Closed-form helpers plus a month-by-month schedule that supports prepayments
+ */
+
+/**
+ * Calculate monthly P&I payment using standard mortgage formula
+ * M = P * [r(1+r)^n] / [(1+r)^n - 1]
+ * @param {number} principal - Loan amount
+ * @param {number} annualRate - Annual interest rate in percent (e.g. 4.5)
+ * @param {number} years - Loan term in years
+ * @returns {number} Monthly payment
+ */
+export function calculateMonthlyPayment(principal, annualRate, years) {
+  if (annualRate === 0) {
+    return principal / (years * 12);
+  }
+  const monthlyRate = annualRate / 100 / 12;
+  const numPayments = years * 12;
+  const factor = Math.pow(1 + monthlyRate, numPayments);
+  return principal * (monthlyRate * factor) / (factor - 1);
+}
+
+/**
+ * Calculate remaining loan balance after N months using amortization formula
+ * @param {number} principal - Original loan amount
+ * @param {number} monthlyRate - Monthly interest rate (annual rate / 12 / 100)
+ * @param {number} totalMonths - Total loan term in months (typically 360 for 30-year)
+ * @param {number} monthsPaid - Number of months already paid
+ * @returns {number} Remaining balance
+ */
+export function calculateRemainingBalance(
+  principal,
+  monthlyRate,
+  totalMonths,
+  monthsPaid,
+) {
+  if (monthlyRate === 0) {
+    // Edge case: 0% interest
+    return principal - (principal / totalMonths) * monthsPaid;
+  }
+
+  // Standard amortization formula for remaining balance
+  // B = P * [(1+r)^n - (1+r)^p] / [(1+r)^n - 1]
+  // Where: P = principal, r = monthly rate, n = total months, p = months paid
+  const factor = Math.pow(1 + monthlyRate, totalMonths);
+  const paidFactor = Math.pow(1 + monthlyRate, monthsPaid);
+
+  const balance = (principal * (factor - paidFactor)) / (factor - 1);
+  return Math.max(0, balance);
+}
+
+/**
+ * Get months elapsed since loan origination
+ * @param {string} originDateStr - Loan origination date string
+ * @param {Date} [asOf] - Reference date (defaults to now)
+ * @returns {number} Months elapsed (payments made)
+ * Note: First payment is typically ~45 days after origination (skips a month)
+ * e.g., Loan originated 7/19/2022, first payment 9/1/2022
+ */
+export function getMonthsElapsed(originDateStr, asOf = new Date()) {
+  const originDate = new Date(originDateStr);
+  const months =
+    (asOf.getFullYear() - originDate.getFullYear()) * 12 +
+    (asOf.getMonth() - originDate.getMonth());
+  // Subtract 1 because first payment skips a month after origination
+  return Math.max(0, months - 1);
+}
+
+/**
+ * Calendar month of a given payment number (first day of that month).
+ * Payment 1 lands two months after origination, matching getMonthsElapsed.
+ * @param {string} originDateStr - Loan origination date string
+ * @param {number} paymentNumber - 1-based payment number
+ * @returns {Date}
+ */
+export function getPaymentDate(originDateStr, paymentNumber) {
+  const originDate = new Date(originDateStr);
+  return new Date(originDate.getFullYear(), originDate.getMonth() + paymentNumber + 1, 1);
+}
+
+/**
+ * Build a month-by-month amortization schedule.
+ *
+ * Extra principal only applies to payments after `startPayment` (i.e. from today on),
+ * since past prepayments are already reflected in what the user owes.
+ * Biweekly payments (26 half-payments a year) are modeled as one extra monthly
+ * payment per year, spread evenly as 1/12 of the payment each month.
+ *
+ * Rate changes (ARM resets or refinances) re-amortize the remaining balance at the new
+ * rate, over the new term if one is given, otherwise over the months left on the loan.
+ * Changes that fall after the loan is paid off are ignored.
+ * @param {Object} loan
+ * @param {number} loan.principal - Original loan amount
+ * @param {number} loan.annualRate - Annual interest rate in percent
+ * @param {number} loan.termMonths - Total loan term in months
+ * @param {number} [loan.startPayment=0] - Payments already made before prepayments begin
+ * @param {number} [loan.extraMonthly=0] - Recurring extra principal per month
+ * @param {Object[]} [loan.lumpSums=[]] - One-time paydowns: { month, amount }, month counted from startPayment (1 = next payment)
+ * @param {boolean} [loan.biweekly=false] - Pay half the payment every two weeks
+ * @param {Object[]} [loan.rateChanges=[]] - { month, rate, termMonths?, closingCosts?, cashOut? }, month counted like lumpSums
+ * @returns {{ payment: number, rows: Object[], totalInterest: number, payoffPayment: number }}
+ */
+export function buildAmortizationSchedule({
+  principal,
+  annualRate,
+  termMonths,
+  startPayment = 0,
+  extraMonthly = 0,
+  lumpSums = [],
+  biweekly = false,
+  rateChanges = [],
+}) {
+  const initialPayment = calculateMonthlyPayment(principal, annualRate, termMonths / 12);
+  let payment = initialPayment;
+  let rate = annualRate;
+  let lastPayment = termMonths;
+
+  const rows = [];
+  let balance = principal;
+  let totalInterest = 0;
+
+  for (let paymentNumber = 1; balance > 0.005 && paymentNumber <= lastPayment; paymentNumber++) {
+    // Rate changes take effect before this payment's interest accrues
+    let cashOut = 0;
+    let closingCosts = 0;
+    if (paymentNumber > startPayment) {
+      rateChanges
+        .filter((c) => c.month === paymentNumber - startPayment)
+        .forEach((change) => {
+          cashOut += change.cashOut || 0;
+          closingCosts += change.closingCosts || 0;
+          balance += change.cashOut || 0;
+          if (change.termMonths) {
+            lastPayment = paymentNumber - 1 + change.termMonths;
+          }
+          rate = change.rate;
+          payment = calculateMonthlyPayment(balance, rate, (lastPayment - paymentNumber + 1) / 12);
+        });
+    }
+
+    const monthlyRate = rate / 100 / 12;
+    const biweeklyExtra = biweekly ? payment / 12 : 0;
+    const interest = balance * monthlyRate;
+    // Last scheduled payment (or overpayment) just clears what's left
+    const scheduledPrincipal = Math.min(balance, payment - interest);
+    balance -= scheduledPrincipal;
+
+    let extraPrincipal = 0;
+    if (paymentNumber > startPayment) {
+      const monthFromStart = paymentNumber - startPayment;
+      const lumpSum = lumpSums
+        .filter((l) => l.month === monthFromStart)
+        .reduce((sum, l) => sum + l.amount, 0);
+      extraPrincipal = Math.min(balance, extraMonthly + biweeklyExtra + lumpSum);
+      balance -= extraPrincipal;
+    }
+
+    totalInterest += interest;
+    rows.push({
+      paymentNumber,
+      payment: interest + scheduledPrincipal,
+      interest,
+      principal: scheduledPrincipal,
+      extraPrincipal,
+      balance,
+      rate,
+      cashOut,
+      closingCosts,
+    });
+  }
+
+  return { payment: initialPayment, rows, totalInterest, payoffPayment: rows.length };
+}
+
+/**
+ * Balance remaining after a number of payments, read from a schedule
+ * @param {Object[]} rows - Schedule rows from buildAmortizationSchedule
+ * @param {number} principal - Original loan amount (balance before payment 1)
+ * @param {number} paymentsMade
+ * @returns {number}
+ */
+export function balanceAfter(rows, principal, paymentsMade) {
+  if (paymentsMade <= 0) return principal;
+  if (paymentsMade > rows.length) return 0;
+  return rows[paymentsMade - 1].balance;
+}
+
+/**
+ * Sum of scheduled P&I, extra principal and refinance cash flows over a range of payments
+ * @param {Object[]} rows - Schedule rows from buildAmortizationSchedule
+ * @param {number} fromPayment - Exclusive start (payments already made)
+ * @param {number} toPayment - Inclusive end
+ * @returns {{ payment: number, interest: number, principal: number, extraPrincipal: number, cashOut: number, closingCosts: number }}
+ */
+export function sumPayments(rows, fromPayment, toPayment) {
+  const totals = { payment: 0, interest: 0, principal: 0, extraPrincipal: 0, cashOut: 0, closingCosts: 0 };
+  rows.slice(Math.max(0, fromPayment), Math.max(0, toPayment)).forEach((row) => {
+    totals.payment += row.payment;
+    totals.interest += row.interest;
+    totals.principal += row.principal;
+    totals.extraPrincipal += row.extraPrincipal;
+    totals.cashOut += row.cashOut;
+    totals.closingCosts += row.closingCosts;
+  });
+  return totals;
+}
@@ -0,0 +1,131 @@
+/**
+ * Historical Backtest
+ * Replays the hold-vs-sell decision through actual past years, using bundled
+ * annual series in place of the assumed growth rates
+ */
+import { projectScenario } from "./engine.js";
+import { percentile } from "./simulation.js";
+
+// Calendar year of each series' first entry
+export const HISTORY_START = 1975;
+
+/**
+ * Annual % changes by calendar year from HISTORY_START (December over December):
+ * - homePrices: S&P CoreLogic Case-Shiller U.S. National Home Price Index, not seasonally
+ *   adjusted (Robert Shiller's national home price series before 1987). Approximate: to the
+ *   nearest 0.5 through 2020, rounded to 0.1 from 2021
+ * - stockReturns: S&P 500 total return with dividends reinvested, rounded to 0.1
+ * - cpi: BLS CPI-U, all items, U.S. city average, rounded to 0.1
+ * - rentCpi: BLS CPI-U rent of primary residence, rounded to 0.1
+ */
+export const HISTORY = {
+  homePrices: [
+    7.5, 8.0, 12.5, 13.5, 12.0, 7.0, 4.5, 1.5, 4.0, 4.0, // 1975-1984
+    5.5, 8.0, 7.5, 6.5, 4.5, -1.0, -0.5, 1.0, 2.0, 2.5, // 1985-1994
+    2.0, 2.5, 4.0, 6.0, 7.0, 9.0, 6.5, 9.5, 10.5, 13.5, // 1995-2004
+    13.5, 0.5, -5.5, -12.0, -3.5, -4.0, -4.0, 6.5, 11.0, 4.5, // 2005-2014
+    5.0, 5.5, 6.0, 4.5, 3.5, 10.5, 18.8, 5.8, 5.5, 3.9, // 2015-2024
+  ],
+  stockReturns: [
+    37.2, 23.8, -7.2, 6.6, 18.4, 32.4, -4.9, 21.6, 22.6, 6.3, // 1975-1984
+    31.7, 18.7, 5.3, 16.6, 31.7, -3.1, 30.5, 7.6, 10.1, 1.3, // 1985-1994
+    37.6, 23.0, 33.4, 28.6, 21.0, -9.1, -11.9, -22.1, 28.7, 10.9, // 1995-2004
+    4.9, 15.8, 5.5, -37.0, 26.5, 15.1, 2.1, 16.0, 32.4, 13.7, // 2005-2014
+    1.4, 12.0, 21.8, -4.4, 31.5, 18.4, 28.7, -18.1, 26.3, 25.0, // 2015-2024
+  ],
+  cpi: [
+    7.0, 4.8, 6.8, 9.0, 13.3, 12.5, 8.9, 3.8, 3.8, 3.9, // 1975-1984
+    3.8, 1.1, 4.4, 4.4, 4.6, 6.1, 3.1, 2.9, 2.7, 2.7, // 1985-1994
+    2.5, 3.3, 1.7, 1.6, 2.7, 3.4, 1.6, 2.4, 1.9, 3.3, // 1995-2004
+    3.4, 2.5, 4.1, 0.1, 2.7, 1.5, 3.0, 1.7, 1.5, 0.8, // 2005-2014
+    0.7, 2.1, 2.1, 1.9, 2.3, 1.4, 7.0, 6.5, 3.4, 2.9, // 2015-2024
+  ],
+  rentCpi: [
+    5.3, 5.5, 6.6, 7.3, 7.9, 9.6, 8.6, 6.9, 5.2, 6.1, // 1975-1984
+    6.5, 5.3, 4.0, 3.9, 3.8, 4.0, 3.3, 2.4, 2.3, 2.5, // 1985-1994
+    2.5, 2.7, 3.0, 3.4, 2.6, 3.8, 4.5, 3.1, 2.4, 2.6, // 1995-2004
+    2.9, 4.3, 3.8, 3.4, 0.9, 0.3, 1.9, 2.7, 2.9, 3.4, // 2005-2014
+    3.7, 3.8, 3.7, 3.6, 3.7, 2.9, 3.3, 8.3, 6.5, 4.3, // 2015-2024
+  ],
+};
+
+// Calendar year of each series' last entry
+export const HISTORY_END = HISTORY_START + HISTORY.cpi.length - 1;
+
+// Which series replaces each of the engine's assumed rates
+const RATE_SERIES = {
+  homeAppreciation: "homePrices",
+  investmentReturn: "stockReturns",
+  annualRentIncrease: "rentCpi",
+  costInflation: "cpi",
+};
+
+/**
+ * The engine's ratePaths for a hold starting in a calendar year: hold year 1 gets that
+ * year's change, hold year 2 the next year's, and so on
+ * @param {number} startYear - Calendar year of hold year 1
+ * @param {number} years - Hold years to fill
+ * @returns {Object} ratePaths (arrays indexed by hold year; index 0 unused)
+ */
+export function historicalRatePaths(startYear, years) {
+  const ratePaths = {};
+  for (const [key, series] of Object.entries(RATE_SERIES)) {
+    ratePaths[key] = [null];
+    for (let year = 1; year <= years; year++) {
+      ratePaths[key].push(HISTORY[series][startYear - HISTORY_START + year - 1]);
+    }
+  }
+  return ratePaths;
+}
+
+/**
+ * Start years with history for every year of the hold
+ * @param {number} years - Years to hold
+ * @returns {number[]} Ascending (empty if the hold is longer than the history)
+ */
+export function backtestStartYears(years) {
+  const starts = [];
+  for (let year = HISTORY_START; year + years - 1 <= HISTORY_END; year++) starts.push(year);
+  return starts;
+}
+
+/**
+ * Project the scenario as if the hold had started in a past year
+ * @param {Object} params - projectScenario params (its growth rates are replaced)
+ * @param {number} startYear - Calendar year of hold year 1
+ * @returns {Object} { startYear, yearlyData, difference } with difference the final-year Rent - Sell
+ */
+export function runBacktest(params, startYear) {
+  const yearlyData = projectScenario({ ...params, ratePaths: historicalRatePaths(startYear, params.yearsToHold) });
+  const finalYear = yearlyData[yearlyData.length - 1];
+  return { startYear, yearlyData, difference: finalYear.simpleRentalNetWorth - finalYear.sellYear0Total };
+}
+
+/**
+ * Backtest every start year the history covers and summarize how holding fared
+ * @param {Object} params - projectScenario params
+ * @returns {Object} {
+ *   runs: [{ startYear, difference }], // final-year Rent - Sell, by start year
+ *   rentWins, rentWinRate,             // count and share (0-1) of start years where holding won
+ *   medianDifference,
+ *   best, worst                        // runs with the largest and smallest difference
+ * } (medianDifference, best and worst are null when no start year fits)
+ */
+export function sweepBacktest(params) {
+  const runs = backtestStartYears(params.yearsToHold).map((startYear) => {
+    const { difference } = runBacktest(params, startYear);
+    return { startYear, difference };
+  });
+  const sorted = runs.map((run) => run.difference).sort((a, b) => a - b);
+  const rentWins = runs.filter((run) => run.difference > 0).length;
+  const byDifference = [...runs].sort((a, b) => b.difference - a.difference);
+
+  return {
+    runs,
+    rentWins,
+    rentWinRate: runs.length > 0 ? rentWins / runs.length : 0,
+    medianDifference: runs.length > 0 ? percentile(sorted, 50) : null,
+    best: byDifference[0] ?? null,
+    worst: byDifference[byDifference.length - 1] ?? null,
+  };
+}
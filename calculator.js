@@ -1,9 +1,41 @@
 /**
  * Rent vs Sell Calculator
  * All calculations are done client-side for instant updates
+ * UI layer: reads the DOM inputs, runs the engine, renders chart/table/summary
  */
-(function() {
-"use strict";
+import {
+  calculateMonthlyPayment,
+  findCrossovers,
+  holdYearFor,
+  inTodaysDollars,
+  monthsFromToday,
+  presentValue,
+  projectLoan,
+  projectMonths,
+  projectScenario,
+} from "./engine.js";
+import { getPaymentDate } from "./amortization.js";
+import { runSimulation } from "./simulation.js";
+import { HISTORY_END, HISTORY_START, backtestStartYears, runBacktest, sweepBacktest } from "./backtest.js";
+import { sweepExitYears } from "./exit-year.js";
+import { MAX_DEBT_TO_INCOME, RENT_INCOME_SHARE, compareNextHome } from "./next-home.js";
+import {
+  GOAL_SEEK_KEYS,
+  SENSITIVITY_KEYS,
+  breakevenSegments,
+  linspace,
+  runHeatmap,
+  runTornado,
+  solveBreakeven,
+} from "./sensitivity.js";
+import { calculateMetrics } from "./metrics.js";
+import { assumptionWarnings, checkNumber } from "./validation.js";
+import { STATE_PROFILES } from "./tax-profiles.js";
+import { CURRENCIES, DEFAULT_LOCALE, LOCALES, currencySymbol, formatLocaleInput, parseLocaleNumber, translate } from "./locale.js";
+import { buildPDF, buildXlsx, projectionRows, toCSV } from "./export.js";
+import { SCENARIO_FIELDS, SCHEMA_VERSION, createScenarioFile, migrateValues, parseScenarioFile } from "./schema.js";
+import { MAX_COMPARED, deleteScenario, differingKeys, loadScenarios, saveScenario, setCompared } from "./scenarios.js";
+import { combinePortfolio, loadPortfolio, removeProperty, saveProperty } from "./portfolio.js";
 
 /**
  * Simple debounce utility to prevent excessive recalculations
@@ -21,13 +53,21 @@ function debounce(fn, delay) {
 
 // DOM Elements
 const inputs = {
+  locale: document.getElementById("locale"),
+  currency: document.getElementById("currency"),
   purchasePrice: document.getElementById("purchasePrice"),
+  purchaseClosingCosts: document.getElementById("purchaseClosingCosts"),
+  improvementLedger: document.getElementById("improvementLedger"), // Hidden, serialized by the improvements list
   loanOriginDate: document.getElementById("loanOriginDate"),
   originalLoanAmount: document.getElementById("originalLoanAmount"),
   interestRate: document.getElementById("interestRate"),
   mortgageTerm: document.getElementById("mortgageTerm"),
   monthlyPI: document.getElementById("monthlyPI"),
   primaryResidence: document.getElementById("primaryResidence"),
+  filingStatus: document.getElementById("filingStatus"),
+  moveInDate: document.getElementById("moveInDate"),
+  moveOutDate: document.getElementById("moveOutDate"),
+  unforeseenCircumstances: document.getElementById("unforeseenCircumstances"),
   currentHomeValue: document.getElementById("currentHomeValue"),
   monthlyHOA: document.getElementById("monthlyHOA"),
   monthlyTaxes: document.getElementById("monthlyTaxes"),
@@ -35,39 +75,147 @@ const inputs = {
   monthlyMaintenance: document.getElementById("monthlyMaintenance"),
   rentalPrice: document.getElementById("rentalPrice"),
   annualRentIncrease: document.getElementById("annualRentIncrease"),
+  leaseRenewalMonth: document.getElementById("leaseRenewalMonth"),
   propertyMgmtFee: document.getElementById("propertyMgmtFee"),
+  ownerLocation: document.getElementById("ownerLocation"),
   rentalTaxRate: document.getElementById("rentalTaxRate"),
+  landValuePercent: document.getElementById("landValuePercent"),
+  vacancyRate: document.getElementById("vacancyRate"),
+  turnoverEveryYears: document.getElementById("turnoverEveryYears"),
+  turnoverVacantMonths: document.getElementById("turnoverVacantMonths"),
+  turnoverCosts: document.getElementById("turnoverCosts"),
+  capitalExpenditures: document.getElementById("capitalExpenditures"), // Hidden, serialized by the capex list
   homeAppreciation: document.getElementById("homeAppreciation"),
   costInflation: document.getElementById("costInflation"),
   sellingFees: document.getElementById("sellingFees"),
+  transferTaxRate: document.getElementById("transferTaxRate"),
+  sellingTitleFees: document.getElementById("sellingTitleFees"),
+  sellerConcessions: document.getElementById("sellerConcessions"),
   capitalGainsTax: document.getElementById("capitalGainsTax"),
+  taxMode: document.getElementById("taxMode"),
+  otherIncome: document.getElementById("otherIncome"),
+  taxState: document.getElementById("taxState"),
   investmentReturn: document.getElementById("investmentReturn"),
+  reinvestCashFlow: document.getElementById("reinvestCashFlow"),
+  exitStrategy: document.getElementById("exitStrategy"),
   yearsToHold: document.getElementById("yearsToHold"),
+  saleMonth: document.getElementById("saleMonth"),
+  extraPrincipal: document.getElementById("extraPrincipal"),
+  paymentFrequency: document.getElementById("paymentFrequency"),
+  lumpSumAmount: document.getElementById("lumpSumAmount"),
+  lumpSumMonth: document.getElementById("lumpSumMonth"),
+  rateChanges: document.getElementById("rateChanges"), // Hidden, serialized by the rate change list
+  simulationMode: document.getElementById("simulationMode"),
+  simulationPaths: document.getElementById("simulationPaths"),
+  homeAppreciationVol: document.getElementById("homeAppreciationVol"),
+  investmentReturnVol: document.getElementById("investmentReturnVol"),
+  annualRentIncreaseVol: document.getElementById("annualRentIncreaseVol"),
+  costInflationVol: document.getElementById("costInflationVol"),
+  discountRate: document.getElementById("discountRate"),
+  nextHomePrice: document.getElementById("nextHomePrice"),
+  nextHomeRate: document.getElementById("nextHomeRate"),
+  nextHomeTerm: document.getElementById("nextHomeTerm"),
+  nextHomeProceedsShare: document.getElementById("nextHomeProceedsShare"),
+  nextHomeSavings: document.getElementById("nextHomeSavings"),
+  nextHomePmiRate: document.getElementById("nextHomePmiRate"),
+  nextHomeIncome: document.getElementById("nextHomeIncome"),
+  nextHomeDebts: document.getElementById("nextHomeDebts"),
+  goalSeekKey: document.getElementById("goalSeekKey"),
+  goalSeekTarget: document.getElementById("goalSeekTarget"),
+  goalSeekYear: document.getElementById("goalSeekYear"),
+  backtestStart: document.getElementById("backtestStart"),
+  resolution: document.getElementById("resolution"),
+  dollarBasis: document.getElementById("dollarBasis"),
+  realDollarRate: document.getElementById("realDollarRate"),
+  sensitivitySwing: document.getElementById("sensitivitySwing"),
+  heatmapX: document.getElementById("heatmapX"),
+  heatmapXMin: document.getElementById("heatmapXMin"),
+  heatmapXMax: document.getElementById("heatmapXMax"),
+  heatmapY: document.getElementById("heatmapY"),
+  heatmapYMin: document.getElementById("heatmapYMin"),
+  heatmapYMax: document.getElementById("heatmapYMax"),
 };
 
-let chart = null;
-let currentYearlyData = null; // Store current data for tooltip access
+let activeLocale = DEFAULT_LOCALE; // Locale the number inputs are currently written in
 
-/**
- * Calculate monthly P&I payment using standard mortgage formula
- * M = P * [r(1+r)^n] / [(1+r)^n - 1]
- */
-function calculateMonthlyPayment(principal, annualRate, years) {
-  if (annualRate === 0) {
-    return principal / (years * 12);
-  }
-  const monthlyRate = annualRate / 100 / 12;
-  const numPayments = years * 12;
-  const factor = Math.pow(1 + monthlyRate, numPayments);
-  return principal * (monthlyRate * factor) / (factor - 1);
+// Heatmap axis choices: every sensitivity input, labeled like its form field
+[inputs.heatmapX, inputs.heatmapY].forEach((select) => {
+  SENSITIVITY_KEYS.forEach((key) => {
+    const option = document.createElement("option");
+    option.value = key;
+    option.textContent = labelFor(key);
+    select.appendChild(option);
+  });
+});
+inputs.heatmapX.value = "homeAppreciation";
+inputs.heatmapY.value = "investmentReturn";
+
+// Goal seek choices: every solvable input, labeled like its form field
+GOAL_SEEK_KEYS.forEach((key) => {
+  const option = document.createElement("option");
+  option.value = key;
+  option.textContent = labelFor(key);
+  inputs.goalSeekKey.appendChild(option);
+});
+
+// Backtest start years: every year of the bundled history
+for (let year = HISTORY_START; year <= HISTORY_END; year++) {
+  const option = document.createElement("option");
+  option.value = year;
+  option.textContent = year;
+  inputs.backtestStart.appendChild(option);
 }
 
+// State choices from the bundled tax profiles
+Object.entries(STATE_PROFILES).forEach(([key, profile]) => {
+  const option = document.createElement("option");
+  option.value = key;
+  option.textContent = profile.name;
+  inputs.taxState.appendChild(option);
+});
+inputs.taxState.value = "none";
+
+// Locale and currency choices
+Object.entries(LOCALES).forEach(([key, locale]) => {
+  const option = document.createElement("option");
+  option.value = key;
+  option.textContent = locale.name;
+  inputs.locale.appendChild(option);
+});
+inputs.locale.value = DEFAULT_LOCALE;
+Object.entries(CURRENCIES).forEach(([code, name]) => {
+  const option = document.createElement("option");
+  option.value = code;
+  option.textContent = `${code} (${name})`;
+  inputs.currency.appendChild(option);
+});
+inputs.currency.value = LOCALES[DEFAULT_LOCALE].currency;
+
+let chart = null;
+let currentYearlyData = null; // Store current data for tooltip access
+let currentMonthlyData = null; // The same projection month by month, for the monthly view and crossovers
+let currentChartRows = []; // Rows behind each chart point (yearly or monthly), for tooltips
+let currentEventRows = []; // Yearly rows at their chart points, for the event marker tooltips
+let currentCrossovers = []; // Where the rent and sell lines cross, for the chart markers
+let currentLoan = null; // Store current loan projection for the schedule toggle
+let currentSimulation = null; // Latest Monte Carlo result (null when simulation is off)
+let currentParams = null; // Params behind the current results, for the sensitivity toggle
+let currentValues = null; // Validated input values behind the current results
+let currentWarnings = []; // Described cross-input warnings, listed above the summary
+let tornadoChart = null;
+let tornadoData = null; // Current tornado result for tooltip access
+let heatmapAxes = { x: null, y: null }; // Axis keys the heatmap ranges were filled for
+let comparisons = []; // Compared saved scenarios with their projections
+let portfolioChart = null;
+let exitYearChart = null;
+let backtestChart = null;
+
 /**
  * Update the displayed monthly payment
  */
 function updateMonthlyPaymentDisplay() {
-  const loanAmount = parseFloat(inputs.originalLoanAmount.value) || 0;
-  const interestRate = parseFloat(inputs.interestRate.value) || 0;
+  const loanAmount = validNumber("originalLoanAmount") || 0;
+  const interestRate = validNumber("interestRate") || 0;
   const term = parseInt(inputs.mortgageTerm.value) || 30;
   
   const monthlyPayment = calculateMonthlyPayment(loanAmount, interestRate, term);
@@ -76,6 +224,79 @@ function updateMonthlyPaymentDisplay() {
   return monthlyPayment;
 }
 
+// Static text translated with the locale: headings, labels, table columns, buttons, choices
+// and notes. Each element keeps its U.S. English text (the translation key) in data-text.
+const LOCALIZED_TEXT = "h1, h2, h3, label, th, button, option, .chart-note";
+
+/**
+ * Swap the "$" in a label's unit for the chosen currency's symbol ("Monthly Rent (£)")
+ * @param {string} text
+ * @returns {string}
+ */
+function withCurrency(text) {
+  return text.replace("($", `(${currencySymbol(activeLocale, inputs.currency.value)}`);
+}
+
+/**
+ * Translate the page's static text, tooltips and placeholders into the chosen locale
+ */
+function applyLocaleText() {
+  document.documentElement.lang = activeLocale;
+  document.querySelectorAll(LOCALIZED_TEXT).forEach((el) => {
+    if (el.children.length > 0) return; // Labels wrapping a control are translated when built
+    if (el.dataset.text === undefined) el.dataset.text = el.textContent;
+    el.textContent = withCurrency(t(el.dataset.text));
+  });
+  document.querySelectorAll("[title]").forEach((el) => {
+    if (el.dataset.title === undefined) el.dataset.title = el.title;
+    el.title = t(el.dataset.title);
+  });
+  document.querySelectorAll("input[placeholder]").forEach((el) => {
+    if (el.dataset.placeholder === undefined) el.dataset.placeholder = el.placeholder;
+    el.placeholder = t(el.dataset.placeholder);
+  });
+
+  // Numbered choices are written out rather than looked up
+  [...inputs.mortgageTerm.options, ...inputs.nextHomeTerm.options].forEach((option) => {
+    option.textContent = t("{years} years", { years: option.value });
+  });
+  Array.from(inputs.saleMonth.options).forEach((option) => {
+    option.textContent = option.value === "12" ? t("Month 12 (year end)") : t("Month {month}", { month: option.value });
+  });
+  Array.from(inputs.leaseRenewalMonth.options).forEach((option) => {
+    if (!option.value) return; // "Start of each hold year"
+    const name = new Date(2000, option.value - 1, 1).toLocaleDateString(activeLocale, { month: "long" });
+    option.textContent = name[0].toUpperCase() + name.slice(1);
+  });
+}
+
+/**
+ * Switch the locale number inputs are written in: rewrite every number in the new
+ * format, then rebuild the lists and text that were written in the old one
+ * @param {string} locale
+ */
+function switchLocale(locale) {
+  const values = readInputValues();
+  activeLocale = LOCALES[locale] ? locale : DEFAULT_LOCALE;
+  applyInputValues({ ...values, locale: activeLocale });
+  renderRateChanges();
+  renderCapitalExpenditures();
+  renderImprovementLedger();
+  refreshScenarios();
+  updatePortfolio();
+}
+
+// Registered before the recalculation listeners below, so numbers are read in the new locale.
+// A new locale starts with its own currency.
+inputs.locale.addEventListener("change", () => {
+  inputs.currency.value = LOCALES[inputs.locale.value].currency;
+  switchLocale(inputs.locale.value);
+});
+inputs.currency.addEventListener("change", () => {
+  applyLocaleText();
+  updatePortfolio();
+});
+
 // Debounced calculate function (100ms delay prevents excessive recalcs during typing)
 const debouncedCalculate = debounce(calculate, 100);
 
@@ -121,530 +342,2539 @@ Object.values(inputs).forEach((input) => {
 });
 
 /**
- * Calculate remaining loan balance after N months using amortization formula
- * @param {number} principal - Original loan amount
- * @param {number} monthlyRate - Monthly interest rate (annual rate / 12 / 100)
- * @param {number} totalMonths - Total loan term in months (typically 360 for 30-year)
- * @param {number} monthsPaid - Number of months already paid
- * @returns {number} Remaining balance
- */
-function calculateRemainingBalance(
-  principal,
-  monthlyRate,
-  totalMonths,
-  monthsPaid,
-) {
-  if (monthlyRate === 0) {
-    // Edge case: 0% interest
-    return principal - (principal / totalMonths) * monthsPaid;
-  }
+ * Format number as currency
+ * @param {number} value
+ * @param {string} [basis] - Which dollars these are (e.g. "today's $"), added in parentheses
+ * @returns {string}
+ */
+function formatCurrency(value, basis) {
+  const text = new Intl.NumberFormat(activeLocale, {
+    style: "currency",
+    currency: inputs.currency.value,
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 0,
+  }).format(value);
+  return basis ? `${text} (${basis})` : text;
+}
 
-  // Standard amortization formula for remaining balance
-  // B = P * [(1+r)^n - (1+r)^p] / [(1+r)^n - 1]
-  // Where: P = principal, r = monthly rate, n = total months, p = months paid
-  const factor = Math.pow(1 + monthlyRate, totalMonths);
-  const paidFactor = Math.pow(1 + monthlyRate, monthsPaid);
+/**
+ * Format a 0-1 share as a whole percentage
+ * @param {number} value
+ * @returns {string}
+ */
+function formatPercent(value) {
+  return new Intl.NumberFormat(activeLocale, { style: "percent", maximumFractionDigits: 0 }).format(value);
+}
 
-  const balance = (principal * (factor - paidFactor)) / (factor - 1);
-  return Math.max(0, balance);
+/**
+ * Format a percentage (already in percent) with one decimal, or a dash if missing
+ * @param {number|null} value
+ * @returns {string}
+ */
+function formatRate(value) {
+  if (value === null) return "—";
+  return new Intl.NumberFormat(activeLocale, {
+    style: "percent",
+    minimumFractionDigits: 1,
+    maximumFractionDigits: 1,
+  }).format(value / 100);
 }
 
 /**
- * Get months elapsed since loan origination
- * @param {string} originDateStr - Loan origination date string
- * @returns {number} Months elapsed (payments made)
- * Note: First payment is typically ~45 days after origination (skips a month)
- * e.g., Loan originated 7/19/2022, first payment 9/1/2022
+ * Format a date as a short month and year (e.g. "Mar 2053")
+ * @param {Date} date
+ * @returns {string}
  */
-function getMonthsElapsed(originDateStr) {
-  const originDate = new Date(originDateStr);
-  const now = new Date();
-  const months =
-    (now.getFullYear() - originDate.getFullYear()) * 12 +
-    (now.getMonth() - originDate.getMonth());
-  // Subtract 1 because first payment skips a month after origination
-  return Math.max(0, months - 1);
+function formatMonth(date) {
+  return date.toLocaleDateString(activeLocale, { month: "short", year: "numeric" });
 }
 
 /**
- * Format number as currency
- * @param {number} value
+ * Visible label text for an input (e.g. "Home Appreciation (%)")
+ * @param {string} id - Input id
  * @returns {string}
  */
-function formatCurrency(value) {
-  return new Intl.NumberFormat("en-US", {
-    style: "currency",
-    currency: "USD",
-    minimumFractionDigits: 0,
-    maximumFractionDigits: 0,
-  }).format(value);
+function labelFor(id) {
+  const label = document.querySelector(`label[for="${id}"]`);
+  if (label) return label.textContent.trim();
+  return (inputs[id] && inputs[id].dataset.label) || id;
 }
 
 /**
- * Silently clamp a numeric input to a valid range.
- * Writes the clamped value back to the input element.
- * @param {HTMLInputElement} input - The input element
- * @param {number} min - Minimum allowed value
- * @param {number} max - Maximum allowed value
- * @param {boolean} isInt - Whether to parse as integer
- * @returns {number} The clamped value
+ * What an input is entered in, from its U.S. English label: "$", "%", or "" for a plain number
+ * @param {string} id - Input id
+ * @returns {string}
  */
-function clampInput(input, min, max, isInt = false) {
-  let val = isInt ? parseInt(input.value) : parseFloat(input.value);
-  if (isNaN(val)) val = min;
-  val = Math.min(max, Math.max(min, val));
-  if (input.value !== "" && parseFloat(input.value) !== val) {
-    input.value = val;
-  }
-  return val;
+function inputUnit(id) {
+  const label = document.querySelector(`label[for="${id}"]`);
+  const text = label ? label.dataset.text ?? label.textContent : "";
+  if (text.includes("($)")) return "$";
+  if (text.includes("(%)")) return "%";
+  return "";
 }
 
 /**
- * Validate and clamp all inputs to sensible ranges.
- * Called at the start of each calculation cycle.
+ * Format an input value for display in chart labels (up to 2 decimals)
+ * @param {number} value
+ * @returns {string}
  */
-function validateInputs() {
-  clampInput(inputs.purchasePrice, 0, Infinity);
-  clampInput(inputs.originalLoanAmount, 0, Infinity);
-  clampInput(inputs.interestRate, 0, 30);
-  clampInput(inputs.currentHomeValue, 0, Infinity);
-  clampInput(inputs.monthlyHOA, 0, Infinity);
-  clampInput(inputs.monthlyTaxes, 0, Infinity);
-  clampInput(inputs.monthlyInsurance, 0, Infinity);
-  clampInput(inputs.monthlyMaintenance, 0, Infinity);
-  clampInput(inputs.rentalPrice, 0, Infinity);
-  clampInput(inputs.annualRentIncrease, 0, 20);
-  clampInput(inputs.propertyMgmtFee, 0, 100);
-  clampInput(inputs.rentalTaxRate, 0, 100);
-  clampInput(inputs.homeAppreciation, -20, 30);
-  clampInput(inputs.costInflation, 0, 20);
-  clampInput(inputs.sellingFees, 0, 100);
-  clampInput(inputs.capitalGainsTax, 0, 100);
-  clampInput(inputs.investmentReturn, -50, 50);
-  clampInput(inputs.yearsToHold, 1, 30, true);
-
-  // Validate loan origination date: must be a valid date not in the future
-  const dateVal = inputs.loanOriginDate.value;
-  const parsed = new Date(dateVal);
-  if (!dateVal || isNaN(parsed.getTime()) || parsed > new Date()) {
-    inputs.loanOriginDate.value = new Date().toISOString().split("T")[0];
-  }
+function formatNumber(value) {
+  return value.toLocaleString(activeLocale, { maximumFractionDigits: 2 });
 }
 
 /**
- * Main calculation function
+ * Format a number with a fixed number of decimals (e.g. a 1.25× coverage ratio)
+ * @param {number} value
+ * @param {number} digits
+ * @returns {string}
  */
-function calculate() {
-  // Validate all inputs first (silent clamping)
-  validateInputs();
+function formatDecimal(value, digits) {
+  return value.toLocaleString(activeLocale, { minimumFractionDigits: digits, maximumFractionDigits: digits });
+}
 
-  // Update the displayed monthly payment first
-  const monthlyPI = updateMonthlyPaymentDisplay();
-  
-  // Get all input values (now guaranteed to be valid after validation)
-  const purchasePrice = parseFloat(inputs.purchasePrice.value) || 0;
-  const loanOriginDate = inputs.loanOriginDate.value;
-  const originalLoanAmount = parseFloat(inputs.originalLoanAmount.value) || 0;
-  const interestRate = parseFloat(inputs.interestRate.value) || 0;
-  const mortgageTerm = parseInt(inputs.mortgageTerm.value) || 30;
-  const currentHomeValue = parseFloat(inputs.currentHomeValue.value) || 0;
-  const monthlyHOA = parseFloat(inputs.monthlyHOA.value) || 0;
-  const monthlyTaxes = parseFloat(inputs.monthlyTaxes.value) || 0;
-  const monthlyInsurance = parseFloat(inputs.monthlyInsurance.value) || 0;
-  const monthlyMaintenance = parseFloat(inputs.monthlyMaintenance.value) || 0;
-  const rentalPrice = parseFloat(inputs.rentalPrice.value) || 0;
-  const annualRentIncrease = parseFloat(inputs.annualRentIncrease.value) || 0;
-  const propertyMgmtFee = parseFloat(inputs.propertyMgmtFee.value) || 0;
-  const rentalTaxRate = parseFloat(inputs.rentalTaxRate.value) || 0;
-  const homeAppreciation = parseFloat(inputs.homeAppreciation.value) || 0;
-  const costInflation = parseFloat(inputs.costInflation.value) || 0;
-  const sellingFees = parseFloat(inputs.sellingFees.value) || 0;
-  const capitalGainsTax = parseFloat(inputs.capitalGainsTax.value) || 0;
-  const investmentReturn = parseFloat(inputs.investmentReturn.value) || 0;
-  const yearsToHold = parseInt(inputs.yearsToHold.value) || 10;
-  const isPrimaryResidence = inputs.primaryResidence.value === "yes";
-
-  // Derived values
-  const monthlyRate = interestRate / 100 / 12;
-  const totalLoanMonths = mortgageTerm * 12; // Use selected mortgage term
-  const monthsElapsed = getMonthsElapsed(loanOriginDate);
-
-  // Monthly PITI (P&I is fixed, but taxes/insurance inflate over time)
-  // We'll calculate year-specific costs in the loop
-
-// Results storage
-  const yearlyData = [];
-
-  // Cumulative tracking for rental scenario
-  let cumulativeRentalCashFlow = 0;
-
-  // Calculate for each year
-  let sellYear0Baseline = 0;
-  for (let year = 0; year <= yearsToHold; year++) {
-    const futureMonthsElapsed = monthsElapsed + year * 12;
-
-    // --- PROPERTY VALUES ---
-    // Home value: Year 0 uses user-provided current value, future years apply appreciation
-    const homeValue =
-      currentHomeValue * Math.pow(1 + homeAppreciation / 100, year);
-
-    // Loan balance at this year
-    const loanBalance = calculateRemainingBalance(
-      originalLoanAmount,
-      monthlyRate,
-      totalLoanMonths,
-      futureMonthsElapsed,
-    );
-
-    // Equity
-    const equity = homeValue - loanBalance;
-
-    // --- RENTAL SCENARIO (for this specific year) ---
-    // Rent at this year (with annual increases from now)
-    // Delay rent increase by 1 year (Year 1 is same as input rent, Year 2 is +increase)
-    const rentGrowthExponent = Math.max(0, year - 1);
-    const currentRent =
-      rentalPrice * Math.pow(1 + annualRentIncrease / 100, rentGrowthExponent);
-    const annualRentalIncome = currentRent * 12;
-
-    // Property management fee
-    const annualMgmtFee = annualRentalIncome * (propertyMgmtFee / 100);
-
-    // Annual expenses with inflation applied to non-fixed costs
-    // P&I payment is fixed, but taxes, insurance, HOA, and maintenance inflate
-    const inflationFactor = Math.pow(1 + costInflation / 100, year);
-    const inflatedTaxes = monthlyTaxes * inflationFactor;
-    const inflatedInsurance = monthlyInsurance * inflationFactor;
-    const inflatedHOA = monthlyHOA * inflationFactor;
-    const inflatedMaintenance = monthlyMaintenance * inflationFactor;
-    const monthlyOwnershipCost = monthlyPI + inflatedTaxes + inflatedInsurance + inflatedHOA + inflatedMaintenance;
-    const annualOwnershipCosts = monthlyOwnershipCost * 12;
-
-    // Gross rental profit before tax
-    const grossRentalProfit =
-      annualRentalIncome - annualMgmtFee - annualOwnershipCosts;
-
-    // Tax on rental profit (only if positive)
-    const rentalTax =
-      grossRentalProfit > 0 ? grossRentalProfit * (rentalTaxRate / 100) : 0;
-
-    // Net cash flow from rental this year
-    const netRentalCashFlow = grossRentalProfit - rentalTax;
-
-    // For year 0, as per user request, we do not count any cash flow 
-    // because that is the starting point/decision point
-    const yearCashFlow = year === 0 ? 0 : netRentalCashFlow;
-
-    // Update cumulative cash flow (add this year's total cash flow)
-    cumulativeRentalCashFlow += yearCashFlow;
-
-    // --- SALE SCENARIO ---
-    // Selling costs (Removed prep costs per user request)
-    const sellingCosts = homeValue * (sellingFees / 100);
-
-    // Net proceeds before capital gains
-    const netSaleProceeds = homeValue - loanBalance - sellingCosts;
-
-    // Capital gains calculation
-    const capitalGain = homeValue - purchasePrice; // Simplified: not accounting for improvements
-
-    // Capital gains tax exemption for primary residence (IRS Section 121)
-    // - Must have lived in home 2 of last 5 years to qualify
-    // - Exemption is $250k single / $500k married filing jointly
-    // - We use year <= 3 as proxy for "still qualifies" and assume MFJ ($500k cap)
-    let capitalGainsTaxOwed = 0;
-    
-    // Check if underwater on the sale transaction itself
-    const isUnderwater = netSaleProceeds < 0;
-    // IRS exemption cap (assumes married filing jointly)
-    const PRIMARY_RESIDENCE_EXEMPTION_CAP = 500000;
-
-    if (capitalGain > 0) {
-      if (isUnderwater) {
-        // No cash to pay taxes, simplified assumption
-        capitalGainsTaxOwed = 0;
-      } else if (isPrimaryResidence && year <= 3) {
-        // Primary Residence Exclusion applies, but only up to the cap
-        const taxableGain = Math.max(0, capitalGain - PRIMARY_RESIDENCE_EXEMPTION_CAP);
-        capitalGainsTaxOwed = taxableGain * (capitalGainsTax / 100);
-      } else {
-        // No exemption - tax the full gain
-        capitalGainsTaxOwed = capitalGain * (capitalGainsTax / 100);
-      }
-    }
-    // Net after-tax sale proceeds
-    const netAfterTaxProceeds = netSaleProceeds - capitalGainsTaxOwed;
-
-    // If we sell now and invest the proceeds, how much do we have at end of analysis period?
-    // Only apply investment growth if proceeds are positive (can't invest a loss)
-    const yearsToInvest = yearsToHold - year;
-    const investedValue = netAfterTaxProceeds > 0
-      ? netAfterTaxProceeds * Math.pow(1 + investmentReturn / 100, yearsToInvest)
-      : netAfterTaxProceeds; // Keep the loss as-is, no "growth"
-
-    // Capture Year 0 Baseline for Chart Comparison
-    if (year === 0) {
-        sellYear0Baseline = netAfterTaxProceeds;
-    }
+/**
+ * Translate a UI string into the chosen locale
+ * @param {string} text - U.S. English text
+ * @param {Object} [values] - Placeholder name → value
+ * @returns {string}
+ */
+function t(text, values) {
+  return translate(text, activeLocale, values);
+}
 
-    // Calculate "Sell Year 0 Invested" for Chart
-    // User Rule: If Year 0 Proceeds (Baseline) is positive, grow it by investment return.
-    // If negative, show that negative value forever (no growth/debt interest).
-    const sellYear0Total = sellYear0Baseline > 0 
-        ? sellYear0Baseline * Math.pow(1 + investmentReturn / 100, year) 
-        : sellYear0Baseline;
-
-    // Simple Net Worth (Net Proceeds + Actual Cash Flow) - requested by user for table
-    // User Update (Feb 2026): If Year 0 and we have positive proceeds, show $0 (don't show the cash out value).
-    // If Year 0 and negative (underwater), show the negative value.
-    let simpleRentalNetWorth = netAfterTaxProceeds + cumulativeRentalCashFlow;
-    if (year === 0 && netAfterTaxProceeds > 0) {
-        simpleRentalNetWorth = 0;
-    }
+/**
+ * Whether an input holds a number typed in the locale's format
+ * @param {HTMLElement} el
+ * @returns {boolean}
+ */
+function isNumberInput(el) {
+  return el.getAttribute("inputmode") === "decimal";
+}
 
-    // For the SELL scenario, we want to compare apples to apples
-    // The "sell now" value should show what you'd have at the END of the analysis period
-    // if you sold at year X and invested the proceeds
-
-    // Also need to account for positive rental cash flow that could have been invested
-    // if you chose to rent for these years first then sell
-
-    // Store year data (only properties used by live UI code)
-    yearlyData.push({
-      year,
-      homeValue,
-      loanBalance,
-      equity,
-      // Rental scenario
-      netRentalCashFlow: yearCashFlow,
-      cumulativeRentalCashFlow: year === 0 ? 0 : cumulativeRentalCashFlow,
-      simpleRentalNetWorth,
-      // Sale scenario
-      sellingCosts,
-      capitalGainsTaxOwed,
-      netAfterTaxProceeds,
-      sellYear0Total, // For chart
-      // Comparison
-      betterOption: simpleRentalNetWorth > sellYear0Total ? "rent" : "sell",
-      monthlyBreakdown: {
-        rent: year === 0 ? 0 : currentRent,
-        expenses: year === 0 ? 0 : monthlyOwnershipCost + (annualMgmtFee / 12)
-      }
-    });
-  }
+/**
+ * Read a number input in the chosen locale's format
+ * @param {HTMLInputElement} input
+ * @returns {number} NaN if blank or not a number
+ */
+function numberOf(input) {
+  return parseLocaleNumber(input.value, activeLocale);
+}
 
-  // Update UI
-  updateChart(yearlyData);
-  updateTable(yearlyData);
-  updateSummary(yearlyData);
+/**
+ * Write a number to a number input in the chosen locale's format
+ * @param {HTMLInputElement} input
+ * @param {number} value
+ */
+function setNumber(input, value) {
+  input.value = formatLocaleInput(value, activeLocale);
+}
 
-  // Persist current inputs to URL
-  saveToURL();
+/**
+ * A typed number as stored ("1234.5"), or blank if it isn't one
+ * @param {string} text - Number in the chosen locale's format
+ * @returns {string}
+ */
+function canonicalNumber(text) {
+  const value = parseLocaleNumber(text, activeLocale);
+  return isNaN(value) ? "" : String(value);
 }
 
 /**
- * Update the comparison chart
- * Uses chart.update() for efficiency instead of destroy/recreate
+ * A number input as the current results use it: what was typed, or the nearest
+ * allowed value while it's invalid
+ * @param {string} key - Input id
+ * @returns {number} NaN if blank
  */
-function updateChart(data) {
-  // Store data for tooltip access (closure won't have stale data)
-  currentYearlyData = data;
-  
-  const labels = data.map((d) => `Year ${d.year}`);
-  const rentalData = data.map((d) => d.simpleRentalNetWorth);
-  const saleData = data.map((d) => d.sellYear0Total);
+function validNumber(key) {
+  return parseFloat(currentValues[key]);
+}
 
-  // If chart exists, just update the data
-  if (chart) {
-    chart.data.labels = labels;
-    chart.data.datasets[0].data = rentalData;
-    chart.data.datasets[1].data = saleData;
-    chart.update('none'); // 'none' disables animations for faster updates
-    return;
-  }
+// Allowed ranges for the view settings that are numbers (scenario inputs use SCENARIO_FIELDS)
+const VIEW_RANGES = {
+  realDollarRate: { type: "number", min: 0, max: 20 },
+  sensitivitySwing: { type: "number", min: 1, max: 100 },
+  goalSeekYear: { type: "number", min: 1, max: 30, integer: true },
+};
 
-  // Create chart on first run
-  const ctx = document.getElementById("comparisonChart").getContext("2d");
-  chart = new Chart(ctx, {
-    type: "line",
-    data: {
-      labels,
-      datasets: [
-        {
-          label: "Cash Out + Rent P/L",
-          data: rentalData,
-          borderColor: "#4ade80",
-          backgroundColor: "rgba(74, 222, 128, 0.1)",
-          fill: true,
-          tension: 0.3,
-        },
-        {
-          label: "Sell Now + Invest Proceeds",
-          data: saleData,
-          borderColor: "#60a5fa",
-          backgroundColor: "rgba(96, 165, 250, 0.1)",
-          fill: true,
-          tension: 0.3,
-        },
-      ],
-    },
-    options: {
-      responsive: true,
-      maintainAspectRatio: true,
-      animation: false, // Disable animations for faster updates
-      plugins: {
-        legend: {
-          labels: {
-            color: "#e4e4e4",
-          },
-        },
-        tooltip: {
-          mode: "index",
-          intersect: false,
-          callbacks: {
-            label: function(context) {
-              let label = context.dataset.label || '';
-              if (label) {
-                label += ': ';
-              }
-              if (context.parsed.y !== null) {
-                label += formatCurrency(context.parsed.y);
-              }
-              
-              // Add monthly breakdown for the Rent scenario
-              if (context.datasetIndex === 0 && currentYearlyData) { // Rent Line
-                const yearIndex = context.dataIndex;
-                const dataPoint = currentYearlyData[yearIndex];
-                if (dataPoint && dataPoint.monthlyBreakdown) {
-                  const rent = formatCurrency(dataPoint.monthlyBreakdown.rent);
-                  const exp = formatCurrency(dataPoint.monthlyBreakdown.expenses);
-                  return [
-                    label,
-                    `   Monthly Rent: ${rent}`,
-                    `   Monthly Expenses: ${exp}`
-                  ];
-                }
-              }
-              return label;
-            }
-          },
-        },
-      },
-      scales: {
-        x: {
-          ticks: { color: "#888" },
-          grid: { color: "rgba(255,255,255,0.1)" },
-        },
-        y: {
-          ticks: {
-            color: "#888",
-            callback: function (value) {
-              return formatCurrency(value);
-            },
-          },
-          grid: { color: "rgba(255,255,255,0.1)" },
-        },
-      },
-    },
-  });
-}
+// Why a number can't be used (blank, or checkNumber problems)
+const FIELD_ERRORS = {
+  required: "Required; using {value} for now",
+  number: "Enter a number",
+  integer: "Enter a whole number; using {value} for now",
+  min: "Must be {limit} or more; using {limit} for now",
+  max: "Must be {limit} or less; using {limit} for now",
+};
 
 /**
- * Helper to create a table cell with text content and optional class
+ * Show or clear the message under an input explaining why its value can't be used
+ * @param {HTMLElement} input
+ * @param {string|null} message
  */
-function createCell(text, className) {
-  const td = document.createElement("td");
-  td.textContent = text;
-  if (className) td.className = className;
-  return td;
+function setFieldError(input, message) {
+  const group = input.closest(".input-group");
+  let note = group.querySelector(".field-error");
+  if (!message) {
+    if (note) note.remove();
+    input.removeAttribute("aria-invalid");
+    input.removeAttribute("aria-describedby");
+    return;
+  }
+  if (!note) {
+    note = document.createElement("p");
+    note.className = "field-error";
+    note.id = `${input.id}Error`;
+    group.appendChild(note);
+  }
+  note.textContent = message;
+  input.setAttribute("aria-invalid", "true");
+  input.setAttribute("aria-describedby", note.id);
 }
 
 /**
- * Update the results table using DOM API (safer than innerHTML)
+ * Check every input, showing why any value can't be used under its field.
+ * The form keeps what was typed; the returned values swap in the nearest allowed
+ * value (the HTML default for a blank, today or blank for dates) until it's fixed.
+ * Called at the start of each calculation cycle.
+ * @returns {Object} Input id → value to calculate with
  */
-function updateTable(data) {
-  const tbody = document.querySelector("#resultsTable tbody");
-  tbody.innerHTML = "";
+function validateInputs() {
+  const values = readInputValues();
+  Object.entries({ ...SCENARIO_FIELDS, ...VIEW_RANGES }).forEach(([key, field]) => {
+    if (field.type !== "number" || !isNumberInput(inputs[key])) return;
+    if (inputs[key].value.trim() === "") {
+      // Scenario inputs are required (the HTML default stands in until filled);
+      // view settings have no default, and blank means automatic
+      const fallback = DEFAULT_VALUES[key];
+      values[key] = fallback ?? "";
+      setFieldError(inputs[key], fallback && t(FIELD_ERRORS.required, { value: formatNumber(parseFloat(fallback)) }));
+      return;
+    }
+    const { value, problem } = checkNumber(numberOf(inputs[key]), field);
+    values[key] = isNaN(value) ? "" : String(value);
+    const limit = problem === "min" ? field.min : field.max;
+    setFieldError(inputs[key], problem && t(FIELD_ERRORS[problem], { value: formatNumber(value), limit: formatNumber(limit) }));
+  });
 
-  data.forEach((d) => {
-    const row = document.createElement("tr");
-    row.className = d.betterOption === "rent" ? "rent-better" : "sell-better";
+  // Loan origination date: must be a valid date not in the future
+  const today = new Date().toISOString().split("T")[0];
+  const origination = new Date(values.loanOriginDate);
+  if (!values.loanOriginDate || isNaN(origination.getTime())) {
+    values.loanOriginDate = today;
+    setFieldError(inputs.loanOriginDate, t("Enter the date your loan started; using today for now"));
+  } else if (origination > new Date()) {
+    values.loanOriginDate = today;
+    setFieldError(inputs.loanOriginDate, t("Can't be in the future; using today for now"));
+  } else {
+    setFieldError(inputs.loanOriginDate, null);
+  }
 
-    // Year column with bold text
-    const yearCell = document.createElement("td");
-    const strong = document.createElement("strong");
-    strong.textContent = `Year ${d.year}`;
-    yearCell.appendChild(strong);
-    row.appendChild(yearCell);
+  // Move-in/out dates are optional (blank = loan origination / today), but must be valid if set.
+  // Moving out is at Year 0 at the latest.
+  ["moveInDate", "moveOutDate"].forEach((key) => {
+    const date = new Date(values[key]);
+    let message = null;
+    if (values[key] && isNaN(date.getTime())) {
+      message = t("Enter a valid date, or leave it blank");
+    } else if (key === "moveOutDate" && values[key] && date > new Date()) {
+      message = t("Can't be in the future; using today for now");
+    }
+    if (message) values[key] = "";
+    setFieldError(inputs[key], message);
+  });
+  return values;
+}
 
-    // Data columns
-    row.appendChild(createCell(formatCurrency(d.homeValue)));
-    row.appendChild(createCell(formatCurrency(d.loanBalance)));
-    row.appendChild(createCell(formatCurrency(d.equity)));
-    row.appendChild(createCell(formatCurrency(d.sellingCosts)));
-    row.appendChild(createCell(formatCurrency(d.capitalGainsTaxOwed)));
-    row.appendChild(createCell(formatCurrency(d.netAfterTaxProceeds), d.netAfterTaxProceeds >= 0 ? "positive" : "negative"));
-    row.appendChild(createCell(formatCurrency(d.netRentalCashFlow), d.netRentalCashFlow >= 0 ? "positive" : "negative"));
-    row.appendChild(createCell(formatCurrency(d.cumulativeRentalCashFlow), d.cumulativeRentalCashFlow >= 0 ? "positive" : "negative"));
-    row.appendChild(createCell(formatCurrency(d.simpleRentalNetWorth), d.simpleRentalNetWorth >= 0 ? "positive" : "negative"));
-    row.appendChild(createCell(formatCurrency(d.sellYear0Total), d.sellYear0Total >= 0 ? "positive" : "negative"));
+/**
+ * Current input values keyed by input id (the calculated payment excluded)
+ * @returns {Object}
+ */
+function readInputValues() {
+  const values = {};
+  Object.entries(inputs).forEach(([key, el]) => {
+    if (!el || key === "monthlyPI") return; // Skip calculated field
+    values[key] = isNumberInput(el) ? canonicalNumber(el.value) : el.value;
+  });
+  return values;
+}
 
-    tbody.appendChild(row);
+/**
+ * Write input values back to the form (keys that aren't inputs are ignored)
+ * @param {Object} values - Input id → value
+ */
+function applyInputValues(values) {
+  if (values.locale && values.locale !== activeLocale) {
+    switchLocale(values.locale);
+  }
+  Object.entries(inputs).forEach(([key, el]) => {
+    if (!el || key === "monthlyPI") return; // Skip calculated field
+    if (key in values) {
+      el.value = isNumberInput(el) ? formatLocaleInput(values[key], activeLocale) : values[key];
+    }
   });
+  applyLocaleText();
 }
 
 /**
- * Update summary section
+ * A number from input values, or its HTML default when blank (as validateInputs does for the form)
+ * @param {Object} values - Input id → value
+ * @param {string} key - Input id
+ * @returns {number}
  */
-function updateSummary(data) {
-  const finalYear = data[data.length - 1];
-  // Update: User requested "Rent Now + Sell Later" (Cash Out + Rent P/L)
-  const endRentalValue = finalYear.simpleRentalNetWorth;
+function numberValue(values, key) {
+  const value = parseFloat(values[key]);
+  return isNaN(value) ? parseFloat(DEFAULT_VALUES[key]) || 0 : value;
+}
 
-  // Update: User requested "Sell Now + Invest Proceeds" (Sell Year 0 + Invest)
+/**
+ * Turn input values into an engine params object
+ * (current values come from validateInputs, which swaps in allowed values; saved scenarios were saved that way)
+ * @param {Object} values - Input id → value
+ * @returns {Object} Params for projectScenario
+ */
+function readParams(values) {
+  const number = (key) => numberValue(values, key);
+  return {
+    purchasePrice: number("purchasePrice"),
+    purchaseClosingCosts: number("purchaseClosingCosts"),
+    improvementLedger: parseImprovementLedger(values.improvementLedger),
+    loanOriginDate: values.loanOriginDate,
+    originalLoanAmount: number("originalLoanAmount"),
+    interestRate: number("interestRate"),
+    mortgageTerm: number("mortgageTerm"),
+    currentHomeValue: number("currentHomeValue"),
+    monthlyHOA: number("monthlyHOA"),
+    monthlyTaxes: number("monthlyTaxes"),
+    monthlyInsurance: number("monthlyInsurance"),
+    monthlyMaintenance: number("monthlyMaintenance"),
+    rentalPrice: number("rentalPrice"),
+    annualRentIncrease: number("annualRentIncrease"),
+    leaseRenewalMonth: parseInt(values.leaseRenewalMonth) || 0, // Blank = start of each hold year
+    propertyMgmtFee: number("propertyMgmtFee"),
+    rentalTaxRate: number("rentalTaxRate"),
+    landValuePercent: number("landValuePercent"),
+    vacancyRate: number("vacancyRate"),
+    turnoverEveryYears: number("turnoverEveryYears"),
+    turnoverVacantMonths: number("turnoverVacantMonths"),
+    turnoverCosts: number("turnoverCosts"),
+    capitalExpenditures: parseCapitalExpenditures(values.capitalExpenditures),
+    homeAppreciation: number("homeAppreciation"),
+    costInflation: number("costInflation"),
+    sellingFees: number("sellingFees"),
+    transferTaxRate: number("transferTaxRate"),
+    sellingTitleFees: number("sellingTitleFees"),
+    sellerConcessions: number("sellerConcessions"),
+    capitalGainsTax: number("capitalGainsTax"),
+    taxMode: values.taxMode,
+    otherIncome: number("otherIncome"),
+    taxState: values.taxState,
+    investmentReturn: number("investmentReturn"),
+    reinvestCashFlow: values.reinvestCashFlow === "yes",
+    exitStrategy: values.exitStrategy,
+    yearsToHold: number("yearsToHold"),
+    saleMonth: number("saleMonth"),
+    isPrimaryResidence: values.primaryResidence === "yes",
+    filingStatus: values.filingStatus,
+    moveInDate: values.moveInDate,
+    moveOutDate: values.moveOutDate,
+    unforeseenCircumstances: values.unforeseenCircumstances === "yes",
+    extraPrincipal: number("extraPrincipal"),
+    biweekly: values.paymentFrequency === "biweekly",
+    lumpSums: [{
+      month: number("lumpSumMonth"),
+      amount: number("lumpSumAmount"),
+    }],
+    rateChanges: parseRateChanges(values.rateChanges),
+  };
+}
+
+/**
+ * Parse the serialized rate change list ("year,rate,term,closingCosts,cashOut;...").
+ * Values are clamped to the same ranges as the regular inputs; a blank term keeps the remaining term.
+ * @param {string} value
+ * @returns {Object[]} Rate changes for the engine
+ */
+function parseRateChanges(value) {
+  if (!value) return [];
+  return value.split(";").map((entry) => {
+    const [year, rate, term, closingCosts, cashOut] = entry.split(",").map((v) => parseFloat(v));
+    return {
+      year: Math.min(30, Math.max(1, Math.round(year) || 1)),
+      rate: Math.min(30, Math.max(0, rate || 0)),
+      term: RATE_CHANGE_TERMS.includes(term) ? term : undefined,
+      closingCosts: Math.max(0, closingCosts || 0),
+      cashOut: Math.max(0, cashOut || 0),
+    };
+  });
+}
+
+/**
+ * Serialize rate changes for the hidden input (and therefore the URL)
+ * @param {Object[]} changes
+ * @returns {string}
+ */
+function serializeRateChanges(changes) {
+  return changes
+    .map((c) => [c.year, c.rate, c.term || "", c.closingCosts, c.cashOut].join(","))
+    .join(";");
+}
+
+/**
+ * Parse the serialized capital expenditure list ("year,amount,description;...")
+ * @param {string} value
+ * @returns {Object[]} Capital expenditures for the engine
+ */
+function parseCapitalExpenditures(value) {
+  if (!value) return [];
+  return value.split(";").map((entry) => {
+    const [year, amount, description = ""] = entry.split(",");
+    return {
+      year: Math.min(30, Math.max(1, Math.round(parseFloat(year)) || 1)),
+      amount: Math.max(0, parseFloat(amount) || 0),
+      description: decodeURIComponent(description),
+    };
+  });
+}
+
+/**
+ * Serialize capital expenditures for the hidden input (descriptions are encoded
+ * so commas and semicolons can't break the list)
+ * @param {Object[]} items
+ * @returns {string}
+ */
+function serializeCapitalExpenditures(items) {
+  return items
+    .map((c) => [c.year, c.amount, encodeURIComponent(c.description)].join(","))
+    .join(";");
+}
+
+/**
+ * Parse the serialized capital improvements ledger ("date,amount,description;...")
+ * @param {string} value
+ * @returns {Object[]} Improvements for the engine
+ */
+function parseImprovementLedger(value) {
+  if (!value) return [];
+  return value.split(";").map((entry) => {
+    const [date = "", amount, description = ""] = entry.split(",");
+    return {
+      date: isNaN(new Date(date).getTime()) ? "" : date,
+      amount: Math.max(0, parseFloat(amount) || 0),
+      description: decodeURIComponent(description),
+    };
+  });
+}
+
+/**
+ * Serialize the improvements ledger for the hidden input (descriptions encoded like capex)
+ * @param {Object[]} items
+ * @returns {string}
+ */
+function serializeImprovementLedger(items) {
+  return items
+    .map((c) => [c.date, c.amount, encodeURIComponent(c.description)].join(","))
+    .join(";");
+}
+
+// New loan terms offered when refinancing (blank = keep the remaining term)
+const RATE_CHANGE_TERMS = [10, 15, 20, 30];
+
+const rateChangeList = document.getElementById("rateChangeList");
+
+/**
+ * Create one labeled field for a rate change row
+ */
+function createEventField(labelText, title, control) {
+  const group = document.createElement("div");
+  group.className = "input-group";
+  const label = document.createElement("label");
+  label.textContent = withCurrency(t(labelText));
+  label.title = t(title);
+  label.appendChild(control);
+  group.appendChild(label);
+  return group;
+}
+
+/**
+ * Create a number input for a rate change row, written in the chosen locale's format
+ */
+function createNumberField(name, value) {
+  const input = document.createElement("input");
+  input.type = "text";
+  input.inputMode = "decimal";
+  input.name = name;
+  setNumber(input, value);
+  return input;
+}
+
+/**
+ * Render the rate change rows from the hidden input
+ */
+function renderRateChanges() {
+  rateChangeList.innerHTML = "";
+  parseRateChanges(inputs.rateChanges.value).forEach((change) => {
+    const row = document.createElement("div");
+    row.className = "event-row";
+
+    const termSelect = document.createElement("select");
+    termSelect.name = "term";
+    [["", t("Keep remaining")], ...RATE_CHANGE_TERMS.map((years) => [String(years), t("{years} years", { years })])].forEach(([value, text]) => {
+      const option = document.createElement("option");
+      option.value = value;
+      option.textContent = text;
+      termSelect.appendChild(option);
+    });
+    termSelect.value = change.term ? String(change.term) : "";
+
+    const removeButton = document.createElement("button");
+    removeButton.type = "button";
+    removeButton.className = "remove-button";
+    removeButton.textContent = t("Remove");
+    removeButton.setAttribute("aria-label", t("Remove rate change"));
+    removeButton.addEventListener("click", () => {
+      row.remove();
+      syncRateChanges();
+      calculate();
+    });
+
+    row.appendChild(createEventField("Hold Year", "Takes effect with the first payment of this hold year", createNumberField("year", change.year)));
+    row.appendChild(createEventField("New Rate (%)", "Interest rate after the reset or refinance", createNumberField("rate", change.rate)));
+    row.appendChild(createEventField("New Term", "Refinance into a new term, or keep the months left on the loan (ARM reset)", termSelect));
+    row.appendChild(createEventField("Closing Costs ($)", "Paid out of pocket in that year", createNumberField("closingCosts", change.closingCosts)));
+    row.appendChild(createEventField("Cash Out ($)", "Added to the loan balance and paid to you", createNumberField("cashOut", change.cashOut)));
+    row.appendChild(removeButton);
+
+    rateChangeList.appendChild(row);
+  });
+}
+
+/**
+ * Write the rate change rows back to the hidden input
+ */
+function syncRateChanges() {
+  const changes = Array.from(rateChangeList.querySelectorAll(".event-row")).map((row) => {
+    const field = (name) => row.querySelector(`[name="${name}"]`).value;
+    const number = (name) => canonicalNumber(field(name));
+    return {
+      year: number("year"),
+      rate: number("rate"),
+      term: field("term"),
+      closingCosts: number("closingCosts"),
+      cashOut: number("cashOut"),
+    };
+  });
+  inputs.rateChanges.value = serializeRateChanges(changes);
+}
+
+rateChangeList.addEventListener("input", () => {
+  syncRateChanges();
+  debouncedCalculate();
+});
+rateChangeList.addEventListener("change", (event) => {
+  if (event.target.tagName !== "SELECT") return;
+  syncRateChanges();
+  calculate();
+});
+
+const capexList = document.getElementById("capexList");
+
+/**
+ * Render the capital expenditure rows from the hidden input
+ */
+function renderCapitalExpenditures() {
+  capexList.innerHTML = "";
+  parseCapitalExpenditures(inputs.capitalExpenditures.value).forEach((capex) => {
+    const row = document.createElement("div");
+    row.className = "event-row capex-row";
+
+    const description = document.createElement("input");
+    description.type = "text";
+    description.name = "description";
+    description.value = capex.description;
+    description.maxLength = 40;
+    description.placeholder = t("e.g. Roof");
+
+    const removeButton = document.createElement("button");
+    removeButton.type = "button";
+    removeButton.className = "remove-button";
+    removeButton.textContent = t("Remove");
+    removeButton.setAttribute("aria-label", t("Remove capital expenditure"));
+    removeButton.addEventListener("click", () => {
+      row.remove();
+      syncCapitalExpenditures();
+      calculate();
+    });
+
+    row.appendChild(createEventField("Hold Year", "Paid in this hold year", createNumberField("year", capex.year)));
+    row.appendChild(createEventField("Cost ($)", "In today's dollars; inflates with Cost Inflation", createNumberField("amount", capex.amount)));
+    row.appendChild(createEventField("Description", "Shown on the chart marker", description));
+    row.appendChild(removeButton);
+
+    capexList.appendChild(row);
+  });
+}
+
+/**
+ * Write the capital expenditure rows back to the hidden input
+ */
+function syncCapitalExpenditures() {
+  const items = Array.from(capexList.querySelectorAll(".event-row")).map((row) => {
+    const field = (name) => row.querySelector(`[name="${name}"]`).value;
+    return { year: canonicalNumber(field("year")), amount: canonicalNumber(field("amount")), description: field("description") };
+  });
+  inputs.capitalExpenditures.value = serializeCapitalExpenditures(items);
+}
+
+capexList.addEventListener("input", () => {
+  syncCapitalExpenditures();
+  debouncedCalculate();
+});
+
+document.getElementById("addCapex").addEventListener("click", () => {
+  const items = parseCapitalExpenditures(inputs.capitalExpenditures.value);
+  items.push({ year: 5, amount: 10000, description: "" });
+  inputs.capitalExpenditures.value = serializeCapitalExpenditures(items);
+  renderCapitalExpenditures();
+  calculate();
+});
+
+const improvementList = document.getElementById("improvementList");
+
+/**
+ * Render the capital improvements ledger rows from the hidden input
+ */
+function renderImprovementLedger() {
+  improvementList.innerHTML = "";
+  parseImprovementLedger(inputs.improvementLedger.value).forEach((improvement) => {
+    const row = document.createElement("div");
+    row.className = "event-row capex-row";
+
+    const date = document.createElement("input");
+    date.type = "date";
+    date.name = "date";
+    date.value = improvement.date;
+
+    const description = document.createElement("input");
+    description.type = "text";
+    description.name = "description";
+    description.value = improvement.description;
+    description.maxLength = 40;
+    description.placeholder = t("e.g. Kitchen remodel");
+
+    const removeButton = document.createElement("button");
+    removeButton.type = "button";
+    removeButton.className = "remove-button";
+    removeButton.textContent = t("Remove");
+    removeButton.setAttribute("aria-label", t("Remove capital improvement"));
+    removeButton.addEventListener("click", () => {
+      row.remove();
+      syncImprovementLedger();
+      calculate();
+    });
+
+    row.appendChild(createEventField("Date", "When the work was done. Later dates are paid in that hold year.", date));
+    row.appendChild(createEventField("Cost ($)", "What you paid (not inflated)", createNumberField("amount", improvement.amount)));
+    row.appendChild(createEventField("Description", "For your records", description));
+    row.appendChild(removeButton);
+
+    improvementList.appendChild(row);
+  });
+}
+
+/**
+ * Write the improvements ledger rows back to the hidden input
+ */
+function syncImprovementLedger() {
+  const items = Array.from(improvementList.querySelectorAll(".event-row")).map((row) => {
+    const field = (name) => row.querySelector(`[name="${name}"]`).value;
+    return { date: field("date"), amount: canonicalNumber(field("amount")), description: field("description") };
+  });
+  inputs.improvementLedger.value = serializeImprovementLedger(items);
+}
+
+improvementList.addEventListener("input", () => {
+  syncImprovementLedger();
+  debouncedCalculate();
+});
+
+document.getElementById("addImprovement").addEventListener("click", () => {
+  const items = parseImprovementLedger(inputs.improvementLedger.value);
+  items.push({ date: new Date().toISOString().split("T")[0], amount: 10000, description: "" });
+  inputs.improvementLedger.value = serializeImprovementLedger(items);
+  renderImprovementLedger();
+  calculate();
+});
+
+document.getElementById("addRateChange").addEventListener("click", () => {
+  const changes = parseRateChanges(inputs.rateChanges.value);
+  changes.push({ year: 5, rate: validNumber("interestRate") || 0, term: undefined, closingCosts: 0, cashOut: 0 });
+  inputs.rateChanges.value = serializeRateChanges(changes);
+  renderRateChanges();
+  calculate();
+});
+
+// Monte Carlo runs in a module worker so typing stays responsive;
+// falls back to the main thread where module workers aren't available
+let simulationWorker = null;
+let simulationJobId = 0;
+let lastSimulationJob = null;
+
+try {
+  simulationWorker = new Worker("simulation-worker.js", { type: "module" });
+  simulationWorker.addEventListener("message", (event) => {
+    // Ignore results from runs that newer input has superseded
+    if (event.data.id === simulationJobId) showSimulation(event.data.result);
+  });
+  simulationWorker.addEventListener("error", () => {
+    simulationWorker = null;
+    if (lastSimulationJob) showSimulation(runSimulation(lastSimulationJob.params, lastSimulationJob.options));
+  });
+} catch (e) {
+  simulationWorker = null;
+}
+
+/**
+ * Start a Monte Carlo run for the current inputs (no-op when simulation is off)
+ */
+function updateSimulation(params) {
+  if (inputs.simulationMode.value !== "on") return;
+
+  const options = {
+    paths: validNumber("simulationPaths") || 2000,
+    volatility: {
+      homeAppreciation: validNumber("homeAppreciationVol") || 0,
+      investmentReturn: validNumber("investmentReturnVol") || 0,
+      annualRentIncrease: validNumber("annualRentIncreaseVol") || 0,
+      costInflation: validNumber("costInflationVol") || 0,
+    },
+  };
+  simulationJobId++;
+  lastSimulationJob = { params, options };
+
+  if (simulationWorker) {
+    simulationWorker.postMessage({ id: simulationJobId, params, options });
+  } else {
+    showSimulation(runSimulation(params, options));
+  }
+}
+
+/**
+ * Render a finished simulation on the chart, table and summary
+ */
+function showSimulation(result) {
+  currentSimulation = result;
+  updateChart(currentYearlyData);
+  updateTable(currentYearlyData);
+  updateSummary(currentYearlyData, currentLoan, currentWarnings);
+}
+
+/**
+ * Simulation result for the data on screen, or null if it's off or out of date
+ * (e.g. years to hold changed and the new run hasn't finished yet)
+ */
+function simulationFor(data) {
+  if (!currentSimulation || currentSimulation.rent.length !== data.length) return null;
+  return currentSimulation;
+}
+
+/**
+ * Main calculation function
+ */
+function calculate() {
+  // Validate all inputs first; invalid values are shown under their fields, and the
+  // nearest allowed value is used until they're fixed
+  currentValues = validateInputs();
+
+  // Update the displayed monthly payment
+  updateMonthlyPaymentDisplay();
+
+  // Brackets mode computes the rates, so the flat ones don't apply
+  const usesBrackets = inputs.taxMode.value === "brackets";
+  inputs.rentalTaxRate.disabled = usesBrackets;
+  inputs.capitalGainsTax.disabled = usesBrackets;
+  inputs.otherIncome.disabled = !usesBrackets;
+
+  const params = readParams(currentValues);
+  const yearlyData = projectScenario(params);
+  currentMonthlyData = projectMonths(params);
+  currentLoan = projectLoan(params);
+  const warnings = assumptionWarnings(params, currentLoan, currentValues.ownerLocation === "away");
+  if (inputs.simulationMode.value !== "on") {
+    currentSimulation = null;
+  }
+
+  // Update UI
+  updateChart(yearlyData);
+  updateTable(yearlyData);
+  currentWarnings = warnings.map((warning) => describeWarning(warning, params, currentLoan));
+  updateSummary(yearlyData, currentLoan, currentWarnings);
+  markWarnedInputs(warnings);
+  updateSchedule(currentLoan);
+  updateMetrics(yearlyData);
+  updateSimulation(params);
+  currentParams = params;
+  updateSensitivity(params);
+  updateGoalSeek(params);
+  updateExitYear(params);
+  updateNextHome(params);
+  updateBacktest(params);
+  updateScenarioDiff(yearlyData);
+
+  // Persist current inputs to URL
+  saveToURL();
+}
+
+/**
+ * Update the comparison chart
+ * Uses chart.update() for efficiency instead of destroy/recreate
+ */
+function updateChart(data) {
+  // Store data for tooltip access (closure won't have stale data)
+  currentYearlyData = data;
+  currentCrossovers = findCrossovers(currentMonthlyData);
+
+  // Plotted in the dollars chosen (future or today's); crossovers don't depend on which
+  const rate = todaysDollarsRate();
+  const shown = inShownDollars(data);
+  const yTitle = rate === null
+    ? t("Net worth (future dollars)")
+    : t("Net worth (today's dollars, {rate} inflation)", { rate: formatRate(rate) });
+
+  // The monthly view plots every month; yearly series (bands, markers, compared scenarios)
+  // sit on the month each year ends
+  const monthly = isMonthlyView();
+  const rows = monthly ? inShownDollars(currentMonthlyData) : shown;
+  currentChartRows = rows;
+  const atYearEnds = (yearlyRows, values) => {
+    const points = Array(rows.length).fill(null);
+    yearlyRows.forEach((d, i) => {
+      points[periodIndex(d, monthly)] = values[i];
+    });
+    return points;
+  };
+  currentEventRows = atYearEnds(data, shown);
+
+  // Compared scenarios may hold longer than the current inputs
+  const points = Math.max(rows.length, ...comparisons.map((c) => periodIndex(c.data[c.data.length - 1], monthly) + 1));
+  const labels = Array.from({ length: points }, (_, i) => {
+    if (rows[i]) return periodLabel(rows[i]);
+    return monthly ? t("Year {year}, Mo {month}", { year: Math.ceil(i / 12), month: ((i - 1) % 12) + 1 }) : t("Year {year}", { year: i });
+  });
+  const rentalData = rows.map((d) => d.simpleRentalNetWorth);
+  const saleData = rows.map((d) => d.sellYear0Total);
+
+  // Percentile bands (empty when simulation is off): rent p10/p90/p50, then sell p10/p90/p50
+  const simulation = simulationFor(data);
+  const bandData = ["rent", "sell"].flatMap((strategy) =>
+    ["p10", "p90", "p50"].map((p) => (simulation
+      ? atYearEnds(data, simulation[strategy].map((band, year) => (rate === null ? band[p] : presentValue(band[p], rate, monthsFromToday(data[year])))))
+      : [])),
+  );
+
+  // Turnover and capital expenditure markers sit on the rent line
+  const eventData = atYearEnds(data, shown.map((d) => (yearEvents(d).length > 0 ? d.simpleRentalNetWorth : null)));
+  const eventIndex = 2 + bandData.length;
+
+  // If chart exists, just update the data
+  if (chart) {
+    chart.data.labels = labels;
+    chart.data.datasets[0].data = rentalData;
+    chart.data.datasets[0].label = t("Cash Out + Rent P/L");
+    chart.data.datasets[1].data = saleData;
+    chart.data.datasets[1].label = t("Sell Now + Invest Proceeds");
+    chart.data.datasets[eventIndex].label = t("Turnover / CapEx");
+    chart.data.datasets.splice(2, bandData.length,
+      ...createBandDatasets("Rent", "74, 222, 128", bandData.slice(0, 3)),
+      ...createBandDatasets("Sell", "96, 165, 250", bandData.slice(3)));
+    chart.data.datasets[eventIndex].data = eventData;
+    chart.data.datasets.splice(eventIndex + 1, Infinity, ...createScenarioDatasets(comparisons, monthly));
+    chart.options.scales.y.title.text = yTitle;
+    chart.update('none'); // 'none' disables animations for faster updates
+    return;
+  }
+
+  // Create chart on first run
+  const ctx = document.getElementById("comparisonChart").getContext("2d");
+  chart = new Chart(ctx, {
+    type: "line",
+    data: {
+      labels,
+      datasets: [
+        {
+          label: t("Cash Out + Rent P/L"),
+          data: rentalData,
+          borderColor: "#4ade80",
+          backgroundColor: "rgba(74, 222, 128, 0.1)",
+          fill: true,
+          tension: 0.3,
+        },
+        {
+          label: t("Sell Now + Invest Proceeds"),
+          data: saleData,
+          borderColor: "#60a5fa",
+          backgroundColor: "rgba(96, 165, 250, 0.1)",
+          fill: true,
+          tension: 0.3,
+        },
+        ...createBandDatasets("Rent", "74, 222, 128", bandData.slice(0, 3)),
+        ...createBandDatasets("Sell", "96, 165, 250", bandData.slice(3)),
+        {
+          label: t("Turnover / CapEx"),
+          data: eventData,
+          isEventMarker: true,
+          showLine: false,
+          pointStyle: "triangle",
+          pointRadius: 8,
+          pointHoverRadius: 10,
+          borderColor: "#fbbf24",
+          backgroundColor: "#fbbf24",
+        },
+        ...createScenarioDatasets(comparisons, monthly),
+      ],
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: true,
+      animation: false, // Disable animations for faster updates
+      spanGaps: true, // Yearly series skip the months between year ends in the monthly view
+      plugins: {
+        legend: {
+          labels: {
+            color: "#e4e4e4",
+            // Hide empty simulation bands/markers and the lower band edge (the band itself has the label)
+            filter: (item, chartData) => {
+              const dataset = chartData.datasets[item.datasetIndex];
+              return dataset.data.some((value) => value !== null) && !dataset.hideInLegend;
+            },
+          },
+        },
+        tooltip: {
+          mode: "index",
+          intersect: false,
+          callbacks: {
+            // Gap between the two strategies, and any crossover since the previous year
+            footer: function(items) {
+              const index = items[0].dataIndex;
+              const d = currentChartRows[index];
+              if (!d) return [];
+              const lines = [t("Gap (Rent - Sell): {amount}", { amount: formatCurrency(d.simpleRentalNetWorth - d.sellYear0Total) })];
+              const previous = index > 0 ? currentChartRows[index - 1] : null;
+              const since = previous ? periodIndex(previous, true) : -1;
+              currentCrossovers
+                .filter((crossover) => crossover.months > since && crossover.months <= periodIndex(d, true))
+                .forEach((crossover) => lines.push(describeCrossover(crossover)));
+              return lines;
+            },
+            label: function(context) {
+              // Event markers list what happened that year instead of a value
+              if (context.dataset.isEventMarker) {
+                return yearEvents(currentEventRows[context.dataIndex]);
+              }
+              let label = context.dataset.label || '';
+              if (label) {
+                label += ': ';
+              }
+              if (context.parsed.y !== null) {
+                label += formatCurrency(context.parsed.y);
+              }
+              
+              // Add monthly breakdown for the Rent scenario
+              if (context.datasetIndex === 0 && currentChartRows) { // Rent Line
+                const dataPoint = currentChartRows[context.dataIndex];
+                if (dataPoint && dataPoint.monthlyBreakdown) {
+                  const rent = formatCurrency(dataPoint.monthlyBreakdown.rent);
+                  const exp = formatCurrency(dataPoint.monthlyBreakdown.expenses);
+                  return [
+                    label,
+                    `   ${t("Monthly Rent: {amount}", { amount: rent })}`,
+                    `   ${t("Monthly Expenses: {amount}", { amount: exp })}`
+                  ];
+                }
+              }
+              return label;
+            }
+          },
+        },
+      },
+      scales: {
+        x: {
+          ticks: { color: "#888" },
+          grid: { color: "rgba(255,255,255,0.1)" },
+        },
+        y: {
+          ticks: {
+            color: "#888",
+            callback: function (value) {
+              return formatCurrency(value);
+            },
+          },
+          grid: { color: "rgba(255,255,255,0.1)" },
+          title: { display: true, text: yTitle, color: "#888" },
+        },
+      },
+    },
+    plugins: [crossoverMarkers],
+  });
+}
+
+/**
+ * "Renting overtakes selling in year 4.3"
+ * @param {Object} crossover - findCrossovers entry
+ * @returns {string}
+ */
+function describeCrossover(crossover) {
+  const text = crossover.leader === "rent" ? "Renting overtakes selling in year {year}" : "Selling overtakes renting in year {year}";
+  return t(text, { year: formatDecimal(crossover.year, 1) });
+}
+
+// Dashed vertical line at each crossover, colored for the strategy that pulls ahead
+const crossoverMarkers = {
+  id: "crossoverMarkers",
+  afterDatasetsDraw(chart) {
+    const { ctx, chartArea, scales } = chart;
+    ctx.save();
+    ctx.setLineDash([4, 4]);
+    ctx.font = "11px sans-serif";
+    ctx.textAlign = "center";
+    currentCrossovers.forEach((crossover) => {
+      // Category x values are year (or month) indexes, so a fractional one lands between labels
+      const x = scales.x.getPixelForValue(isMonthlyView() ? crossover.months : crossover.year);
+      const color = crossover.leader === "rent" ? "#4ade80" : "#60a5fa";
+      ctx.strokeStyle = color;
+      ctx.beginPath();
+      ctx.moveTo(x, chartArea.top);
+      ctx.lineTo(x, chartArea.bottom);
+      ctx.stroke();
+      ctx.fillStyle = color;
+      ctx.fillText(t("Yr {year}", { year: formatDecimal(crossover.year, 1) }), x, chartArea.top + 12);
+    });
+    ctx.restore();
+  },
+};
+
+/**
+ * Turnover and capital expenditure events in a year, as tooltip lines
+ * @param {Object} d - One year of projectScenario output
+ * @returns {string[]}
+ */
+function yearEvents(d) {
+  const events = [];
+  if (d.vacantMonths > 0 || d.turnoverCosts > 0) {
+    events.push(t("Turnover: {months} mo vacant, {amount} make-ready & leasing", {
+      months: formatNumber(d.vacantMonths),
+      amount: formatCurrency(d.turnoverCosts),
+    }));
+  }
+  if (d.capitalExpenditure > 0) {
+    const asOf = new Date();
+    const descriptions = [
+      ...parseCapitalExpenditures(inputs.capitalExpenditures.value).filter((capex) => capex.year === d.year),
+      ...parseImprovementLedger(inputs.improvementLedger.value).filter((item) => holdYearFor(item.date, asOf) === d.year),
+    ]
+      .filter((item) => item.description)
+      .map((item) => item.description);
+    const text = descriptions.length > 0 ? "Capital expenditure ({what}): {amount}" : "Capital expenditure: {amount}";
+    events.push(t(text, { what: descriptions.join(", "), amount: formatCurrency(d.capitalExpenditure) }));
+  }
+  return events;
+}
+
+/**
+ * Monte Carlo percentile datasets for one strategy: 10th (lower edge),
+ * 90th (filled down to the 10th) and the median
+ * @param {string} name - Strategy name for labels ("Rent" or "Sell", translated here)
+ * @param {string} rgb - "r, g, b" color of the strategy's main line
+ * @param {number[][]} data - [p10, p90, p50] series
+ */
+function createBandDatasets(name, rgb, [p10, p90, p50]) {
+  const edge = {
+    borderColor: `rgba(${rgb}, 0.35)`,
+    borderWidth: 1,
+    pointRadius: 0,
+    tension: 0.3,
+  };
+  return [
+    { ...edge, label: t("{name} 10th percentile", { name: t(name) }), data: p10, fill: false, hideInLegend: true },
+    { ...edge, label: t("{name} 10th-90th percentile", { name: t(name) }), data: p90, fill: "-1", backgroundColor: `rgba(${rgb}, 0.15)` },
+    { ...edge, label: t("{name} median (simulated)", { name: t(name) }), data: p50, fill: false, borderDash: [6, 4], borderWidth: 2 },
+  ];
+}
+
+/**
+ * Overlay datasets for compared saved scenarios: rent solid, sell dashed, in the scenario's color
+ * @param {Object[]} scenarios - Comparisons with name, color and projected data
+ * @param {boolean} monthly - Place each year on the month it ends (monthly view)
+ */
+function createScenarioDatasets(scenarios, monthly) {
+  return scenarios.flatMap((scenario) => {
+    const line = { borderColor: scenario.color, backgroundColor: scenario.color, fill: false, tension: 0.3, pointRadius: 2 };
+    const points = (value) => {
+      const data = [];
+      inShownDollars(scenario.data).forEach((d) => {
+        data[periodIndex(d, monthly)] = value(d);
+      });
+      return Array.from(data, (point) => point ?? null);
+    };
+    return [
+      { ...line, label: t("{name}: Rent", { name: scenario.name }), data: points((d) => d.simpleRentalNetWorth) },
+      { ...line, label: t("{name}: Sell", { name: scenario.name }), data: points((d) => d.sellYear0Total), borderDash: [6, 4] },
+    ];
+  });
+}
+
+/**
+ * Whether the chart and table show every month instead of every year
+ * @returns {boolean}
+ */
+function isMonthlyView() {
+  return inputs.resolution.value === "monthly";
+}
+
+/**
+ * Chart/table position of a row: its year, or in the monthly view the month it ends
+ * (a final year sold early ends before its 12th month)
+ * @param {Object} d - projectScenario or projectMonths row
+ * @param {boolean} monthly
+ * @returns {number}
+ */
+function periodIndex(d, monthly) {
+  return monthly ? monthsFromToday(d) : d.year;
+}
+
+/**
+ * Row label: "Year 3", "Year 3, Mo 7" for a month, "Year 10 (6 mo)" for a final year sold early
+ * @param {Object} d - projectScenario or projectMonths row
+ * @returns {string}
+ */
+function periodLabel(d) {
+  if (d.month > 0) return t("Year {year}, Mo {month}", { year: d.year, month: d.months });
+  return d.year > 0 && d.months < 12 ? t("Year {year} ({months} mo)", { year: d.year, months: d.months }) : t("Year {year}", { year: d.year });
+}
+
+/**
+ * Inflation rate the chart, table and summary deflate by, or null when they show
+ * future (nominal) dollars. A blank rate uses Cost Inflation.
+ * @returns {number|null}
+ */
+function todaysDollarsRate() {
+  if (inputs.dollarBasis.value !== "real") return null;
+  const rate = validNumber("realDollarRate");
+  return isNaN(rate) ? validNumber("costInflation") || 0 : rate;
+}
+
+/**
+ * Rows in the dollars on screen: as projected, or restated in today's dollars
+ * @param {Object[]} rows - projectScenario or projectMonths output
+ * @returns {Object[]}
+ */
+function inShownDollars(rows) {
+  const rate = todaysDollarsRate();
+  return rate === null ? rows : inTodaysDollars(rows, rate);
+}
+
+/**
+ * Helper to create a table cell with text content and optional class
+ */
+function createCell(text, className) {
+  const td = document.createElement("td");
+  td.textContent = text;
+  if (className) td.className = className;
+  return td;
+}
+
+/**
+ * Update the results table using DOM API (safer than innerHTML)
+ */
+function updateTable(data) {
+  const tbody = document.querySelector("#resultsTable tbody");
+  tbody.innerHTML = "";
+  const simulation = simulationFor(data);
+  const monthly = isMonthlyView();
+  document.getElementById("table-heading").textContent = t(monthly ? "Month-by-Month Breakdown" : "Year-by-Year Breakdown")
+    + (todaysDollarsRate() === null ? "" : ` (${t("Today's Dollars")})`);
+
+  inShownDollars(monthly ? currentMonthlyData : data).forEach((d) => {
+    const row = document.createElement("tr");
+    row.className = d.betterOption === "rent" ? "rent-better" : "sell-better";
+    // Simulated odds are per year, so months only show them at a year's end
+    const isYearEnd = !monthly || d.months === data[d.year].months;
+
+    // Year column with bold text
+    const yearCell = document.createElement("td");
+    const strong = document.createElement("strong");
+    strong.textContent = periodLabel(d);
+    yearCell.appendChild(strong);
+    row.appendChild(yearCell);
+
+    // Data columns
+    row.appendChild(createCell(formatCurrency(d.homeValue)));
+    row.appendChild(createCell(formatCurrency(d.loanBalance)));
+    row.appendChild(createCell(formatCurrency(d.equity)));
+    row.appendChild(createCell(formatCurrency(d.sellingCosts)));
+    const taxCell = createCell(formatCurrency(d.capitalGainsTaxOwed));
+    taxCell.title = t("Long-term gains taxed at {rate}", { rate: formatRate(d.capitalGainsRate) });
+    row.appendChild(taxCell);
+    row.appendChild(createCell(formatCurrency(d.accumulatedDepreciation)));
+    row.appendChild(createCell(formatCurrency(d.adjustedBasis)));
+    row.appendChild(createCell(String(d.exclusionMonthsLeft)));
+    row.appendChild(createCell(formatCurrency(d.netAfterTaxProceeds), d.netAfterTaxProceeds >= 0 ? "positive" : "negative"));
+    row.appendChild(createCell(formatCurrency(d.exchangeValue), d.exchangeValue >= 0 ? "positive" : "negative"));
+    const cashFlowCell = createCell(formatCurrency(d.netRentalCashFlow), d.netRentalCashFlow >= 0 ? "positive" : "negative");
+    if (d.year > 0) cashFlowCell.title = t("Rental income taxed at {rate}", { rate: formatRate(d.ordinaryTaxRate) });
+    row.appendChild(cashFlowCell);
+    row.appendChild(createCell(formatCurrency(d.cumulativeRentalCashFlow), d.cumulativeRentalCashFlow >= 0 ? "positive" : "negative"));
+    row.appendChild(createCell(formatCurrency(d.simpleRentalNetWorth), d.simpleRentalNetWorth >= 0 ? "positive" : "negative"));
+    row.appendChild(createCell(formatCurrency(d.sellYear0Total), d.sellYear0Total >= 0 ? "positive" : "negative"));
+    row.appendChild(createCell(simulation && isYearEnd ? formatPercent(simulation.probabilityRentWins[d.year]) : "—"));
+
+    tbody.appendChild(row);
+  });
+}
+
+/**
+ * Update the amortization schedule table (remaining payments only).
+ * Skipped while collapsed since it can be hundreds of rows.
+ */
+function updateSchedule(loan) {
+  const details = document.getElementById("scheduleDetails");
+  if (!details.open || !loan) return;
+
+  const tbody = document.querySelector("#scheduleTable tbody");
+  tbody.innerHTML = "";
+
+  const originDate = inputs.loanOriginDate.value;
+  loan.schedule.rows.slice(loan.monthsElapsed).forEach((r) => {
+    const row = document.createElement("tr");
+    row.appendChild(createCell(formatMonth(getPaymentDate(originDate, r.paymentNumber))));
+    row.appendChild(createCell(String(r.paymentNumber)));
+    row.appendChild(createCell(new Intl.NumberFormat(activeLocale, { style: "percent", maximumFractionDigits: 3 }).format(r.rate / 100)));
+    row.appendChild(createCell(formatCurrency(r.payment)));
+    row.appendChild(createCell(formatCurrency(r.interest)));
+    row.appendChild(createCell(formatCurrency(r.principal)));
+    row.appendChild(createCell(formatCurrency(r.extraPrincipal)));
+    row.appendChild(createCell(formatCurrency(r.balance)));
+    tbody.appendChild(row);
+  });
+}
+
+document.getElementById("scheduleDetails").addEventListener("toggle", () => updateSchedule(currentLoan));
+
+// Heatmap resolution per axis (HEATMAP_STEPS² projections)
+const HEATMAP_STEPS = 21;
+
+/**
+ * Update the investor metrics panel: IRR and NPV of the hold strategy,
+ * Year 1 ratios, and the per-year table
+ */
+function updateMetrics(data) {
+  const discountRate = validNumber("discountRate") || 0;
+  const metrics = calculateMetrics(data, { discountRate });
+  const share = (value) => (value === null ? null : value * 100);
+  const year1 = metrics.years[0];
+
+  // IRR is green when it clears the hurdle (discount rate)
+  let irrClass = "neutral";
+  if (metrics.irr !== null) irrClass = metrics.irr >= discountRate ? "positive" : "negative";
+
+  const items = [
+    [t("IRR (Hold)"), formatRate(metrics.irr), irrClass],
+    [t("NPV at {rate}", { rate: formatRate(discountRate) }), formatCurrency(metrics.npv), metrics.npv >= 0 ? "positive" : "negative"],
+    [t("Year 1 Cash-on-Cash"), formatRate(share(year1.cashOnCash)), "neutral"],
+    [t("Year 1 Cap Rate"), formatRate(share(year1.capRate)), "neutral"],
+    [t("Year 1 DSCR"), year1.dscr === null ? t("No debt") : `${formatDecimal(year1.dscr, 2)}×`, year1.dscr === null || year1.dscr >= 1 ? "positive" : "negative"],
+  ];
+  renderSummaryItems(document.getElementById("metricsSummary"), items);
+
+  const tbody = document.querySelector("#metricsTable tbody");
+  tbody.innerHTML = "";
+  metrics.years.forEach((y) => {
+    const row = document.createElement("tr");
+    row.appendChild(createCell(t("Year {year}", { year: y.year })));
+    row.appendChild(createCell(formatCurrency(y.netOperatingIncome)));
+    row.appendChild(createCell(formatCurrency(y.debtService)));
+    row.appendChild(createCell(formatCurrency(y.cashFlowBeforeTax), y.cashFlowBeforeTax >= 0 ? "positive" : "negative"));
+    row.appendChild(createCell(formatRate(share(y.cashOnCash))));
+    row.appendChild(createCell(formatRate(share(y.capRate))));
+    row.appendChild(createCell(y.dscr === null ? "—" : `${formatDecimal(y.dscr, 2)}×`, y.dscr !== null && y.dscr < 1 ? "negative" : ""));
+    tbody.appendChild(row);
+  });
+}
+
+/**
+ * Update the sensitivity tornado and breakeven heatmap.
+ * Skipped while collapsed since the heatmap runs hundreds of projections.
+ */
+function updateSensitivity(params) {
+  const details = document.getElementById("sensitivityDetails");
+  if (!details.open || !params) return;
+
+  const swingPercent = validNumber("sensitivitySwing") || 10;
+  updateTornado(runTornado(params, { swingPercent }), swingPercent);
+
+  const xKey = inputs.heatmapX.value;
+  const yKey = inputs.heatmapY.value;
+  const [xMin, xMax] = heatmapRange("x", xKey, inputs.heatmapXMin, inputs.heatmapXMax, params);
+  const [yMin, yMax] = heatmapRange("y", yKey, inputs.heatmapYMin, inputs.heatmapYMax, params);
+  const heatmap = runHeatmap(params, {
+    xKey,
+    xValues: linspace(xMin, xMax, HEATMAP_STEPS),
+    yKey,
+    yValues: linspace(yMin, yMax, HEATMAP_STEPS),
+  });
+  drawHeatmap(document.getElementById("heatmapCanvas"), heatmap, params);
+}
+
+document.getElementById("sensitivityDetails").addEventListener("toggle", () => updateSensitivity(currentParams));
+
+/**
+ * Replace a metrics grid's contents with label/value summary items
+ * @param {HTMLElement} container
+ * @param {Array[]} items - [label, value text, value class] each
+ */
+function renderSummaryItems(container, items) {
+  container.innerHTML = "";
+  items.forEach(([label, value, className]) => {
+    const item = document.createElement("div");
+    item.className = "summary-item";
+    const labelDiv = document.createElement("div");
+    labelDiv.className = "label";
+    labelDiv.textContent = label;
+    const valueDiv = document.createElement("div");
+    valueDiv.className = `value ${className}`;
+    valueDiv.textContent = value;
+    item.appendChild(labelDiv);
+    item.appendChild(valueDiv);
+    container.appendChild(item);
+  });
+}
+
+/**
+ * Compare every exit year at a common horizon (only while its section is open)
+ */
+function updateExitYear(params) {
+  const details = document.getElementById("exitYearDetails");
+  if (!details.open || !params) return;
+
+  const { horizon, exits, best } = sweepExitYears(params);
+  const plan = exits[params.yearsToHold];
+  const exitLabel = (year) => (year === 0 ? t("Today (Year 0)") : t("Year {year}", { year }));
+  const versusBest = (exit) => (exit === best ? "" : ` (${formatCurrency(exit.terminalWealth - best.terminalWealth)})`);
+  renderSummaryItems(document.getElementById("exitYearSummary"), [
+    [t("Best Year to Sell"), exitLabel(best.year), "positive"],
+    [t("Net Worth at Year {year}", { year: horizon }), formatCurrency(best.terminalWealth), best.terminalWealth >= 0 ? "positive" : "negative"],
+    [t("Your Plan (Year {year})", { year: plan.year }), formatCurrency(plan.terminalWealth) + versusBest(plan), plan === best ? "positive" : "negative"],
+    [t("Selling Today"), formatCurrency(exits[0].terminalWealth) + versusBest(exits[0]), exits[0] === best ? "positive" : "negative"],
+  ]);
+
+  if (exitYearChart) exitYearChart.destroy();
+  const ctx = document.getElementById("exitYearChart").getContext("2d");
+  exitYearChart = new Chart(ctx, {
+    type: "bar",
+    data: {
+      labels: exits.map((exit) => exit.year),
+      datasets: [{
+        label: t("Net worth at Year {year}", { year: horizon }),
+        data: exits.map((exit) => exit.terminalWealth),
+        // Best exit green, your planned exit yellow
+        backgroundColor: exits.map((exit) => (exit === best ? "#4ade80" : exit === plan ? "#fbbf24" : "#60a5fa")),
+      }],
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      animation: false,
+      plugins: {
+        legend: { display: false },
+        tooltip: {
+          callbacks: {
+            title: function (items) {
+              return t("Sell {when}", { when: exitLabel(exits[items[0].dataIndex].year) });
+            },
+            label: function (context) {
+              return `${context.dataset.label}: ${formatCurrency(context.parsed.y)}`;
+            },
+            afterLabel: function (context) {
+              return t("At the sale: {amount}", { amount: formatCurrency(exits[context.dataIndex].saleNetWorth) });
+            },
+          },
+        },
+      },
+      scales: {
+        x: {
+          ticks: { color: "#888" },
+          grid: { display: false },
+          title: { display: true, text: t("Year you sell"), color: "#888" },
+        },
+        y: {
+          ticks: {
+            color: "#888",
+            callback: function (value) {
+              return formatCurrency(value);
+            },
+          },
+          grid: { color: "rgba(255,255,255,0.1)" },
+          title: { display: true, text: t("Net worth at Year {year}", { year: horizon }), color: "#888" },
+        },
+      },
+    },
+  });
+}
+
+document.getElementById("exitYearDetails").addEventListener("toggle", () => updateExitYear(currentParams));
+
+/**
+ * Debt-to-income ratio with whether it's within the qualified-mortgage limit
+ * @param {Object} dti - { ratio, qualifies }, from compareNextHome
+ * @returns {string}
+ */
+function describeDebtToIncome(dti) {
+  if (dti.ratio === Infinity) return t("No income entered");
+  const verdict = dti.qualifies ? t("qualifies") : t("over {limit}", { limit: formatPercent(MAX_DEBT_TO_INCOME) });
+  return `${formatPercent(dti.ratio)} (${verdict})`;
+}
+
+/**
+ * Compare financing the next home when keeping this one and when selling it now
+ * (only while its section is open)
+ */
+function updateNextHome(params) {
+  const details = document.getElementById("nextHomeDetails");
+  if (!details.open || !params) return;
+
+  const { months, proceeds, rent, sell, extraCost } = compareNextHome(params, {
+    price: validNumber("nextHomePrice") || 0,
+    rate: validNumber("nextHomeRate") || 0,
+    term: parseInt(currentValues.nextHomeTerm) || 30,
+    proceedsShare: validNumber("nextHomeProceedsShare") || 0,
+    savings: validNumber("nextHomeSavings") || 0,
+    pmiRate: validNumber("nextHomePmiRate") || 0,
+    grossIncome: validNumber("nextHomeIncome") || 0,
+    otherDebts: validNumber("nextHomeDebts") || 0,
+  });
+  renderSummaryItems(document.getElementById("nextHomeSummary"), [
+    [t("Extra Interest + PMI From Keeping"), formatCurrency(extraCost), extraCost > 0 ? "negative" : "positive"],
+    [t("Proceeds if Sold Now"), formatCurrency(proceeds), proceeds > 0 ? "positive" : "negative"],
+    [t("Debt-to-Income Keeping"), describeDebtToIncome(rent.dti), rent.dti.qualifies ? "positive" : "negative"],
+    [t("Debt-to-Income Selling"), describeDebtToIncome(sell.dti), sell.dti.qualifies ? "positive" : "negative"],
+  ]);
+
+  const pmiText = (option) =>
+    option.pmiMonthly > 0
+      ? t("{amount} for {months} months", {
+          amount: formatCurrency(option.pmiMonthly),
+          months: formatNumber(option.pmiMonths),
+        })
+      : t("None");
+  const rows = [
+    [t("Down Payment"), (option) => formatCurrency(option.downPayment)],
+    [
+      t("Mortgage (Loan-to-Value)"),
+      (option) => `${formatCurrency(option.loanAmount)} (${formatPercent(option.loanToValue)})`,
+    ],
+    [t("Monthly Principal & Interest"), (option) => formatCurrency(option.payment)],
+    [t("Monthly PMI"), pmiText],
+    [t("Interest Over {months} Months", { months: formatNumber(months) }), (option) => formatCurrency(option.interest)],
+    [t("PMI Over {months} Months", { months: formatNumber(months) }), (option) => formatCurrency(option.pmi)],
+    [t("Monthly Debts"), (option) => formatCurrency(option.dti.debts)],
+    [
+      t("Qualifying Income ({share} of Rent Counts)", { share: formatPercent(RENT_INCOME_SHARE) }),
+      (option) => formatCurrency(option.dti.income),
+    ],
+    [t("Debt-to-Income"), (option) => describeDebtToIncome(option.dti)],
+  ];
+  const tbody = document.querySelector("#nextHomeTable tbody");
+  tbody.innerHTML = "";
+  rows.forEach(([label, describe]) => {
+    const tr = document.createElement("tr");
+    tr.appendChild(createCell(label));
+    tr.appendChild(createCell(describe(rent)));
+    tr.appendChild(createCell(describe(sell)));
+    tbody.appendChild(tr);
+  });
+}
+
+document.getElementById("nextHomeDetails").addEventListener("toggle", () => updateNextHome(currentParams));
+
+/**
+ * Run the historical backtest (only while its section is open): one start year's
+ * projection, or the final-year result for every start year
+ */
+function updateBacktest(params) {
+  const details = document.getElementById("backtestDetails");
+  if (!details.open || !params) return;
+
+  const years = params.yearsToHold;
+  const starts = backtestStartYears(years);
+  [...inputs.backtestStart.options].forEach((option) => {
+    option.disabled = option.value !== "" && !starts.includes(parseInt(option.value));
+  });
+
+  const note = document.getElementById("backtestNote");
+  const summary = document.getElementById("backtestSummary");
+  const startYear = parseInt(inputs.backtestStart.value);
+  if (backtestChart) {
+    backtestChart.destroy();
+    backtestChart = null;
+  }
+  if (starts.length === 0 || (startYear && !starts.includes(startYear))) {
+    note.textContent = starts.length === 0
+      ? t("The history ({first}-{last}) is shorter than a {years}-year hold.", { first: HISTORY_START, last: HISTORY_END, years })
+      : t("{start} doesn't leave {years} years of history; the latest start year for this hold is {latest}.", {
+        start: startYear,
+        years,
+        latest: starts[starts.length - 1],
+      });
+    summary.innerHTML = "";
+    return;
+  }
+
+  const ctx = document.getElementById("backtestChart").getContext("2d");
+  const sign = (value) => (value >= 0 ? "positive" : "negative");
+
+  if (!startYear) {
+    const sweep = sweepBacktest(params);
+    note.textContent = t("{count} start years ({first}-{last}), each held {years} years", {
+      count: sweep.runs.length,
+      first: starts[0],
+      last: starts[starts.length - 1],
+      years,
+    });
+    const startResult = (run) => t("{year}: {amount}", { year: run.startYear, amount: formatCurrency(run.difference) });
+    renderSummaryItems(summary, [
+      [
+        t("Holding Won"),
+        t("{wins} of {runs} ({rate})", { wins: sweep.rentWins, runs: sweep.runs.length, rate: formatPercent(sweep.rentWinRate) }),
+        sweep.rentWinRate >= 0.5 ? "positive" : "negative",
+      ],
+      [t("Median Difference"), formatCurrency(sweep.medianDifference), sign(sweep.medianDifference)],
+      [t("Best Start Year"), startResult(sweep.best), sign(sweep.best.difference)],
+      [t("Worst Start Year"), startResult(sweep.worst), sign(sweep.worst.difference)],
+    ]);
+    backtestChart = new Chart(ctx, {
+      type: "bar",
+      data: {
+        labels: sweep.runs.map((run) => run.startYear),
+        datasets: [{
+          label: t("Difference (Rent - Sell) after {years} years", { years }),
+          data: sweep.runs.map((run) => run.difference),
+          backgroundColor: sweep.runs.map((run) => (run.difference > 0 ? "#4ade80" : "#60a5fa")),
+        }],
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        animation: false,
+        plugins: {
+          legend: { display: false },
+          tooltip: {
+            callbacks: {
+              title: function (items) {
+                return t("Held {start}-{end}", { start: items[0].label, end: Number(items[0].label) + years - 1 });
+              },
+              label: function (context) {
+                return `${context.dataset.label}: ${formatCurrency(context.parsed.y)}`;
+              },
+            },
+          },
+        },
+        scales: {
+          x: {
+            ticks: { color: "#888" },
+            grid: { display: false },
+            title: { display: true, text: t("Start year"), color: "#888" },
+          },
+          y: {
+            ticks: {
+              color: "#888",
+              callback: function (value) {
+                return formatCurrency(value);
+              },
+            },
+            grid: { color: "rgba(255,255,255,0.1)" },
+            title: { display: true, text: t("Final-year difference (Rent - Sell)"), color: "#888" },
+          },
+        },
+      },
+    });
+    return;
+  }
+
+  const { yearlyData, difference } = runBacktest(params, startYear);
+  const finalYear = yearlyData[yearlyData.length - 1];
+  note.textContent = t("Held {start}-{end}", { start: startYear, end: startYear + years - 1 });
+  renderSummaryItems(summary, [
+    [t("Rent Now + Sell Later"), formatCurrency(finalYear.simpleRentalNetWorth), sign(finalYear.simpleRentalNetWorth)],
+    [t("Sell Now + Invest Proceeds"), formatCurrency(finalYear.sellYear0Total), sign(finalYear.sellYear0Total)],
+    [t("Difference (Rent - Sell)"), formatCurrency(difference), sign(difference)],
+    [t("Better Option"), t(difference > 0 ? "🏠 Rent" : "💰 Sell"), "neutral"],
+  ]);
+  backtestChart = new Chart(ctx, {
+    type: "line",
+    data: {
+      labels: yearlyData.map((d) => (d.year === 0
+        ? t("Year {year}", { year: 0 })
+        : t("Year {year} ({calendarYear})", { year: d.year, calendarYear: startYear + d.year - 1 }))),
+      datasets: [
+        { label: t("Cash Out + Rent P/L"), data: yearlyData.map((d) => d.simpleRentalNetWorth), borderColor: "#4ade80", tension: 0.3 },
+        { label: t("Sell Now + Invest Proceeds"), data: yearlyData.map((d) => d.sellYear0Total), borderColor: "#60a5fa", tension: 0.3 },
+      ],
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      animation: false,
+      interaction: { mode: "index", intersect: false },
+      plugins: {
+        legend: { labels: { color: "#e4e4e4" } },
+        tooltip: {
+          callbacks: {
+            label: function (context) {
+              return `${context.dataset.label}: ${formatCurrency(context.parsed.y)}`;
+            },
+          },
+        },
+      },
+      scales: {
+        x: {
+          ticks: { color: "#888" },
+          grid: { color: "rgba(255,255,255,0.1)" },
+        },
+        y: {
+          ticks: {
+            color: "#888",
+            callback: function (value) {
+              return formatCurrency(value);
+            },
+          },
+          grid: { color: "rgba(255,255,255,0.1)" },
+        },
+      },
+    },
+  });
+}
+
+document.getElementById("backtestDetails").addEventListener("toggle", () => updateBacktest(currentParams));
+
+/**
+ * Format an input value the way its field is entered: dollars, percent or a plain number
+ * @param {string} key - Input id
+ * @param {number} value
+ * @returns {string}
+ */
+function formatInputAmount(key, value) {
+  const unit = inputUnit(key);
+  if (unit === "$") return formatCurrency(value);
+  if (unit === "%") return new Intl.NumberFormat(activeLocale, { style: "percent", maximumFractionDigits: 2 }).format(value / 100);
+  return formatNumber(value);
+}
+
+/**
+ * Solve the goal seek and show the breakeven in the panel and under the chosen input
+ */
+function updateGoalSeek(params) {
+  document.querySelectorAll(".goal-seek-badge").forEach((badge) => badge.remove());
+  const resultText = document.getElementById("goalSeekResult");
+  const key = inputs.goalSeekKey.value;
+  if (!key) {
+    resultText.textContent = "";
+    return;
+  }
+
+  const year = validNumber("goalSeekYear") || params.yearsToHold;
+  const target = inputs.goalSeekTarget.value;
+  const field = SCENARIO_FIELDS[key];
+  const result = solveBreakeven(params, key, { target, year }, { min: field.min, max: field.max });
+  const label = labelFor(key);
+  const current = formatInputAmount(key, params[key]);
+  const goal = t(target === "rentWins" ? "Renting pulls ahead by Year {year}" : "Renting and selling are equal at Year {year}", { year });
+
+  if (result.value === null) {
+    const text = result.wins === "rent"
+      ? "No breakeven: renting wins at every {label} in the allowed range (currently {current})."
+      : "No breakeven: selling wins at every {label} in the allowed range (currently {current}).";
+    resultText.textContent = t(text, { label, current });
+    return;
+  }
+
+  const breakeven = formatInputAmount(key, result.value);
+  const text = result.rentWinsAbove
+    ? "{goal} when {label} is {breakeven} (currently {current}); renting wins above it."
+    : "{goal} when {label} is {breakeven} (currently {current}); renting wins below it.";
+  resultText.textContent = t(text, { goal, label, breakeven, current });
+
+  const badge = document.createElement("div");
+  badge.className = "goal-seek-badge";
+  badge.textContent = `${t("Breakeven: {value}", { value: breakeven })} `;
+  const useButton = document.createElement("button");
+  useButton.type = "button";
+  useButton.className = "add-button";
+  useButton.textContent = t("Use");
+  useButton.setAttribute("aria-label", t("Set {label} to {value}", { label, value: breakeven }));
+  useButton.addEventListener("click", () => {
+    setNumber(inputs[key], inputUnit(key) === "$" ? Math.round(result.value) : Number(result.value.toFixed(2)));
+    calculate();
+  });
+  badge.appendChild(useButton);
+  inputs[key].closest(".input-group").appendChild(badge);
+}
+
+/**
+ * Range for one heatmap axis. Blank fields, or switching the axis to a different input,
+ * fill in a range around the current value (±50%, at least ±2).
+ * @returns {number[]} [min, max]
+ */
+function heatmapRange(axis, key, minInput, maxInput, params) {
+  if ((heatmapAxes[axis] !== null && heatmapAxes[axis] !== key) || isNaN(numberOf(minInput)) || isNaN(numberOf(maxInput))) {
+    const value = params[key];
+    const spread = Math.max(Math.abs(value) * 0.5, 2);
+    setNumber(minInput, Number((value - spread).toFixed(2)));
+    setNumber(maxInput, Number((value + spread).toFixed(2)));
+  }
+  heatmapAxes[axis] = key;
+
+  let min = numberOf(minInput);
+  let max = numberOf(maxInput);
+  if (max < min) [min, max] = [max, min];
+  if (max === min) max = min + 1;
+  return [min, max];
+}
+
+/**
+ * Update the tornado chart: one floating bar per input from the base result
+ * to the result with that input moved down (red) and up (green)
+ */
+function updateTornado(tornado, swingPercent) {
+  tornadoData = tornado;
+  const labels = tornado.bars.map((bar) => labelFor(bar.key));
+  const lowData = tornado.bars.map((bar) => [tornado.base, bar.low]);
+  const highData = tornado.bars.map((bar) => [tornado.base, bar.high]);
+
+  if (tornadoChart) {
+    tornadoChart.data.labels = labels;
+    tornadoChart.data.datasets[0].data = lowData;
+    tornadoChart.data.datasets[0].label = t("Input -{swing}%", { swing: formatNumber(swingPercent) });
+    tornadoChart.data.datasets[1].data = highData;
+    tornadoChart.data.datasets[1].label = t("Input +{swing}%", { swing: formatNumber(swingPercent) });
+    tornadoChart.options.scales.x.title.text = t("Final-year difference (Rent - Sell)");
+    tornadoChart.update("none");
+    return;
+  }
+
+  const ctx = document.getElementById("tornadoChart").getContext("2d");
+  tornadoChart = new Chart(ctx, {
+    type: "bar",
+    data: {
+      labels,
+      datasets: [
+        { label: t("Input -{swing}%", { swing: formatNumber(swingPercent) }), data: lowData, backgroundColor: "rgba(248, 113, 113, 0.7)", grouped: false },
+        { label: t("Input +{swing}%", { swing: formatNumber(swingPercent) }), data: highData, backgroundColor: "rgba(74, 222, 128, 0.7)", grouped: false },
+      ],
+    },
+    options: {
+      indexAxis: "y",
+      responsive: true,
+      maintainAspectRatio: false,
+      animation: false,
+      plugins: {
+        legend: { labels: { color: "#e4e4e4" } },
+        tooltip: {
+          callbacks: {
+            label: function (context) {
+              const bar = tornadoData.bars[context.dataIndex];
+              const isLow = context.datasetIndex === 0;
+              const inputValue = formatNumber(isLow ? bar.lowValue : bar.highValue);
+              const difference = formatCurrency(isLow ? bar.low : bar.high);
+              return `${context.dataset.label} (${inputValue}): ${difference}`;
+            },
+          },
+        },
+      },
+      scales: {
+        x: {
+          ticks: {
+            color: "#888",
+            callback: function (value) {
+              return formatCurrency(value);
+            },
+          },
+          grid: { color: "rgba(255,255,255,0.1)" },
+          title: { display: true, text: t("Final-year difference (Rent - Sell)"), color: "#888" },
+        },
+        y: {
+          ticks: { color: "#888" },
+          grid: { display: false },
+        },
+      },
+    },
+  });
+}
+
+/**
+ * Draw the breakeven heatmap: green where renting wins, blue where selling wins,
+ * shaded by margin, with the breakeven contour and the current scenario marked
+ */
+function drawHeatmap(canvas, heatmap, params) {
+  const ctx = canvas.getContext("2d");
+  if (!ctx) return;
+  const margin = { top: 10, right: 10, bottom: 50, left: 70 };
+  const plotWidth = canvas.width - margin.left - margin.right;
+  const plotHeight = canvas.height - margin.top - margin.bottom;
+  const { xValues, yValues, differences } = heatmap;
+  const cellWidth = plotWidth / xValues.length;
+  const cellHeight = plotHeight / yValues.length;
+  const maxMagnitude = Math.max(1, ...differences.flat().map(Math.abs));
+
+  // Grid coordinates (cell centers) to canvas pixels; y runs upward
+  const toX = (i) => margin.left + (i + 0.5) * cellWidth;
+  const toY = (j) => margin.top + (yValues.length - j - 0.5) * cellHeight;
+
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+  differences.forEach((row, j) => {
+    row.forEach((difference, i) => {
+      const alpha = 0.15 + 0.75 * Math.min(1, Math.abs(difference) / maxMagnitude);
+      ctx.fillStyle = difference >= 0 ? `rgba(74, 222, 128, ${alpha})` : `rgba(96, 165, 250, ${alpha})`;
+      ctx.fillRect(toX(i) - cellWidth / 2, toY(j) - cellHeight / 2, cellWidth, cellHeight);
+    });
+  });
+
+  // Breakeven line
+  ctx.strokeStyle = "#fbbf24";
+  ctx.lineWidth = 3;
+  ctx.beginPath();
+  breakevenSegments(differences).forEach(([a, b]) => {
+    ctx.moveTo(toX(a.x), toY(a.y));
+    ctx.lineTo(toX(b.x), toY(b.y));
+  });
+  ctx.stroke();
+
+  // Current scenario (if it falls inside the ranges)
+  const position = (value, values) => ((value - values[0]) / (values[values.length - 1] - values[0])) * (values.length - 1);
+  const currentX = position(params[heatmap.xKey], xValues);
+  const currentY = position(params[heatmap.yKey], yValues);
+  if (currentX >= 0 && currentX <= xValues.length - 1 && currentY >= 0 && currentY <= yValues.length - 1) {
+    ctx.fillStyle = "#fff";
+    ctx.beginPath();
+    ctx.arc(toX(currentX), toY(currentY), 5, 0, 2 * Math.PI);
+    ctx.fill();
+  }
+
+  // Axis ticks and titles
+  ctx.fillStyle = "#888";
+  ctx.font = "12px sans-serif";
+  const tickEvery = Math.ceil(xValues.length / 6);
+  ctx.textAlign = "center";
+  ctx.textBaseline = "top";
+  for (let i = 0; i < xValues.length; i += tickEvery) {
+    ctx.fillText(formatNumber(xValues[i]), toX(i), margin.top + plotHeight + 6);
+  }
+  ctx.fillText(labelFor(heatmap.xKey), margin.left + plotWidth / 2, margin.top + plotHeight + 28);
+  ctx.textAlign = "right";
+  ctx.textBaseline = "middle";
+  for (let j = 0; j < yValues.length; j += tickEvery) {
+    ctx.fillText(formatNumber(yValues[j]), margin.left - 6, toY(j));
+  }
+  ctx.save();
+  ctx.translate(14, margin.top + plotHeight / 2);
+  ctx.rotate(-Math.PI / 2);
+  ctx.textAlign = "center";
+  ctx.fillText(labelFor(heatmap.yKey), 0, 0);
+  ctx.restore();
+}
+
+// Cross-input warnings, by assumptionWarnings type
+const WARNING_TEXT = {
+  loanOverPrice: "The original loan ({loan}) is more than the purchase price ({price}). Check both amounts.",
+  paidOff: "The loan was paid off in {date}, before the hold starts, so there are no mortgage payments. Check the loan origination date and term.",
+  holdPastTerm: "The hold runs past the end of the mortgage in {date}, so the last years have no mortgage payment.",
+  noManager: "No management fee, but you'll live out of state. Owners far from the property usually pay a manager (often 8-10% of rent).",
+};
+
+/**
+ * Warning text with its amounts and dates filled in
+ * @param {Object} warning - assumptionWarnings entry
+ * @param {Object} params
+ * @param {Object} loan - projectLoan result
+ * @returns {string}
+ */
+function describeWarning(warning, params, loan) {
+  return t(WARNING_TEXT[warning.type], {
+    loan: formatCurrency(params.originalLoanAmount),
+    price: formatCurrency(params.purchasePrice),
+    date: formatMonth(warning.type === "paidOff" ? loan.payoffDate : loan.baselinePayoffDate),
+  });
+}
+
+/**
+ * Outline the inputs behind the current warnings
+ * @param {Object[]} warnings - assumptionWarnings result
+ */
+function markWarnedInputs(warnings) {
+  const warned = new Set(warnings.flatMap((warning) => warning.inputs));
+  Object.entries(inputs).forEach(([key, el]) => {
+    if (el) el.classList.toggle("has-warning", warned.has(key));
+  });
+}
+
+/**
+ * Update summary section
+ * @param {Object[]} data - projectScenario output
+ * @param {Object} loan - projectLoan result
+ * @param {string[]} [warnings=[]] - Cross-input warnings, listed above the results
+ */
+function updateSummary(data, loan, warnings = []) {
+  const finalYear = inShownDollars(data)[data.length - 1];
+  const symbol = currencySymbol(activeLocale, inputs.currency.value);
+  const basis = t(todaysDollarsRate() === null ? "future {currency}" : "today's {currency}", { currency: symbol });
+  // Update: User requested "Rent Now + Sell Later" (Cash Out + Rent P/L)
+  const endRentalValue = finalYear.simpleRentalNetWorth;
+
+  // Update: User requested "Sell Now + Invest Proceeds" (Sell Year 0 + Invest)
   const endSellValue = finalYear.sellYear0Total;
   
   const difference = endRentalValue - endSellValue;
 
+  // Both strategies' final net worth discounted to today at the hurdle rate
+  const discountRate = validNumber("discountRate") || 0;
+  const pvBasis = t("PV at {rate}", { rate: formatRate(discountRate) });
+  const nominalFinal = data[data.length - 1];
+  const rentPV = presentValue(nominalFinal.simpleRentalNetWorth, discountRate, monthsFromToday(nominalFinal));
+  const sellPV = presentValue(nominalFinal.sellYear0Total, discountRate, monthsFromToday(nominalFinal));
+
+  // Monte Carlo odds at the final year (only when simulation is on)
+  const simulation = simulationFor(data);
+  const simulationHTML = simulation ? `
+            <div class="summary-item">
+                <div class="label">${t("Probability Renting Beats Selling ({paths} paths)", { paths: formatNumber(simulation.paths) })}</div>
+                <div class="value neutral">${formatPercent(simulation.probabilityRentWins[finalYear.year])}</div>
+            </div>` : "";
+
+  // Loan payoff (with any prepayments)
+  const isPaidOff = loan.schedule.payoffPayment <= loan.monthsElapsed;
+  const payoffText = isPaidOff ? t("Paid off") : formatMonth(loan.payoffDate);
+
+  // Every crossover (to the month), or who leads throughout
+  const crossovers = findCrossovers(currentMonthlyData);
+  const crossoverText = crossovers.length > 0
+    ? crossovers.map(describeCrossover).join("; ")
+    : t(data[data.length - 1].betterOption === "rent" ? "Renting leads in every year (no crossover)" : "Selling leads in every year (no crossover)");
+
+  const warningsHTML = warnings.length > 0
+    ? `<ul class="summary-warnings">${warnings.map((text) => `<li>⚠️ ${text}</li>`).join("")}</ul>`
+    : "";
+
   const summary = document.getElementById("summary");
   
   const summaryHTML = `
-        <h3>📊 Summary at Year ${finalYear.year}</h3>
+        <h3>📊 ${t("Summary at {period}", { period: periodLabel(finalYear) })}</h3>
+        ${warningsHTML}
         <div class="summary-grid">
             <div class="summary-item">
-                <div class="label">Rent Now + Sell Later</div>
-                <div class="value ${endRentalValue >= 0 ? "positive" : "negative"}">${formatCurrency(endRentalValue)}</div>
+                <div class="label">${t("Rent Now + Sell Later")}${inputs.exitStrategy.value === "exchange1031" ? ` ${t("(1031 Exchange)")}` : ""}</div>
+                <div class="value ${endRentalValue >= 0 ? "positive" : "negative"}">${formatCurrency(endRentalValue, basis)}</div>
+            </div>
+            <div class="summary-item">
+                <div class="label">${t("Sell Now + Invest Proceeds")}</div>
+                <div class="value ${endSellValue >= 0 ? "positive" : "negative"}">${formatCurrency(endSellValue, basis)}</div>
+            </div>
+            <div class="summary-item">
+                <div class="label">${t("Difference (Rent - Sell)")}</div>
+                <div class="value ${difference >= 0 ? "positive" : "negative"}">${formatCurrency(difference, basis)}</div>
             </div>
             <div class="summary-item">
-                <div class="label">Sell Now + Invest Proceeds</div>
-                <div class="value ${endSellValue >= 0 ? "positive" : "negative"}">${formatCurrency(endSellValue)}</div>
+                <div class="label">${t("Better Option")}</div>
+                <div class="value neutral">${t(difference >= 0 ? "🏠 Rent" : "💰 Sell")}</div>
             </div>
             <div class="summary-item">
-                <div class="label">Difference (Rent - Sell)</div>
-                <div class="value ${difference >= 0 ? "positive" : "negative"}">${formatCurrency(difference)}</div>
+                <div class="label">${t("Present Value of Renting")}</div>
+                <div class="value ${rentPV >= 0 ? "positive" : "negative"}">${formatCurrency(rentPV, pvBasis)}</div>
             </div>
             <div class="summary-item">
-                <div class="label">Better Option</div>
-                <div class="value neutral">${difference >= 0 ? "🏠 Rent" : "💰 Sell"}</div>
+                <div class="label">${t("Present Value of Selling")}</div>
+                <div class="value ${sellPV >= 0 ? "positive" : "negative"}">${formatCurrency(sellPV, pvBasis)}</div>
+            </div>${simulationHTML}
+            <div class="summary-item">
+                <div class="label">${t("Loan Payoff")}</div>
+                <div class="value neutral">${payoffText}</div>
+            </div>
+            <div class="summary-item">
+                <div class="label">${t("Interest Saved by Prepaying")}</div>
+                <div class="value ${loan.interestSaved > 0 ? "positive" : "neutral"}">${formatCurrency(loan.interestSaved)}</div>
             </div>
         </div>
+        <p class="summary-crossovers">📍 ${crossoverText}</p>
     `;
   
   summary.innerHTML = summaryHTML;
 }
 
+// Saved scenarios and portfolio properties live in localStorage; fall back to memory (this page only) where it's blocked
+const scenarioStorage = (() => {
+  try {
+    const storage = window.localStorage;
+    storage.getItem("test");
+    return storage;
+  } catch (e) {
+    const items = {};
+    return { getItem: (key) => items[key] ?? null, setItem: (key, value) => { items[key] = String(value); } };
+  }
+})();
+
+// Overlay colors for compared scenarios, in comparison order
+const SCENARIO_COLORS = ["#f472b6", "#fbbf24", "#a78bfa", "#fb923c"];
+
+// View settings that aren't part of a scenario (don't change the projection)
+const VIEW_KEYS = [
+  "sensitivitySwing", "heatmapX", "heatmapXMin", "heatmapXMax", "heatmapY", "heatmapYMin", "heatmapYMax",
+  "goalSeekKey", "goalSeekTarget", "goalSeekYear", "backtestStart", "resolution",
+  "dollarBasis", "realDollarRate",
+];
+
 /**
- * Save all current input values to URL search parameters.
- * Uses history.replaceState to avoid polluting browser history.
+ * Input values with view-only settings left out
+ * @param {Object} values - Input id → value
+ * @returns {Object}
  */
-function saveToURL() {
-  const params = new URLSearchParams();
+function scenarioValues(values) {
+  const result = { ...values };
+  VIEW_KEYS.forEach((key) => delete result[key]);
+  return result;
+}
 
-  Object.entries(inputs).forEach(([key, el]) => {
-    if (!el || key === "monthlyPI") return; // Skip calculated field
-    params.set(key, el.value);
+/**
+ * Re-read saved scenarios, re-project the compared ones and redraw the list
+ */
+function refreshScenarios() {
+  const scenarios = loadScenarios(scenarioStorage);
+  comparisons = scenarios
+    .filter((scenario) => scenario.compared)
+    .map((scenario, i) => {
+      const values = { ...DEFAULT_VALUES, ...migrateValues(scenario.values) };
+      return { name: scenario.name, values, color: SCENARIO_COLORS[i], data: projectScenario(readParams(values)) };
+    });
+  renderScenarioList(scenarios);
+}
+
+/**
+ * Render the saved scenario list with compare, load and delete controls
+ */
+function renderScenarioList(scenarios) {
+  const table = document.getElementById("scenarioTable");
+  const tbody = table.querySelector("tbody");
+  tbody.innerHTML = "";
+  table.classList.toggle("hidden", scenarios.length === 0);
+  document.getElementById("scenarioEmpty").classList.toggle("hidden", scenarios.length > 0);
+
+  const comparedCount = scenarios.filter((scenario) => scenario.compared).length;
+  scenarios.forEach((scenario) => {
+    const row = document.createElement("tr");
+
+    const nameCell = createCell("");
+    const comparison = comparisons.find((c) => c.name === scenario.name);
+    if (comparison) {
+      const swatch = document.createElement("span");
+      swatch.className = "scenario-swatch";
+      swatch.style.background = comparison.color;
+      nameCell.appendChild(swatch);
+    }
+    nameCell.appendChild(document.createTextNode(scenario.name));
+    row.appendChild(nameCell);
+    row.appendChild(createCell(new Date(scenario.savedAt).toLocaleDateString(activeLocale)));
+
+    const compareCell = createCell("");
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.checked = scenario.compared;
+    checkbox.disabled = !scenario.compared && comparedCount >= MAX_COMPARED;
+    checkbox.title = checkbox.disabled ? t("Up to {count} scenarios can be compared", { count: MAX_COMPARED }) : "";
+    checkbox.setAttribute("aria-label", t("Compare {name}", { name: scenario.name }));
+    checkbox.addEventListener("change", () => {
+      setCompared(scenarioStorage, scenario.name, checkbox.checked);
+      refreshScenarios();
+      calculate();
+    });
+    compareCell.appendChild(checkbox);
+    row.appendChild(compareCell);
+
+    const actionsCell = createCell("");
+    const actions = document.createElement("div");
+    actions.className = "scenario-actions";
+    const loadButton = document.createElement("button");
+    loadButton.type = "button";
+    loadButton.className = "add-button";
+    loadButton.textContent = t("Load");
+    loadButton.setAttribute("aria-label", t("Load {name} into the inputs", { name: scenario.name }));
+    loadButton.addEventListener("click", () => {
+      applyInputValues({ ...DEFAULT_VALUES, ...migrateValues(scenario.values) });
+      document.getElementById("scenarioName").value = scenario.name;
+      renderRateChanges();
+      renderCapitalExpenditures();
+      renderImprovementLedger();
+      calculate();
+    });
+    const deleteButton = document.createElement("button");
+    deleteButton.type = "button";
+    deleteButton.className = "remove-button";
+    deleteButton.textContent = t("Delete");
+    deleteButton.setAttribute("aria-label", t("Delete {name}", { name: scenario.name }));
+    deleteButton.addEventListener("click", () => {
+      deleteScenario(scenarioStorage, scenario.name);
+      refreshScenarios();
+      calculate();
+    });
+    actions.appendChild(loadButton);
+    actions.appendChild(deleteButton);
+    actionsCell.appendChild(actions);
+    row.appendChild(actionsCell);
+
+    tbody.appendChild(row);
+  });
+}
+
+document.getElementById("saveScenario").addEventListener("click", () => {
+  const nameInput = document.getElementById("scenarioName");
+  const name = nameInput.value.trim() || t("Scenario {number}", { number: loadScenarios(scenarioStorage).length + 1 });
+  nameInput.value = name;
+  saveScenario(scenarioStorage, name, { v: String(SCHEMA_VERSION), ...scenarioValues(validateInputs()) });
+  refreshScenarios();
+  calculate();
+});
+
+/**
+ * Display text for an input value (option text for selects, readable rate changes)
+ * @param {string} key - Input id
+ * @param {string} value
+ * @returns {string}
+ */
+function formatInputValue(key, value) {
+  if (value === undefined || value === "") return "—";
+  if (key === "rateChanges") {
+    return parseRateChanges(value).map((c) => `${t("Year {year}", { year: c.year })}: ${formatInputAmount("interestRate", c.rate)}`).join(", ");
+  }
+  if (key === "improvementLedger") {
+    return parseImprovementLedger(value)
+      .map((c) => `${c.date || t("Undated")}: ${formatCurrency(c.amount)}${c.description ? ` ${c.description}` : ""}`)
+      .join(", ");
+  }
+  if (key === "capitalExpenditures") {
+    return parseCapitalExpenditures(value)
+      .map((c) => `${t("Year {year}", { year: c.year })}: ${formatCurrency(c.amount)}${c.description ? ` ${c.description}` : ""}`)
+      .join(", ");
+  }
+  const el = inputs[key];
+  if (el && el.tagName === "SELECT") {
+    const option = Array.from(el.options).find((o) => o.value === value);
+    return option ? option.textContent : value;
+  }
+  return el && isNumberInput(el) ? formatInputAmount(key, parseFloat(value)) : value;
+}
+
+/**
+ * Final-year results for one scenario, formatted for the diff table
+ * (each at its own final year, since horizons can differ)
+ * @returns {Object} Result label → text
+ */
+function finalResults(data) {
+  const finalYear = data[data.length - 1];
+  const difference = finalYear.simpleRentalNetWorth - finalYear.sellYear0Total;
+  return {
+    [t("Final Year")]: t("Year {year}", { year: finalYear.year }),
+    [t("Rent Now + Sell Later")]: formatCurrency(finalYear.simpleRentalNetWorth),
+    [t("Sell Now + Invest Proceeds")]: formatCurrency(finalYear.sellYear0Total),
+    [t("Difference (Rent - Sell)")]: formatCurrency(difference),
+    [t("Better Option")]: t(difference >= 0 ? "Rent" : "Sell"),
+  };
+}
+
+/**
+ * Update the diff table: inputs and final results that differ between
+ * the current inputs and each compared scenario
+ */
+function updateScenarioDiff(data) {
+  const container = document.getElementById("scenarioDiff");
+  container.classList.toggle("hidden", comparisons.length === 0);
+  if (comparisons.length === 0) return;
+
+  const columns = [
+    { name: t("Current inputs"), values: scenarioValues(currentValues), results: finalResults(data) },
+    ...comparisons.map((c) => ({ name: c.name, color: c.color, values: c.values, results: finalResults(c.data) })),
+  ];
+
+  const table = document.getElementById("scenarioDiffTable");
+  const headRow = document.createElement("tr");
+  ["", ...columns.map((column) => column.name)].forEach((text, i) => {
+    const th = document.createElement("th");
+    th.textContent = text;
+    if (i > 0 && columns[i - 1].color) th.style.color = columns[i - 1].color;
+    headRow.appendChild(th);
+  });
+  table.querySelector("thead").replaceChildren(headRow);
+
+  const tbody = table.querySelector("tbody");
+  tbody.innerHTML = "";
+  const addRow = (label, cells) => {
+    const row = document.createElement("tr");
+    row.appendChild(createCell(label));
+    cells.forEach((text) => row.appendChild(createCell(text)));
+    tbody.appendChild(row);
+  };
+
+  differingKeys(columns.map((column) => column.values)).forEach((key) => {
+    addRow(labelFor(key), columns.map((column) => formatInputValue(key, column.values[key])));
+  });
+  differingKeys(columns.map((column) => column.results)).forEach((key) => {
+    addRow(key, columns.map((column) => column.results[key]));
+  });
+}
+
+// Bar colors for portfolio properties, in list order (repeats past eight)
+const PROPERTY_COLORS = ["#00d4ff", "#4ade80", "#f472b6", "#fbbf24", "#a78bfa", "#fb923c", "#f87171", "#94a3b8"];
+
+/**
+ * Project every portfolio property and redraw the portfolio section.
+ * Skipped while collapsed since it runs one projection per property.
+ */
+function updatePortfolio() {
+  const details = document.getElementById("portfolioDetails");
+  if (!details.open) return;
+
+  const properties = loadPortfolio(scenarioStorage).map((property) => {
+    const params = readParams({ ...DEFAULT_VALUES, ...migrateValues(property.values) });
+    return {
+      name: property.name,
+      values: property.values,
+      yearsToHold: params.yearsToHold,
+      investmentReturn: params.investmentReturn,
+      yearlyData: projectScenario(params),
+    };
+  });
+  const portfolio = properties.length > 0 ? combinePortfolio(properties) : null;
+
+  document.getElementById("portfolioEmpty").classList.toggle("hidden", properties.length > 0);
+  document.getElementById("portfolioTable").classList.toggle("hidden", properties.length === 0);
+  document.getElementById("portfolioResults").classList.toggle("hidden", properties.length === 0);
+  renderPortfolioList(properties, portfolio);
+  if (!portfolio) return;
+
+  const { horizon, holdAll, suggestion } = portfolio;
+  const sold = suggestion ? portfolio.properties.find((s) => s.name === suggestion.name) : null;
+  const withSale = holdAll.map((total, year) => (sold ? total - sold.hold[year] + sold.sell[year] : total));
+  const sellAll = portfolio.properties.reduce((total, s) => total + s.sell[horizon], 0);
+
+  const items = [
+    [t("Horizon"), t("Year {year}", { year: horizon }), "neutral"],
+    [t("Keep Everything"), formatCurrency(holdAll[horizon]), holdAll[horizon] >= 0 ? "positive" : "negative"],
+    [t("Sell Everything Now"), formatCurrency(sellAll), sellAll >= 0 ? "positive" : "negative"],
+    [t("Sell First"), suggestion ? suggestion.name : t("Keep everything"), "neutral"],
+    [t("Gain From That Sale"), formatCurrency(suggestion ? suggestion.total - holdAll[horizon] : 0), suggestion ? "positive" : "neutral"],
+  ];
+  renderSummaryItems(document.getElementById("portfolioSummary"), items);
+
+  document.getElementById("portfolioSaleHeading").textContent = sold
+    ? t("Net Worth (Sell {name} Now)", { name: sold.name })
+    : t("Net Worth (Suggested Sale)");
+  const tbody = document.querySelector("#portfolioYearsTable tbody");
+  tbody.innerHTML = "";
+  holdAll.forEach((total, year) => {
+    const row = document.createElement("tr");
+    row.appendChild(createCell(t("Year {year}", { year })));
+    row.appendChild(createCell(formatCurrency(portfolio.cashFlow[year]), portfolio.cashFlow[year] >= 0 ? "positive" : "negative"));
+    row.appendChild(createCell(formatCurrency(total), total >= 0 ? "positive" : "negative"));
+    row.appendChild(createCell(sold ? formatCurrency(withSale[year]) : "—"));
+    tbody.appendChild(row);
+  });
+
+  drawPortfolioChart(portfolio, sold ? { name: sold.name, data: withSale } : null);
+}
+
+document.getElementById("portfolioDetails").addEventListener("toggle", updatePortfolio);
+
+/**
+ * Render the property list with each property's horizon results and load/remove controls
+ */
+function renderPortfolioList(properties, portfolio) {
+  const tbody = document.querySelector("#portfolioTable tbody");
+  tbody.innerHTML = "";
+  properties.forEach((property, i) => {
+    const series = portfolio.properties[i];
+    const sale = portfolio.sales.find((s) => s.name === property.name);
+    const row = document.createElement("tr");
+
+    const nameCell = createCell("");
+    const swatch = document.createElement("span");
+    swatch.className = "scenario-swatch";
+    swatch.style.background = PROPERTY_COLORS[i % PROPERTY_COLORS.length];
+    nameCell.appendChild(swatch);
+    nameCell.appendChild(document.createTextNode(property.name));
+    row.appendChild(nameCell);
+    row.appendChild(createCell(formatNumber(property.yearsToHold)));
+    row.appendChild(createCell(formatCurrency(series.hold[portfolio.horizon])));
+    row.appendChild(createCell(formatCurrency(series.sell[portfolio.horizon])));
+    row.appendChild(createCell(formatCurrency(sale.total), sale === portfolio.suggestion ? "positive" : ""));
+
+    const actionsCell = createCell("");
+    const actions = document.createElement("div");
+    actions.className = "scenario-actions";
+    const loadButton = document.createElement("button");
+    loadButton.type = "button";
+    loadButton.className = "add-button";
+    loadButton.textContent = t("Load");
+    loadButton.setAttribute("aria-label", t("Load {name} into the inputs", { name: property.name }));
+    loadButton.addEventListener("click", () => {
+      applyInputValues({ ...DEFAULT_VALUES, ...migrateValues(property.values) });
+      document.getElementById("propertyName").value = property.name;
+      renderRateChanges();
+      renderCapitalExpenditures();
+      renderImprovementLedger();
+      calculate();
+    });
+    const removeButton = document.createElement("button");
+    removeButton.type = "button";
+    removeButton.className = "remove-button";
+    removeButton.textContent = t("Remove");
+    removeButton.setAttribute("aria-label", t("Remove {name} from the portfolio", { name: property.name }));
+    removeButton.addEventListener("click", () => {
+      removeProperty(scenarioStorage, property.name);
+      updatePortfolio();
+    });
+    actions.appendChild(loadButton);
+    actions.appendChild(removeButton);
+    actionsCell.appendChild(actions);
+    row.appendChild(actionsCell);
+
+    tbody.appendChild(row);
+  });
+}
+
+/**
+ * Draw the portfolio chart: one stacked bar per property (net worth when keeping
+ * everything) and a line for the total with the suggested sale
+ */
+function drawPortfolioChart(portfolio, sale) {
+  const datasets = portfolio.properties.map((series, i) => ({
+    type: "bar",
+    label: series.name,
+    data: series.hold,
+    backgroundColor: PROPERTY_COLORS[i % PROPERTY_COLORS.length],
+    stack: "keep",
+  }));
+  if (sale) {
+    datasets.push({
+      type: "line",
+      label: t("Sell {name} now", { name: sale.name }),
+      data: sale.data,
+      borderColor: "#e4e4e4",
+      borderDash: [6, 4],
+      pointRadius: 0,
+      stack: "sale",
+    });
+  }
+
+  // Property count changes the datasets, so rebuild rather than update
+  if (portfolioChart) portfolioChart.destroy();
+  const ctx = document.getElementById("portfolioChart").getContext("2d");
+  portfolioChart = new Chart(ctx, {
+    type: "bar",
+    data: { labels: portfolio.holdAll.map((_, year) => t("Year {year}", { year })), datasets },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      animation: false,
+      interaction: { mode: "index", intersect: false },
+      plugins: {
+        legend: { labels: { color: "#e4e4e4" } },
+        tooltip: {
+          callbacks: {
+            label: function (context) {
+              return `${context.dataset.label}: ${formatCurrency(context.parsed.y)}`;
+            },
+            footer: function (items) {
+              return t("Keep everything: {amount}", { amount: formatCurrency(portfolio.holdAll[items[0].dataIndex]) });
+            },
+          },
+        },
+      },
+      scales: {
+        x: {
+          stacked: true,
+          ticks: { color: "#888" },
+          grid: { display: false },
+        },
+        y: {
+          stacked: true,
+          ticks: {
+            color: "#888",
+            callback: function (value) {
+              return formatCurrency(value);
+            },
+          },
+          grid: { color: "rgba(255,255,255,0.1)" },
+        },
+      },
+    },
+  });
+}
+
+document.getElementById("addProperty").addEventListener("click", () => {
+  const nameInput = document.getElementById("propertyName");
+  const name = nameInput.value.trim() || t("Property {number}", { number: loadPortfolio(scenarioStorage).length + 1 });
+  nameInput.value = name;
+  saveProperty(scenarioStorage, name, { v: String(SCHEMA_VERSION), ...scenarioValues(validateInputs()) });
+  updatePortfolio();
+});
+
+document.getElementById("exportJSON").addEventListener("click", () => {
+  const name = document.getElementById("scenarioName").value.trim();
+  const file = createScenarioFile(scenarioValues(validateInputs()), { name });
+  const filename = `${(name || "holdorsell-scenario").replace(/[^\w-]+/g, "-")}.json`;
+  downloadFile(filename, JSON.stringify(file, null, 2), "application/json");
+});
+
+const importFile = document.getElementById("importFile");
+document.getElementById("importJSON").addEventListener("click", () => importFile.click());
+
+importFile.addEventListener("change", async () => {
+  const file = importFile.files[0];
+  if (!file) return;
+  const result = parseScenarioFile(await file.text());
+  importFile.value = ""; // Allow re-selecting the same file after fixing it
+  showImportErrors(file.name, result.errors);
+  if (result.errors.length > 0) return;
+
+  // Inputs the file leaves out get their defaults, not whatever was on screen
+  applyInputValues({ ...DEFAULT_VALUES, ...result.values });
+  document.getElementById("scenarioName").value = result.name;
+  renderRateChanges();
+  renderCapitalExpenditures();
+  renderImprovementLedger();
+  calculate();
+});
+
+/**
+ * Show why a scenario file couldn't be loaded (or clear the message)
+ * @param {string} filename
+ * @param {string[]} errors
+ */
+function showImportErrors(filename, errors) {
+  const container = document.getElementById("importErrors");
+  container.innerHTML = "";
+  container.classList.toggle("hidden", errors.length === 0);
+  if (errors.length === 0) return;
+
+  container.textContent = t("Couldn't load {filename}:", { filename });
+  const list = document.createElement("ul");
+  errors.forEach((error) => {
+    const item = document.createElement("li");
+    item.textContent = error;
+    list.appendChild(item);
+  });
+  container.appendChild(list);
+}
+
+/**
+ * Download generated content as a file
+ * @param {string} filename
+ * @param {string|Uint8Array} content
+ * @param {string} type - MIME type
+ */
+function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Input sheet rows: label and value for every input (numbers stay numeric)
+ * @returns {Array[]}
+ */
+function inputRows() {
+  const values = scenarioValues(validateInputs());
+  return [
+    [t("Input"), t("Value")],
+    ...Object.entries(values).map(([key, value]) => {
+      const isNumber = value !== "" && isFinite(Number(value)) && inputs[key].tagName !== "SELECT";
+      return [labelFor(key), isNumber ? Number(value) : formatInputValue(key, value)];
+    }),
+  ];
+}
+
+document.getElementById("exportCSV").addEventListener("click", () => {
+  downloadFile("holdorsell-projection.csv", toCSV(projectionRows(currentYearlyData)), "text/csv;charset=utf-8");
+});
+
+document.getElementById("exportXLSX").addEventListener("click", () => {
+  const workbook = buildXlsx([
+    { name: "Inputs", rows: inputRows() },
+    { name: "Projection", rows: projectionRows(currentYearlyData) },
+  ]);
+  downloadFile("holdorsell.xlsx", workbook, "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+});
+
+/**
+ * The line under the report title: when it was prepared and the scenario at a glance
+ * @returns {string}
+ */
+function reportHeading() {
+  const params = readParams(currentValues);
+  return t("Prepared {date} · Home value {value} · Rent {rent}/mo · {years}-year horizon", {
+    date: new Date().toLocaleDateString(activeLocale, { dateStyle: "long" }),
+    value: formatCurrency(params.currentHomeValue),
+    rent: formatCurrency(params.rentalPrice),
+    years: params.yearsToHold,
+  });
+}
+
+/**
+ * The main chart as a JPEG for the PDF report, drawn on the page's dark background
+ * (its labels are light, and JPEG has no transparency)
+ * @returns {Object|null} { data, width, height }, or null before the chart exists
+ */
+function chartImage() {
+  if (!chart) return null;
+  const canvas = document.createElement("canvas");
+  canvas.width = chart.canvas.width;
+  canvas.height = chart.canvas.height;
+  const context = canvas.getContext("2d");
+  context.fillStyle = "#16213e";
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.drawImage(chart.canvas, 0, 0);
+  const base64 = canvas.toDataURL("image/jpeg", 0.92).split(",")[1];
+  return { data: Uint8Array.from(atob(base64), (c) => c.charCodeAt(0)), width: canvas.width, height: canvas.height };
+}
+
+// PDF report: the summary as shown, the chart and the yearly table, written in the browser
+document.getElementById("exportPDF").addEventListener("click", () => {
+  const summary = document.getElementById("summary");
+  const pdf = buildPDF({
+    title: document.querySelector("h1").textContent,
+    subtitle: reportHeading(),
+    heading: summary.querySelector("h3").textContent,
+    summary: [...summary.querySelectorAll(".summary-item")].map((item) => [
+      item.querySelector(".label").textContent,
+      item.querySelector(".value").textContent,
+    ]),
+    notes: [...summary.querySelectorAll(".summary-warnings li, .summary-crossovers")].map((note) => note.textContent),
+    image: chartImage(),
+    table: [...document.querySelectorAll("#resultsTable tr")].map((row) => [...row.cells].map((cell) => cell.textContent)),
   });
+  downloadFile("holdorsell-report.pdf", pdf, "application/pdf");
+});
+
+// Printing the page (the browser's own print command) lays it out as a report under the same heading
+window.addEventListener("beforeprint", () => {
+  document.getElementById("printHeader").textContent = reportHeading();
+});
 
+/**
+ * Save all current input values to URL search parameters.
+ * Uses history.replaceState to avoid polluting browser history.
+ */
+function saveToURL() {
+  const params = new URLSearchParams({ v: SCHEMA_VERSION, ...readInputValues() });
   const newURL = `${window.location.pathname}?${params.toString()}`;
   history.replaceState(null, "", newURL);
 }
@@ -652,22 +2882,23 @@ function saveToURL() {
 /**
  * Load input values from URL search parameters.
  * If a parameter exists in the URL, it overwrites the HTML default.
+ * Links from older schema versions (or with no "v" at all) are migrated first.
  * Called once before the initial calculation.
  */
 function loadFromURL() {
   const params = new URLSearchParams(window.location.search);
   if (params.size === 0) return; // No params, use HTML defaults
 
-  Object.entries(inputs).forEach(([key, el]) => {
-    if (!el || key === "monthlyPI") return; // Skip calculated field
-    if (params.has(key)) {
-      el.value = params.get(key);
-    }
-  });
+  applyInputValues(migrateValues(Object.fromEntries(params)));
 }
 
+// HTML defaults, for filling in keys a saved scenario doesn't have
+const DEFAULT_VALUES = scenarioValues(readInputValues());
+
 // Load saved state from URL, then run initial calculation
 loadFromURL();
+renderRateChanges();
+renderCapitalExpenditures();
+renderImprovementLedger();
+refreshScenarios();
 calculate();
-
-})(); // End IIFE
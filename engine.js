@@ -0,0 +1,707 @@
+/**
+ * Rent vs Sell Calculation Engine
+ * Pure, DOM-free projection math shared by the browser UI and Node scripts/tests
+ */
+
+import {
+  balanceAfter,
+  buildAmortizationSchedule,
+  getMonthsElapsed,
+  getPaymentDate,
+  sumPayments,
+} from "./amortization.js";
+import {
+  calculateDepreciation,
+  calculateSaleTaxes,
+  calculateSection121,
+  splitSaleGain,
+  toMonthIndex,
+} from "./tax.js";
+import { addedIncomeTax, stateTransferTax, taxProfileFor } from "./tax-profiles.js";
+
+export {
+  calculateMonthlyPayment,
+  calculateRemainingBalance,
+  getMonthsElapsed,
+} from "./amortization.js";
+
+/**
+ * Hold year a dated event falls in: 0 if it's on or before asOf (or undated),
+ * 1 for the 12 months after asOf, and so on
+ * @param {string} date - YYYY-MM-DD
+ * @param {Date} asOf - "Today"
+ * @returns {number}
+ */
+export function holdYearFor(date, asOf) {
+  const monthsAhead = toMonthIndex(date) - toMonthIndex(asOf);
+  if (!(monthsAhead > 0)) return 0;
+  return Math.floor((monthsAhead - 1) / 12) + 1;
+}
+
+/**
+ * Build the loan's amortization schedule from today's position, with and without prepayments.
+ * @param {Object} params - Same params as projectScenario (only loan fields are used)
+ * @returns {Object} schedule, baseline (no prepayments), monthsElapsed, payoff dates and interest saved
+ */
+export function projectLoan(params) {
+  const {
+    loanOriginDate,
+    originalLoanAmount,
+    interestRate,
+    mortgageTerm,
+    extraPrincipal = 0,
+    lumpSums = [],
+    biweekly = false,
+    rateChanges = [],
+    asOf = new Date(),
+  } = params;
+
+  const monthsElapsed = getMonthsElapsed(loanOriginDate, asOf);
+  const loan = {
+    principal: originalLoanAmount,
+    annualRate: interestRate,
+    termMonths: mortgageTerm * 12,
+    startPayment: monthsElapsed,
+    // A change in hold year N takes effect with the first payment of that year
+    rateChanges: rateChanges.map((c) => ({
+      month: (c.year - 1) * 12 + 1,
+      rate: c.rate,
+      termMonths: c.term ? c.term * 12 : undefined,
+      closingCosts: c.closingCosts,
+      cashOut: c.cashOut,
+    })),
+  };
+  const schedule = buildAmortizationSchedule({ ...loan, extraMonthly: extraPrincipal, lumpSums, biweekly });
+  const baseline = buildAmortizationSchedule(loan);
+
+  return {
+    monthsElapsed,
+    schedule,
+    baseline,
+    payoffDate: getPaymentDate(loanOriginDate, schedule.payoffPayment),
+    baselinePayoffDate: getPaymentDate(loanOriginDate, baseline.payoffPayment),
+    interestSaved: baseline.totalInterest - schedule.totalInterest,
+  };
+}
+
+/**
+ * Project both strategies year by year.
+ *
+ * All rates are percentages (6 means 6%), all amounts are dollars.
+ * @param {Object} params
+ * @param {number} params.purchasePrice - Original purchase price (capital gains basis)
+ * @param {number} [params.purchaseClosingCosts=0] - Closing costs paid when buying (title, escrow, recording),
+ *   added to the basis
+ * @param {Object[]} [params.improvementLedger=[]] - Capital improvements by date: { date, amount, description? }.
+ *   Ones made by asOf are in the basis from Year 0; later ones are paid in cash (as entered, not inflated)
+ *   in the hold year they fall in, then added to the basis and depreciated like capital expenditures
+ * @param {string} params.loanOriginDate - Loan origination date (YYYY-MM-DD)
+ * @param {number} params.originalLoanAmount - Initial loan principal
+ * @param {number} params.interestRate - Annual mortgage rate
+ * @param {number} params.mortgageTerm - Mortgage term in years
+ * @param {number} params.currentHomeValue - Today's market value (Year 0)
+ * @param {number} params.monthlyHOA
+ * @param {number} params.monthlyTaxes
+ * @param {number} params.monthlyInsurance
+ * @param {number} params.monthlyMaintenance
+ * @param {number} params.rentalPrice - Monthly rent in Year 1
+ * @param {number} params.annualRentIncrease
+ * @param {number} params.propertyMgmtFee - % of rent
+ * @param {number} params.rentalTaxRate - Marginal tax rate on rental profit (flat tax mode)
+ * @param {number} params.homeAppreciation
+ * @param {number} params.costInflation
+ * @param {number} params.sellingFees - Agent commission, % of sale price
+ * @param {number} [params.transferTaxRate=0] - Seller's local transfer tax, % of sale price (on top of the state's)
+ * @param {number} [params.sellingTitleFees=0] - Seller's title, escrow and attorney fees, in today's dollars
+ * @param {number} [params.sellerConcessions=0] - Credits to the buyer, % of sale price
+ * @param {number} params.capitalGainsTax - Long-term capital gains rate (flat tax mode)
+ * @param {string} [params.taxMode="flat"] - "flat" uses the two rates above; "brackets" computes each year's
+ *   taxes from the federal brackets, NIIT and state income tax for filingStatus, otherIncome and taxState
+ * @param {number} [params.otherIncome=0] - Household taxable income besides this property, today's dollars
+ *   (brackets mode; it and the brackets are treated as rising with costInflation)
+ * @param {string} [params.taxState="none"] - Key of STATE_PROFILES: state income tax (brackets mode)
+ *   and the state's transfer tax on a sale (either mode)
+ * @param {number} params.investmentReturn
+ * @param {number} params.yearsToHold - Years to project (Year 0 through this year)
+ * @param {boolean} params.isPrimaryResidence - Lived here as a primary residence (Section 121 exclusion)
+ * @param {string} [params.filingStatus="mfj"] - "mfj", "single", "hoh" or "mfs" (sets the exclusion cap)
+ * @param {string} [params.moveInDate] - When you moved in (defaults to loanOriginDate)
+ * @param {string} [params.moveOutDate] - When you moved out (defaults to asOf, i.e. moving out at Year 0)
+ * @param {boolean} [params.unforeseenCircumstances=false] - Qualifies for a partial exclusion under 2 years of use
+ * @param {number} [params.landValuePercent=20] - Share of the property value that is land (not depreciable)
+ * @param {number} [params.vacancyRate=0] - % of rent lost to vacancy and collections in every rented month
+ * @param {number} [params.turnoverEveryYears=0] - A tenant leaves every N hold years (Year N, 2N, ...); 0 = never
+ * @param {number} [params.turnoverVacantMonths=0] - Months empty at each turnover
+ * @param {number} [params.turnoverCosts=0] - Make-ready and leasing fees per turnover, in today's dollars
+ * @param {Object[]} [params.capitalExpenditures=[]] - Big-ticket replacements: { year, amount, description? },
+ *   amount in today's dollars; added to the basis and depreciated over 27.5 years from that year
+ * @param {number} [params.extraPrincipal=0] - Recurring extra principal per month, starting next payment
+ * @param {Object[]} [params.lumpSums=[]] - One-time paydowns: { month, amount }, month 1 = next payment
+ * @param {boolean} [params.biweekly=false] - Pay half the P&I every two weeks
+ * @param {Object[]} [params.rateChanges=[]] - ARM resets/refinances: { year, rate, term?, closingCosts?, cashOut? },
+ *   effective from the first payment of that hold year (year >= 1)
+ * @param {boolean} [params.reinvestCashFlow=false] - Compound each year's rental cash flow at investmentReturn
+ *   (negative years are funded from savings at the same opportunity cost)
+ * @param {string} [params.exitStrategy="taxable"] - How the rental is sold later: "taxable", or "exchange1031"
+ *   to defer the sale's capital gains tax (and recapture) into a replacement property
+ * @param {Date} [params.asOf] - "Today" for loan age (defaults to now)
+ * @param {Object} [params.ratePaths] - Per-year overrides for homeAppreciation, investmentReturn,
+ *   annualRentIncrease and costInflation (arrays indexed by year; index 0 unused), used by simulations
+ * @param {number} [params.leaseRenewalMonth=0] - Calendar month (1-12) leases renew and rent increases take
+ *   effect, the first time at least a year after the lease starts next month; 0 = each hold year's first month
+ * @param {number} [params.saleMonth=12] - Month of the final hold year the rental is sold in (12 = its end)
+ * @returns {Object[]} One entry per year, Year 0 first
+ */
+export function projectScenario(params) {
+  return runProjection(params, false);
+}
+
+/**
+ * Project both strategies month by month: each hold month as if sold at its end.
+ *
+ * Balances, values and net worth are at the month's end; flows (cash flow, interest, rent tax,
+ * depreciation and so on) are that month's share of the year's. Income tax is figured on the
+ * year to date, so a month's rent tax can be negative when a loss releases tax accrued earlier.
+ * @param {Object} params - Same params as projectScenario
+ * @returns {Object[]} One entry per month, month 0 (today) first, each with a 1-based `month`
+ *   counting from next month alongside the projectScenario fields
+ */
+export function projectMonths(params) {
+  return runProjection(params, true);
+}
+
+// Fields that add up over a year; a monthly row holds just its month's part
+const FLOW_FIELDS = [
+  "netRentalCashFlow",
+  "refiClosingCosts",
+  "refiCashOut",
+  "mortgageInterest",
+  "netOperatingIncome",
+  "debtService",
+  "vacancyLoss",
+  "vacantMonths",
+  "turnoverCosts",
+  "capitalExpenditure",
+  "depreciation",
+  "taxableRentalIncome",
+  "rentalTax",
+];
+
+/**
+ * A monthly row from the year-to-date results through it and through the month before
+ * @param {Object} row - Results through this month
+ * @param {Object|null} yearToDate - Results through the previous month of the same year (null for its first)
+ * @returns {Object}
+ */
+function monthOf(row, yearToDate) {
+  const month = { month: row.year === 0 ? 0 : (row.year - 1) * 12 + row.months, ...row };
+  if (yearToDate) {
+    FLOW_FIELDS.forEach((field) => {
+      month[field] = row[field] - yearToDate[field];
+    });
+  }
+  return month;
+}
+
+/**
+ * The projection behind projectScenario and projectMonths: steps through each hold year
+ * month by month (rent renewals, the sale month and the exclusion deadline fall on months)
+ * @param {Object} params - projectScenario params
+ * @param {boolean} monthly - Return monthly rows instead of yearly
+ * @returns {Object[]}
+ */
+function runProjection(params, monthly) {
+  const {
+    purchasePrice,
+    purchaseClosingCosts = 0,
+    improvementLedger = [],
+    originalLoanAmount,
+    currentHomeValue,
+    monthlyHOA,
+    monthlyTaxes,
+    monthlyInsurance,
+    monthlyMaintenance,
+    rentalPrice,
+    annualRentIncrease,
+    propertyMgmtFee,
+    rentalTaxRate,
+    homeAppreciation,
+    costInflation,
+    sellingFees,
+    transferTaxRate = 0,
+    sellingTitleFees = 0,
+    sellerConcessions = 0,
+    capitalGainsTax,
+    taxMode = "flat",
+    otherIncome = 0,
+    taxState = "none",
+    investmentReturn,
+    yearsToHold,
+    isPrimaryResidence,
+    landValuePercent = 20,
+    vacancyRate = 0,
+    turnoverEveryYears = 0,
+    turnoverVacantMonths = 0,
+    turnoverCosts = 0,
+    capitalExpenditures = [],
+    reinvestCashFlow = false,
+    exitStrategy = "taxable",
+    loanOriginDate,
+    filingStatus = "mfj",
+    moveInDate,
+    moveOutDate,
+    unforeseenCircumstances = false,
+    asOf = new Date(),
+    ratePaths = {},
+    leaseRenewalMonth = 0,
+    saleMonth = 12,
+  } = params;
+
+  // Month-by-month loan schedule (includes any prepayments)
+  const { monthsElapsed, schedule } = projectLoan(params);
+
+  // Section 121 timeline, to the month (the loan origination stands in for the purchase date)
+  const residence = {
+    filingStatus,
+    acquiredMonth: toMonthIndex(loanOriginDate),
+    moveInMonth: toMonthIndex(moveInDate || loanOriginDate),
+    moveOutMonth: toMonthIndex(moveOutDate || asOf),
+    unforeseenCircumstances,
+  };
+  const asOfMonth = toMonthIndex(asOf);
+
+  // Cost basis at Year 0: price, purchase closing costs and improvements made so far
+  const priorImprovements = improvementLedger
+    .filter((improvement) => holdYearFor(improvement.date, asOf) === 0)
+    .reduce((total, improvement) => total + improvement.amount, 0);
+  const purchaseBasis = purchasePrice + purchaseClosingCosts + priorImprovements;
+
+  // A converted residence depreciates from the lower of cost basis or value at conversion (Year 0),
+  // building portion only
+  const depreciableBasis =
+    Math.min(purchaseBasis, currentHomeValue) * (1 - landValuePercent / 100);
+
+  // Federal brackets, NIIT and state tax for the filing status and state
+  const taxProfile = taxProfileFor(filingStatus, taxState);
+  const usesBrackets = taxMode === "brackets";
+
+  // Rate for a given year: the per-year path if one is given, else the fixed assumption
+  const rateFor = (key, fixedRate, year) => ratePaths[key]?.[year] ?? fixedRate;
+
+  // Growth over the first `months` months of a year at an annual rate (compounded monthly, so a
+  // full year is exactly the annual rate)
+  const growthOver = (rate, months) => (months === 12 ? 1 + rate / 100 : (1 + rate / 100) ** (months / 12));
+
+  // Rent steps up at each lease renewal, the first a full year after the lease starts in hold month 1.
+  // renewalMonth is the hold month (1-12) renewals fall in each year: the calendar month's, or 1
+  const renewalMonth = leaseRenewalMonth
+    ? (((leaseRenewalMonth - 2 - asOfMonth) % 12) + 12) % 12 + 1
+    : 1;
+  // Rent growth after each number of renewals (renewal N uses hold year N + 1's increase)
+  const rentFactors = [1];
+  for (let renewal = 1; renewal <= yearsToHold; renewal++) {
+    rentFactors.push(rentFactors[renewal - 1] * (1 + rateFor("annualRentIncrease", annualRentIncrease, renewal + 1) / 100));
+  }
+
+  // Totals at the end of the previous hold year
+  let carried = {
+    cumulativeRentalCashFlow: 0,
+    accumulatedDepreciation: 0,
+    suspendedLosses: 0, // Passive losses carried forward
+    capitalImprovements: 0, // Capital expenditures (and later ledger improvements) added to the basis
+    improvements: [], // { year, basis } for depreciating each capital expenditure
+    appreciationFactor: 1, // Cumulative growth factors, compounded one year at a time
+    inflationFactor: 1,
+    investmentFactor: 1,
+    sellYear0Baseline: 0,
+  };
+
+  /**
+   * One hold year's results through its first `months` months, as if sold at the end of them
+   * (12 = the year end, 0 = today for Year 0), from the totals carried into the year.
+   * Rent, costs and rental income tax cover those months; values and balances are at their end.
+   * @returns {Object} { row, carried }: the result, and the totals to carry into the next year
+   */
+  const projectYear = (year, months) => {
+    // Loan payments made before this year, and by the end of these months
+    const startMonth = monthsElapsed + Math.max(0, year - 1) * 12;
+    const futureMonthsElapsed = startMonth + months;
+    const perMonth = (amount) => (months > 0 ? amount / months : 0);
+
+    // Home values and investments compound through the months; costs step up once a year
+    // (tax bills, premiums and dues reset annually)
+    const appreciationFactor = year === 0 ? 1
+      : carried.appreciationFactor * growthOver(rateFor("homeAppreciation", homeAppreciation, year), months);
+    const inflationFactor = year === 0 ? 1
+      : carried.inflationFactor * (1 + rateFor("costInflation", costInflation, year) / 100);
+    const investmentFactor = year === 0 ? 1
+      : carried.investmentFactor * growthOver(rateFor("investmentReturn", investmentReturn, year), months);
+
+    // --- PROPERTY VALUES ---
+    // Home value: Year 0 uses user-provided current value, future years apply appreciation
+    const homeValue = currentHomeValue * appreciationFactor;
+
+    // Loan balance at the end of these months
+    const loanBalance = balanceAfter(schedule.rows, originalLoanAmount, futureMonthsElapsed);
+
+    // Loan payments made during these months (drops to 0 once the loan is paid off)
+    const loanPayments = sumPayments(schedule.rows, startMonth, futureMonthsElapsed);
+    const monthlyPI = perMonth(loanPayments.payment);
+    const monthlyExtraPrincipal = perMonth(loanPayments.extraPrincipal);
+
+    // Equity
+    const equity = homeValue - loanBalance;
+
+    // --- RENTAL SCENARIO (for this specific year) ---
+    // Rent this year: last year's until the renewal month, then the renewed rent
+    // (Year 1's lease runs the whole year)
+    const renewedRent = rentalPrice * rentFactors[Math.max(0, year - 1)];
+    const priorRent = rentalPrice * rentFactors[Math.max(0, year - 2)];
+    const monthsBeforeRenewal = year > 1 ? Math.min(months, renewalMonth - 1) : 0;
+    const currentRent = months > monthsBeforeRenewal ? renewedRent : priorRent; // Rent charged now
+
+    // Tenant turnover: the first months of the year empty, plus make-ready and leasing fees (inflated)
+    const isTurnoverYear = year > 0 && turnoverEveryYears > 0 && year % turnoverEveryYears === 0;
+    const vacantMonths = isTurnoverYear ? Math.min(months, turnoverVacantMonths) : 0;
+    const annualTurnoverCosts = isTurnoverYear ? turnoverCosts * inflationFactor : 0;
+
+    // Rent collected: the months let, less the general vacancy allowance
+    const vacantBeforeRenewal = Math.min(vacantMonths, monthsBeforeRenewal);
+    const rentDue = priorRent * monthsBeforeRenewal + renewedRent * (months - monthsBeforeRenewal);
+    const rentLet = priorRent * (monthsBeforeRenewal - vacantBeforeRenewal)
+      + renewedRent * (months - monthsBeforeRenewal - (vacantMonths - vacantBeforeRenewal));
+    const annualRentalIncome = rentLet * (1 - vacancyRate / 100);
+    const vacancyLoss = rentDue - annualRentalIncome;
+
+    // Capital expenditures this year (inflated) plus dated improvements falling in it (as entered),
+    // capitalized rather than expensed
+    const capitalExpenditure = year === 0 ? 0 : capitalExpenditures
+      .filter((capex) => capex.year === year)
+      .reduce((total, capex) => total + capex.amount * inflationFactor, 0)
+      + improvementLedger
+        .filter((improvement) => holdYearFor(improvement.date, asOf) === year)
+        .reduce((total, improvement) => total + improvement.amount, 0);
+    const capitalImprovements = carried.capitalImprovements + capitalExpenditure;
+    const improvements = capitalExpenditure > 0
+      ? [...carried.improvements, { year, basis: capitalExpenditure }]
+      : carried.improvements;
+
+    // Property management fee
+    const annualMgmtFee = annualRentalIncome * (propertyMgmtFee / 100);
+
+    // Expenses with inflation applied to non-fixed costs
+    // P&I follows the loan schedule, but taxes, insurance, HOA, and maintenance inflate
+    const inflatedTaxes = monthlyTaxes * inflationFactor;
+    const inflatedInsurance = monthlyInsurance * inflationFactor;
+    const inflatedHOA = monthlyHOA * inflationFactor;
+    const inflatedMaintenance = monthlyMaintenance * inflationFactor;
+    const monthlyOwnershipCost = monthlyPI + inflatedTaxes + inflatedInsurance + inflatedHOA + inflatedMaintenance;
+    const annualOwnershipCosts = monthlyOwnershipCost * months;
+
+    // Gross rental profit before tax (cash basis, so includes principal)
+    const grossRentalProfit =
+      annualRentalIncome - annualMgmtFee - annualOwnershipCosts - annualTurnoverCosts;
+
+    // Schedule E taxable income: only the interest part of P&I is deductible,
+    // plus operating costs (turnover costs included) and depreciation (a non-cash deduction)
+    const annualOperatingCosts =
+      (inflatedTaxes + inflatedInsurance + inflatedHOA + inflatedMaintenance) * months + annualTurnoverCosts;
+    // Net operating income: before debt service and income tax
+    const netOperatingIncome = annualRentalIncome - annualMgmtFee - annualOperatingCosts;
+    // Each capital expenditure is depreciated as if placed in service at the start of its year;
+    // part of a year gets its share of the year's depreciation
+    const yearDepreciation = calculateDepreciation(depreciableBasis, year) + improvements.reduce(
+      (total, improvement) => total + calculateDepreciation(improvement.basis, year - improvement.year + 1),
+      0,
+    );
+    const depreciation = months === 12 ? yearDepreciation : yearDepreciation * (months / 12);
+    const accumulatedDepreciation = carried.accumulatedDepreciation + depreciation;
+    const taxableRentalIncome = year === 0
+      ? 0
+      : annualRentalIncome - annualMgmtFee - annualOperatingCosts - loanPayments.interest - depreciation;
+
+    // Extra income tax from adding rental income or sale gains to the year's other income (brackets mode)
+    const addedTax = (added) => addedIncomeTax(taxProfile, otherIncome, added, inflationFactor);
+
+    // Passive losses can't offset other income, so they carry forward
+    // and are used up against later rental profit first
+    let suspendedLosses = carried.suspendedLosses;
+    let rentalTax = 0;
+    let taxedRentalIncome = 0;
+    if (taxableRentalIncome < 0) {
+      suspendedLosses -= taxableRentalIncome;
+    } else {
+      const lossesUsed = Math.min(suspendedLosses, taxableRentalIncome);
+      suspendedLosses -= lossesUsed;
+      taxedRentalIncome = taxableRentalIncome - lossesUsed;
+      rentalTax = usesBrackets
+        ? addedTax({ ordinary: taxedRentalIncome })
+        : taxedRentalIncome * (rentalTaxRate / 100);
+    }
+    // Rate on rental income this year: the average over what was taxed,
+    // or on the next dollar when nothing was (brackets mode)
+    let ordinaryTaxRate = rentalTaxRate;
+    if (usesBrackets) {
+      ordinaryTaxRate = taxedRentalIncome > 0 ? (rentalTax / taxedRentalIncome) * 100 : addedTax({ ordinary: 1 }) * 100;
+    }
+
+    // Net cash flow from rental this year
+    // Extra principal, refi closing costs and capital expenditures are cash out of pocket but not
+    // deductible expenses; cash-out refi proceeds are cash in hand (the matching debt is in the loan balance)
+    const netRentalCashFlow = grossRentalProfit - rentalTax - loanPayments.extraPrincipal
+      - loanPayments.closingCosts + loanPayments.cashOut - capitalExpenditure;
+
+    // For year 0, as per user request, we do not count any cash flow
+    // because that is the starting point/decision point
+    const yearCashFlow = year === 0 ? 0 : netRentalCashFlow;
+
+    // Update cumulative cash flow (add this year's total cash flow). When reinvesting,
+    // last year's running total earns this year's return first; a negative total is
+    // money drawn from savings, so it forgoes the same return
+    let cumulativeRentalCashFlow = carried.cumulativeRentalCashFlow;
+    if (reinvestCashFlow && year > 0) {
+      cumulativeRentalCashFlow *= growthOver(rateFor("investmentReturn", investmentReturn, year), months);
+    }
+    cumulativeRentalCashFlow += yearCashFlow;
+
+    // --- SALE SCENARIO ---
+    // Selling costs: percentages of the sale price plus flat title fees (inflated)
+    const sellingCostBreakdown = {
+      commission: homeValue * (sellingFees / 100),
+      transferTax: homeValue * (transferTaxRate / 100) + stateTransferTax(taxProfile, homeValue, inflationFactor),
+      titleFees: sellingTitleFees * inflationFactor,
+      concessions: homeValue * (sellerConcessions / 100),
+    };
+    const sellingCosts = Object.values(sellingCostBreakdown).reduce((total, cost) => total + cost, 0);
+
+    // Net proceeds before capital gains
+    const netSaleProceeds = homeValue - loanBalance - sellingCosts;
+
+    // Capital gains calculation
+    // Purchase closing costs and improvements raise the basis; depreciation taken while rented lowers it
+    // (simplified: the improvements don't raise the home value)
+    const adjustedBasis = purchaseBasis + capitalImprovements - accumulatedDepreciation;
+    const capitalGain = homeValue - adjustedBasis;
+
+    // Capital gains tax exemption for primary residence (IRS Section 121)
+    // - Must have lived in home 2 of last 5 years to qualify (checked to the month of sale)
+    // - Exemption is $250k single / $500k married filing jointly
+    // - Partial exclusion for unforeseen circumstances, none for pre-move-in rental use
+    // - Depreciation recapture is taxed at up to 25% and is never excluded
+    const section121 = isPrimaryResidence
+      ? calculateSection121({ ...residence, saleMonth: asOfMonth + Math.max(0, year - 1) * 12 + months })
+      : { exclusionCap: 0, nonqualifiedUseFraction: 0, monthsLeft: 0 };
+    let capitalGainsTaxOwed = 0; // Includes depreciation recapture
+    let depreciationRecaptureTax = 0;
+    // Rate on the taxable gain (brackets mode: the average over it, or on the next dollar when there's none)
+    let capitalGainsRate = usesBrackets ? addedTax({ capitalGains: 1 }) * 100 : capitalGainsTax;
+
+    // Check if underwater on the sale transaction itself
+    const isUnderwater = netSaleProceeds < 0;
+
+    if (capitalGain > 0 && !isUnderwater) {
+      // Primary Residence Exclusion applies, but only up to the cap
+      // (an underwater sale has no cash to pay taxes, simplified assumption)
+      const sale = {
+        gain: capitalGain,
+        accumulatedDepreciation,
+        exclusion: section121.exclusionCap,
+        nonqualifiedUseFraction: section121.nonqualifiedUseFraction,
+      };
+      if (usesBrackets) {
+        // Recapture stacks on the other income first, then the gain on top of both
+        const { recaptureGain, taxableGain } = splitSaleGain(sale);
+        depreciationRecaptureTax = addedTax({ recapture: recaptureGain });
+        capitalGainsTaxOwed = addedTax({ recapture: recaptureGain, capitalGains: taxableGain });
+        if (taxableGain > 0) capitalGainsRate = ((capitalGainsTaxOwed - depreciationRecaptureTax) / taxableGain) * 100;
+      } else {
+        const saleTaxes = calculateSaleTaxes({ ...sale, capitalGainsRate: capitalGainsTax, ordinaryRate: rentalTaxRate });
+        depreciationRecaptureTax = saleTaxes.recaptureTax;
+        capitalGainsTaxOwed = saleTaxes.capitalGainsTax + saleTaxes.recaptureTax;
+      }
+    }
+
+    // Selling the rental releases any suspended passive losses against ordinary income
+    const suspendedLossTaxSavings = usesBrackets
+      ? -addedTax({ ordinary: -suspendedLosses })
+      : suspendedLosses * (rentalTaxRate / 100);
+
+    // Net after-tax sale proceeds
+    const netAfterTaxProceeds = netSaleProceeds - capitalGainsTaxOwed + suspendedLossTaxSavings;
+
+    // A 1031 exchange rolls the whole equity into a replacement property: the gain (and recapture)
+    // is deferred and suspended losses carry over rather than being released.
+    // Selling now isn't an exchange (the home hasn't been held as a rental yet), so Year 0 is always taxable.
+    const exchangeValue = year === 0 ? netAfterTaxProceeds : netSaleProceeds;
+    const exitProceeds = exitStrategy === "exchange1031" ? exchangeValue : netAfterTaxProceeds;
+
+    // Capture Year 0 Baseline for Chart Comparison
+    const sellYear0Baseline = year === 0 ? netAfterTaxProceeds : carried.sellYear0Baseline;
+
+    // Calculate "Sell Year 0 Invested" for Chart
+    // User Rule: If Year 0 Proceeds (Baseline) is positive, grow it by investment return.
+    // If negative, show that negative value forever (no growth/debt interest).
+    const sellYear0Total = sellYear0Baseline > 0
+      ? sellYear0Baseline * investmentFactor
+      : sellYear0Baseline;
+
+    // Simple Net Worth (Net Proceeds + Actual Cash Flow) - requested by user for table
+    // User Update (Feb 2026): If Year 0 and we have positive proceeds, show $0 (don't show the cash out value).
+    // If Year 0 and negative (underwater), show the negative value.
+    let simpleRentalNetWorth = exitProceeds + cumulativeRentalCashFlow;
+    if (year === 0 && netAfterTaxProceeds > 0) {
+      simpleRentalNetWorth = 0;
+    }
+
+    // Year data (only properties used by live UI code)
+    const row = {
+      year,
+      months, // Months of the year covered: 12, fewer in a final year sold early, 0 for Year 0
+      homeValue,
+      loanBalance,
+      equity,
+      // Rental scenario
+      netRentalCashFlow: yearCashFlow,
+      refiClosingCosts: year === 0 ? 0 : loanPayments.closingCosts,
+      refiCashOut: year === 0 ? 0 : loanPayments.cashOut,
+      mortgageInterest: year === 0 ? 0 : loanPayments.interest,
+      netOperatingIncome: year === 0 ? 0 : netOperatingIncome,
+      debtService: year === 0 ? 0 : loanPayments.payment, // Scheduled P&I, without prepayments
+      vacancyLoss: year === 0 ? 0 : vacancyLoss,
+      vacantMonths,
+      turnoverCosts: annualTurnoverCosts,
+      capitalExpenditure,
+      capitalImprovements,
+      adjustedBasis,
+      depreciation,
+      accumulatedDepreciation,
+      taxableRentalIncome,
+      rentalTax,
+      ordinaryTaxRate, // % on rental income this year
+      capitalGainsRate, // % on the taxable gain if sold this year
+      suspendedLosses,
+      cumulativeRentalCashFlow: year === 0 ? 0 : cumulativeRentalCashFlow,
+      simpleRentalNetWorth,
+      // Sale scenario
+      sellingCosts,
+      sellingCostBreakdown,
+      capitalGainsTaxOwed,
+      depreciationRecaptureTax,
+      suspendedLossTaxSavings,
+      exclusionCap: section121.exclusionCap,
+      exclusionMonthsLeft: section121.monthsLeft,
+      netAfterTaxProceeds,
+      exchangeValue,
+      exitProceeds, // Whichever of the two the exit strategy uses
+      sellYear0Total, // For chart
+      // Comparison
+      betterOption: simpleRentalNetWorth > sellYear0Total ? "rent" : "sell",
+      monthlyBreakdown: {
+        rent: year === 0 ? 0 : currentRent,
+        expenses: year === 0 ? 0 : monthlyOwnershipCost + monthlyExtraPrincipal + perMonth(annualMgmtFee),
+      },
+    };
+
+    return {
+      row,
+      carried: {
+        cumulativeRentalCashFlow: row.cumulativeRentalCashFlow,
+        accumulatedDepreciation,
+        suspendedLosses,
+        capitalImprovements,
+        improvements,
+        appreciationFactor,
+        inflationFactor,
+        investmentFactor,
+        sellYear0Baseline,
+      },
+    };
+  };
+
+  // Step through the hold; the final year ends in the sale month
+  const yearlyData = [];
+  const monthlyData = [];
+  for (let year = 0; year <= yearsToHold; year++) {
+    const months = year === 0 ? 0 : year === yearsToHold ? saleMonth : 12;
+    const result = projectYear(year, months);
+    if (monthly) {
+      // Each month as if sold at its end, with the year's flows split into that month's share
+      let yearToDate = null;
+      for (let month = year === 0 ? 0 : 1; month <= months; month++) {
+        const { row } = month === months ? result : projectYear(year, month);
+        monthlyData.push(monthOf(row, yearToDate));
+        yearToDate = row;
+      }
+    }
+    yearlyData.push(result.row);
+    carried = result.carried;
+  }
+
+  return monthly ? monthlyData : yearlyData;
+}
+
+/**
+ * Every point where the hold and sell net worth lines cross, interpolated linearly between
+ * rows and rounded to the month
+ * @param {Object[]} yearlyData - projectScenario (or projectMonths) output
+ * @returns {Object[]} [{ year, months, leader }]: year is fractional (4.25 = Year 4, month 3),
+ *   months the same in whole months, leader the strategy ahead afterward ("rent" or "sell")
+ */
+export function findCrossovers(yearlyData) {
+  const crossovers = [];
+  for (let i = 1; i < yearlyData.length; i++) {
+    const before = yearlyData[i - 1].simpleRentalNetWorth - yearlyData[i - 1].sellYear0Total;
+    const after = yearlyData[i].simpleRentalNetWorth - yearlyData[i].sellYear0Total;
+    if ((before > 0) === (after > 0)) continue;
+    const start = monthsFromToday(yearlyData[i - 1]);
+    const months = Math.round(start + (monthsFromToday(yearlyData[i]) - start) * (before / (before - after)));
+    crossovers.push({ year: months / 12, months, leader: after > 0 ? "rent" : "sell" });
+  }
+  return crossovers;
+}
+
+/**
+ * Months from today to the end of a row (a final year sold early ends before its 12th month)
+ * @param {Object} d - projectScenario or projectMonths row
+ * @returns {number}
+ */
+export function monthsFromToday(d) {
+  return d.year === 0 ? 0 : (d.year - 1) * 12 + (d.months ?? 12);
+}
+
+/**
+ * Value today of an amount some months from now, discounted (or deflated) at an annual rate
+ * @param {number} amount
+ * @param {number} ratePercent - Annual rate, e.g. 3 = 3%
+ * @param {number} months - Months from today
+ * @returns {number}
+ */
+export function presentValue(amount, ratePercent, months) {
+  return amount / (1 + ratePercent / 100) ** (months / 12);
+}
+
+// Row fields that aren't dollar amounts, left as they are in today's dollars
+const NON_DOLLAR_FIELDS = new Set([
+  "year", "month", "months", "vacantMonths", "ordinaryTaxRate", "capitalGainsRate", "exclusionMonthsLeft",
+]);
+
+/**
+ * Rows restated in today's dollars: every dollar amount (nested breakdowns too) is deflated
+ * by inflation from today to the end of its row. Both strategies shrink by the same factor,
+ * so the better option and crossovers don't change.
+ * @param {Object[]} rows - projectScenario or projectMonths output
+ * @param {number} inflationRate - Annual inflation in percent
+ * @returns {Object[]} New rows
+ */
+export function inTodaysDollars(rows, inflationRate) {
+  const deflate = (row, factor) => {
+    const deflated = {};
+    Object.entries(row).forEach(([key, value]) => {
+      if (value && typeof value === "object") deflated[key] = deflate(value, factor);
+      else if (typeof value === "number" && !NON_DOLLAR_FIELDS.has(key)) deflated[key] = value / factor;
+      else deflated[key] = value;
+    });
+    return deflated;
+  };
+  return rows.map((row) => deflate(row, 1 / presentValue(1, inflationRate, monthsFromToday(row))));
+}
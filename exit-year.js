@@ -0,0 +1,46 @@
+/**
+ * Exit Year
+ * Compares selling in every year from today to 30 years out (in the chosen sale month),
+ * each sale's proceeds invested until the same horizon, to find the year that leaves the most net worth
+ */
+import { projectScenario } from "./engine.js";
+
+// Latest exit year considered, and the horizon every exit is carried to
+export const MAX_EXIT_YEAR = 30;
+
+/**
+ * Net worth at a common horizon for each exit year.
+ *
+ * Exit year 0 is selling today (the sell scenario). Exit year N holds and rents into
+ * year N, sells in the sale month (the rent scenario's net worth then, as the main
+ * projection with N years to hold has it), then invests everything at the investment
+ * return until the end of the horizon year.
+ * @param {Object} params - projectScenario params (yearsToHold is ignored)
+ * @param {number} [horizon=MAX_EXIT_YEAR] - Year every exit is compared at
+ * @returns {Object} {
+ *   horizon,
+ *   exits: [{ year, saleNetWorth, terminalWealth }], // by exit year 0..horizon
+ *   best                                             // exit with the most terminal wealth (earliest on ties)
+ * }
+ */
+export function sweepExitYears(params, horizon = MAX_EXIT_YEAR) {
+  const saleMonth = params.saleMonth || 12;
+  const growth = 1 + params.investmentReturn / 100;
+  // Sale proceeds grow from the sale to the horizon (a loss stays as it is, as in the engine)
+  const carry = (netWorth, monthsHeld) =>
+    (netWorth > 0 ? netWorth * growth ** ((horizon * 12 - monthsHeld) / 12) : netWorth);
+
+  const yearlyData = projectScenario({ ...params, yearsToHold: horizon, saleMonth: 12 });
+  const exits = yearlyData.map((d) => {
+    if (d.year === 0) return { year: 0, saleNetWorth: d.sellYear0Total, terminalWealth: carry(d.sellYear0Total, 0) };
+    // Selling before year end cuts the final year short, so that hold is projected on its own
+    const sale = saleMonth === 12 ? d : projectScenario({ ...params, yearsToHold: d.year, saleMonth })[d.year];
+    return {
+      year: d.year,
+      saleNetWorth: sale.simpleRentalNetWorth,
+      terminalWealth: carry(sale.simpleRentalNetWorth, (d.year - 1) * 12 + saleMonth),
+    };
+  });
+  const best = exits.reduce((top, exit) => (exit.terminalWealth > top.terminalWealth ? exit : top));
+  return { horizon, exits, best };
+}
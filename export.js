@@ -0,0 +1,531 @@
+/**
+ * Export
+ * CSV, XLSX and PDF files built in the browser (no libraries, no server)
+ */
+
+/**
+ * Flatten one year of projectScenario output into a flat record
+ * (nested objects become "parent.child" keys, e.g. monthlyBreakdown.rent)
+ * @param {Object} row
+ * @param {string} [prefix=""]
+ * @returns {Object}
+ */
+export function flattenRow(row, prefix = "") {
+  const flat = {};
+  Object.entries(row).forEach(([key, value]) => {
+    const name = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === "object" && !Array.isArray(value)) {
+      Object.assign(flat, flattenRow(value, name));
+    } else {
+      flat[name] = value;
+    }
+  });
+  return flat;
+}
+
+/**
+ * Header row and value rows for every field in the yearly data
+ * (numbers rounded to the cent)
+ * @param {Object[]} yearlyData - projectScenario output
+ * @returns {Array[]} [[...field names], [...year 0 values], ...]
+ */
+export function projectionRows(yearlyData) {
+  const flatRows = yearlyData.map((row) => flattenRow(row));
+  const fields = [...new Set(flatRows.flatMap((row) => Object.keys(row)))];
+  const round = (value) => (typeof value === "number" ? Math.round(value * 100) / 100 : value);
+  return [fields, ...flatRows.map((row) => fields.map((field) => round(row[field])))];
+}
+
+/**
+ * Quote a CSV field when it contains a comma, quote or line break (RFC 4180)
+ * @param {*} value
+ * @returns {string}
+ */
+function csvField(value) {
+  const text = value === undefined || value === null ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Rows to CSV text (CRLF line endings, as spreadsheets expect)
+ * @param {Array[]} rows
+ * @returns {string}
+ */
+export function toCSV(rows) {
+  return rows.map((row) => row.map(csvField).join(",")).join("\r\n") + "\r\n";
+}
+
+// CRC-32 lookup table (IEEE polynomial, as used by zip)
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * CRC-32 checksum of some bytes
+ * @param {Uint8Array} bytes
+ * @returns {number} Unsigned 32-bit checksum
+ */
+export function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Build a zip archive with every file stored uncompressed
+ * @param {Object[]} files - [{ name, content }] with string content (UTF-8 encoded)
+ * @returns {Uint8Array}
+ */
+export function buildZip(files) {
+  const encoder = new TextEncoder();
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  files.forEach((file) => {
+    const name = encoder.encode(file.name);
+    const data = encoder.encode(file.content);
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true); // Local file header signature
+    local.setUint16(4, 20, true); // Version needed (2.0)
+    local.setUint16(6, 0x0800, true); // UTF-8 file names
+    local.setUint16(8, 0, true); // Stored (no compression)
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true); // Compressed size
+    local.setUint32(22, data.length, true); // Uncompressed size
+    local.setUint16(26, name.length, true);
+    localParts.push(new Uint8Array(local.buffer), name, data);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true); // Central directory header signature
+    central.setUint16(4, 20, true); // Version made by
+    central.setUint16(6, 20, true); // Version needed
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, 0, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true); // Where the local header starts
+    centralParts.push(new Uint8Array(central.buffer), name);
+
+    offset += 30 + name.length + data.length;
+  });
+
+  const centralSize = centralParts.reduce((total, part) => total + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true); // End of central directory signature
+  end.setUint16(8, files.length, true); // Entries on this disk
+  end.setUint16(10, files.length, true); // Entries in total
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true); // Central directory offset
+
+  const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+  const zip = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  let position = 0;
+  parts.forEach((part) => {
+    zip.set(part, position);
+    position += part.length;
+  });
+  return zip;
+}
+
+/**
+ * Escape text for XML content and attributes
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeXML(text) {
+  return String(text).replace(/[<>&"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
+/**
+ * Spreadsheet column letters for a 0-based index (0 → A, 26 → AA)
+ * @param {number} index
+ * @returns {string}
+ */
+export function columnName(index) {
+  let name = "";
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+/**
+ * One worksheet's XML. Numbers become numeric cells, everything else inline text;
+ * empty cells are left out.
+ * @param {Array[]} rows
+ * @returns {string}
+ */
+function sheetXML(rows) {
+  const rowXML = rows.map((row, r) => {
+    const cells = row.map((value, c) => {
+      const ref = `${columnName(c)}${r + 1}`;
+      if (typeof value === "number" && isFinite(value)) return `<c r="${ref}"><v>${value}</v></c>`;
+      if (value === undefined || value === null || value === "") return "";
+      return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXML(value)}</t></is></c>`;
+    });
+    return `<row r="${r + 1}">${cells.join("")}</row>`;
+  });
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>${rowXML.join("")}</sheetData></worksheet>`;
+}
+
+/**
+ * Build an XLSX workbook (Office Open XML) with one worksheet per sheet
+ * @param {Object[]} sheets - [{ name, rows }] where rows is an array of cell arrays
+ * @returns {Uint8Array} The .xlsx file bytes
+ */
+export function buildXlsx(sheets) {
+  const sheetEntries = sheets.map((sheet, i) => ({ ...sheet, id: i + 1 }));
+  const files = [
+    {
+      name: "[Content_Types].xml",
+      content: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>${sheetEntries
+        .map((s) => `<Override PartName="/xl/worksheets/sheet${s.id}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`)
+        .join("")}</Types>`,
+    },
+    {
+      name: "_rels/.rels",
+      content: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>`,
+    },
+    {
+      name: "xl/workbook.xml",
+      content: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>${sheetEntries
+        .map((s) => `<sheet name="${escapeXML(s.name.slice(0, 31))}" sheetId="${s.id}" r:id="rId${s.id}"/>`)
+        .join("")}</sheets></workbook>`,
+    },
+    {
+      name: "xl/_rels/workbook.xml.rels",
+      content: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${sheetEntries
+        .map((s) => `<Relationship Id="rId${s.id}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${s.id}.xml"/>`)
+        .join("")}</Relationships>`,
+    },
+    ...sheetEntries.map((s) => ({ name: `xl/worksheets/sheet${s.id}.xml`, content: sheetXML(s.rows) })),
+  ];
+  return buildZip(files);
+}
+
+// Helvetica and Helvetica-Bold advance widths (1/1000 em) for ASCII 32-126, from the standard AFM metrics
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556,
+  556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556, 1015, 667, 667, 722, 722, 667, 611, 778,
+  722, 278, 500, 667, 556, 833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278,
+  278, 278, 469, 556, 333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556,
+  556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611, 975, 722, 722, 722, 722, 667, 611, 778,
+  722, 278, 556, 722, 611, 833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333,
+  278, 333, 584, 556, 333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+];
+
+// Characters WinAnsiEncoding places at 0x80-0x9F (the rest of Latin-1 maps to itself)
+const WIN_ANSI_EXTRAS = {
+  "€": 0x80, "‚": 0x82, "ƒ": 0x83, "„": 0x84, "…": 0x85, "†": 0x86, "‡": 0x87, "ˆ": 0x88, "‰": 0x89,
+  "Š": 0x8a, "‹": 0x8b, "Œ": 0x8c, "Ž": 0x8e, "‘": 0x91, "’": 0x92, "“": 0x93, "”": 0x94, "•": 0x95,
+  "–": 0x96, "—": 0x97, "˜": 0x98, "™": 0x99, "š": 0x9a, "›": 0x9b, "œ": 0x9c, "ž": 0x9e, "Ÿ": 0x9f,
+};
+
+/**
+ * Text in the standard fonts' WinAnsiEncoding, one character per byte. Thin and narrow
+ * spaces (as some locales group digits with) become no-break spaces, the minus sign a
+ * hyphen; anything else the fonts can't show (emoji) is dropped.
+ * @param {string} text
+ * @returns {string} Byte string (char codes 0-255)
+ */
+export function winAnsi(text) {
+  let bytes = "";
+  for (const char of String(text).replace(/[\u2007\u2009\u202f]/g, "\u00a0").replace(/\u2212/g, "-")) {
+    const code = char.codePointAt(0);
+    if ((code >= 32 && code < 127) || (code >= 160 && code < 256)) {
+      bytes += char;
+    } else if (char in WIN_ANSI_EXTRAS) {
+      bytes += String.fromCharCode(WIN_ANSI_EXTRAS[char]);
+    }
+  }
+  return bytes;
+}
+
+/**
+ * Width of WinAnsi text in points (characters beyond ASCII are approximated as a digit's width)
+ * @param {string} bytes - From winAnsi
+ * @param {number} size - Font size in points
+ * @param {boolean} [bold=false]
+ * @returns {number}
+ */
+export function textWidth(bytes, size, bold = false) {
+  const widths = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+  let total = 0;
+  for (let i = 0; i < bytes.length; i++) {
+    const code = bytes.charCodeAt(i);
+    total += code === 0xa0 ? 278 : widths[code - 32] ?? 556;
+  }
+  return (total * size) / 1000;
+}
+
+/**
+ * Split text into lines that fit a width, breaking at spaces (a single word too long
+ * for the width gets a line of its own)
+ * @param {string} bytes - From winAnsi
+ * @param {number} width - Points
+ * @param {number} size - Font size
+ * @param {boolean} [bold=false]
+ * @returns {string[]}
+ */
+function wrapText(bytes, width, size, bold = false) {
+  const lines = [];
+  bytes.split(" ").filter(Boolean).forEach((word) => {
+    const last = lines[lines.length - 1];
+    if (last !== undefined && textWidth(`${last} ${word}`, size, bold) <= width) {
+      lines[lines.length - 1] = `${last} ${word}`;
+    } else {
+      lines.push(word);
+    }
+  });
+  return lines.length > 0 ? lines : [""];
+}
+
+/**
+ * Escape a byte string for a PDF literal string
+ * @param {string} bytes
+ * @returns {string}
+ */
+function pdfString(bytes) {
+  return `(${bytes.replace(/[\\()]/g, (c) => `\\${c}`)})`;
+}
+
+/**
+ * A number as PDF content expects it (at most two decimals)
+ * @param {number} value
+ * @returns {string}
+ */
+function pdfNumber(value) {
+  return String(Math.round(value * 100) / 100);
+}
+
+// Report page: US Letter landscape, so the yearly table's columns fit, with half-inch margins
+const PAGE_WIDTH = 792;
+const PAGE_HEIGHT = 612;
+const MARGIN = 36;
+const CONTENT_WIDTH = PAGE_WIDTH - 2 * MARGIN;
+
+// Report colors (RGB, 0-1)
+const TEXT_COLOR = [0.07, 0.07, 0.07];
+const MUTED_COLOR = [0.4, 0.4, 0.4];
+const SHADE_COLOR = [0.93, 0.93, 0.93];
+
+// Largest and smallest font sizes the table is set in, and each cell's side padding
+const TABLE_FONT_SIZE = 8;
+const MIN_TABLE_FONT_SIZE = 4;
+const CELL_PADDING = 3;
+
+/**
+ * Build a PDF report: a title page with the summary and chart, then the yearly table
+ * (its header repeated on every page). Text is set in the standard Helvetica fonts, so
+ * nothing is embedded but the chart image.
+ * @param {Object} report
+ * @param {string} report.title
+ * @param {string} [report.subtitle] - Shown under the title
+ * @param {string} [report.heading] - Summary heading
+ * @param {Array[]} [report.summary] - [label, value] pairs
+ * @param {string[]} [report.notes] - Paragraphs under the summary (warnings, crossovers)
+ * @param {Object} [report.image] - Chart as { data: Uint8Array (JPEG), width, height } in pixels
+ * @param {Array[]} [report.table] - Header row, then value rows (first column left-aligned, the rest right-aligned)
+ * @returns {Uint8Array} The .pdf file bytes
+ */
+export function buildPDF({ title, subtitle = "", heading = "", summary = [], notes = [], image = null, table = [] }) {
+  const pages = [];
+  let ops;
+  let y; // Distance from the top of the page
+
+  const newPage = () => {
+    ops = [];
+    pages.push(ops);
+    y = MARGIN;
+  };
+  const color = ([r, g, b]) => `${r} ${g} ${b} rg`;
+  const text = (bytes, x, size, { bold = false, fill = TEXT_COLOR } = {}) => {
+    ops.push(`BT /${bold ? "F2" : "F1"} ${size} Tf ${color(fill)} ${pdfNumber(x)} ${pdfNumber(PAGE_HEIGHT - y - size)} Td ${pdfString(bytes)} Tj ET`);
+  };
+  const paragraph = (bytes, size, options = {}) => {
+    wrapText(bytes, CONTENT_WIDTH, size, options.bold).forEach((line) => {
+      text(line, MARGIN, size, options);
+      y += size * 1.4;
+    });
+  };
+  newPage();
+
+  // Title block
+  paragraph(winAnsi(title).trim(), 18, { bold: true });
+  if (subtitle) paragraph(winAnsi(subtitle).trim(), 9, { fill: MUTED_COLOR });
+  y += 10;
+
+  // Summary: four items a row, each a muted label over its value
+  if (heading) {
+    paragraph(winAnsi(heading).trim(), 12, { bold: true });
+    y += 4;
+  }
+  const itemWidth = CONTENT_WIDTH / 4;
+  for (let i = 0; i < summary.length; i += 4) {
+    const row = summary.slice(i, i + 4).map(([label, value]) => ({
+      label: wrapText(winAnsi(label).trim(), itemWidth - 10, 8),
+      value: wrapText(winAnsi(value).trim(), itemWidth - 10, 11, true),
+    }));
+    const labelLines = Math.max(...row.map((item) => item.label.length));
+    const valueLines = Math.max(...row.map((item) => item.value.length));
+    const top = y;
+    row.forEach((item, column) => {
+      const x = MARGIN + column * itemWidth;
+      y = top;
+      item.label.forEach((line) => {
+        text(line, x, 8, { fill: MUTED_COLOR });
+        y += 10;
+      });
+      y = top + labelLines * 10 + 2;
+      item.value.forEach((line) => {
+        text(line, x, 11, { bold: true });
+        y += 14;
+      });
+    });
+    y = top + labelLines * 10 + 2 + valueLines * 14 + 8;
+  }
+  notes.forEach((note) => paragraph(winAnsi(note).trim(), 9));
+
+  // Chart, scaled to the page width (or shrunk to the space left, or moved to its own page)
+  if (image) {
+    y += 8;
+    let width = CONTENT_WIDTH;
+    let height = (width * image.height) / image.width;
+    const room = PAGE_HEIGHT - MARGIN - y;
+    if (height > room) {
+      if (room < PAGE_HEIGHT / 3) {
+        newPage();
+      }
+      const fit = Math.min(1, (PAGE_HEIGHT - MARGIN - y) / height);
+      width *= fit;
+      height *= fit;
+    }
+    ops.push(`q ${pdfNumber(width)} 0 0 ${pdfNumber(height)} ${pdfNumber(MARGIN)} ${pdfNumber(PAGE_HEIGHT - y - height)} cm /Im1 Do Q`);
+  }
+
+  // Yearly table on its own pages, set in the largest size (up to TABLE_FONT_SIZE) that fits the width
+  if (table.length > 0) {
+    const [header, ...rows] = table.map((row) => row.map((cell) => winAnsi(cell ?? "").trim()));
+    const unitWidths = header.map((label, c) => Math.max(
+      ...label.split(" ").map((word) => textWidth(word, 1, true)),
+      ...rows.map((row) => textWidth(row[c] ?? "", 1)),
+    ));
+    const totalUnits = unitWidths.reduce((total, width) => total + width, 0);
+    const size = Math.max(MIN_TABLE_FONT_SIZE,
+      Math.min(TABLE_FONT_SIZE, (CONTENT_WIDTH - 2 * CELL_PADDING * header.length) / totalUnits));
+    const columnWidths = unitWidths.map((width) => width * size + 2 * CELL_PADDING);
+    const lineHeight = size * 1.3;
+    const rowHeight = size * 1.8;
+    const headerLines = header.map((label, c) => wrapText(label, columnWidths[c] - 2 * CELL_PADDING, size, true));
+    const headerHeight = Math.max(...headerLines.map((lines) => lines.length)) * lineHeight + size;
+
+    const cells = (values, bold) => {
+      let x = MARGIN;
+      values.forEach((lines, c) => {
+        const top = y;
+        lines.forEach((line) => {
+          const offset = c === 0 ? CELL_PADDING : columnWidths[c] - CELL_PADDING - textWidth(line, size, bold);
+          text(line, x + offset, size, { bold });
+          y += lineHeight;
+        });
+        y = top;
+        x += columnWidths[c];
+      });
+    };
+    const tableHeader = () => {
+      const width = columnWidths.reduce((total, w) => total + w, 0);
+      ops.push(`${color(SHADE_COLOR)} ${pdfNumber(MARGIN)} ${pdfNumber(PAGE_HEIGHT - y - headerHeight)} ${pdfNumber(width)} ${pdfNumber(headerHeight)} re f`);
+      y += size / 2;
+      cells(headerLines, true);
+      y += headerHeight - size / 2;
+    };
+
+    newPage();
+    tableHeader();
+    rows.forEach((row) => {
+      if (y + rowHeight > PAGE_HEIGHT - MARGIN) {
+        newPage();
+        tableHeader();
+      }
+      y += (rowHeight - size) / 2;
+      cells(row.map((cell) => [cell]), false);
+      y += rowHeight - (rowHeight - size) / 2;
+    });
+  }
+
+  // Objects: 1 catalog, 2 page tree, 3-4 fonts, 5 info, 6 chart image, then each page and its contents
+  const objects = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    null, // Page tree, once the page objects are numbered
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>",
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>",
+    `<< /Title ${pdfString(winAnsi(title).trim())} >>`,
+  ];
+  const imageRef = image ? `/XObject << /Im1 ${objects.length + 1} 0 R >> ` : "";
+  if (image) {
+    objects.push([
+      `<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${image.data.length} >>\nstream\n`,
+      image.data,
+      "\nendstream",
+    ]);
+  }
+  const pageRefs = pages.map((pageOps) => {
+    const content = pageOps.join("\n");
+    const pageNumber = objects.length + 1;
+    objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> ${imageRef}>> /Contents ${pageNumber + 1} 0 R >>`);
+    objects.push(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+    return `${pageNumber} 0 R`;
+  });
+  objects[1] = `<< /Type /Pages /Kids [${pageRefs.join(" ")}] /Count ${pages.length} >>`;
+
+  // Byte strings and binary parts, with each object's offset recorded for the cross-reference table
+  const parts = [];
+  let length = 0;
+  const add = (part) => {
+    const bytes = typeof part === "string" ? Uint8Array.from(part, (c) => c.charCodeAt(0)) : part;
+    parts.push(bytes);
+    length += bytes.length;
+  };
+  add("%PDF-1.4\n%\xe2\xe3\xcf\xd3\n"); // Binary comment so the file is treated as binary
+  const offsets = objects.map((object, i) => {
+    const offset = length;
+    add(`${i + 1} 0 obj\n`);
+    [object].flat().forEach(add);
+    add("\nendobj\n");
+    return offset;
+  });
+  const xrefOffset = length;
+  add(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n${offsets
+    .map((offset) => `${String(offset).padStart(10, "0")} 00000 n \n`)
+    .join("")}`);
+  add(`trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+  const pdf = new Uint8Array(length);
+  let position = 0;
+  parts.forEach((part) => {
+    pdf.set(part, position);
+    position += part.length;
+  });
+  return pdf;
+}
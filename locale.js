@@ -0,0 +1,763 @@
+/**
+ * Locales
+ * Number formats, currencies and translated UI strings. Inputs are typed in the
+ * locale's format, but stored values (URLs, saved scenarios, files) always use plain
+ * "1234.5" numbers so they read the same in every locale.
+ */
+
+export const DEFAULT_LOCALE = "en-US";
+
+// Supported locales, with the currency each one starts with
+export const LOCALES = {
+  "en-US": { name: "English (United States)", currency: "USD" },
+  "en-CA": { name: "English (Canada)", currency: "CAD" },
+  "fr-CA": { name: "Français (Canada)", currency: "CAD" },
+  "en-GB": { name: "English (United Kingdom)", currency: "GBP" },
+};
+
+export const CURRENCIES = {
+  USD: "US dollar",
+  CAD: "Canadian dollar",
+  GBP: "British pound",
+  EUR: "Euro",
+};
+
+/**
+ * The locale's group and decimal separators
+ * @param {string} locale
+ * @returns {{ group: string, decimal: string }}
+ */
+function separators(locale) {
+  const parts = new Intl.NumberFormat(locale).formatToParts(12345.6);
+  return {
+    group: parts.find((part) => part.type === "group").value,
+    decimal: parts.find((part) => part.type === "decimal").value,
+  };
+}
+
+/**
+ * Read a number typed in a locale's format: group separators and currency or percent
+ * signs are ignored ("$400,000" in en-US, "400 000,5 $" in fr-CA). Where the locale's
+ * decimal is a comma and its groups are spaces, a period also works as the decimal.
+ * @param {string} text
+ * @param {string} locale
+ * @returns {number} NaN if blank or not a number
+ */
+export function parseLocaleNumber(text, locale) {
+  const { group, decimal } = separators(locale);
+  let normalized = String(text)
+    .replace(/[A-Z]*\p{Sc}|%/gu, "") // Currency (e.g. "CA$", "£") and percent signs
+    .replace(/\s/g, "") // Spaces, including the no-break spaces some locales group with
+    .replace(/−/g, "-"); // Unicode minus
+  if (group === "," || group === ".") normalized = normalized.split(group).join("");
+  if (decimal === ",") normalized = normalized.replace(",", ".");
+  return /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(normalized) ? Number(normalized) : NaN;
+}
+
+/**
+ * Show a stored value ("1234.5") in a locale's format for editing (no group separators,
+ * so it reads back unchanged). Blank or non-numeric values are returned as they are.
+ * @param {string|number} value
+ * @param {string} locale
+ * @returns {string}
+ */
+export function formatLocaleInput(value, locale) {
+  if (value === "" || value === null || value === undefined || isNaN(Number(value))) return value ?? "";
+  return new Intl.NumberFormat(locale, { useGrouping: false, maximumFractionDigits: 20 }).format(Number(value));
+}
+
+/**
+ * The currency's symbol as written in a locale ("$", "CA$", "£")
+ * @param {string} locale
+ * @param {string} currency
+ * @returns {string}
+ */
+export function currencySymbol(locale, currency) {
+  return new Intl.NumberFormat(locale, { style: "currency", currency })
+    .formatToParts(0)
+    .find((part) => part.type === "currency").value;
+}
+
+/**
+ * Translate a UI string into a locale, filling in any {placeholders}.
+ * Strings the locale doesn't translate stay in U.S. English.
+ * @param {string} text - English text (the key)
+ * @param {string} locale
+ * @param {Object} [values] - Placeholder name → value
+ * @returns {string}
+ */
+export function translate(text, locale, values = {}) {
+  const translated = STRINGS[locale]?.[text] ?? text;
+  return translated.replace(/\{(\w+)\}/g, (match, name) => (name in values ? values[name] : match));
+}
+
+/**
+ * Translations keyed by the U.S. English text: input labels and their tooltips, headings,
+ * buttons and choices, and the summary. Labels keep "($)", which is swapped for the chosen
+ * currency's symbol. Canada and the U.K. mostly change terms that differ (condo fees,
+ * service charge, conveyancing); tax terms stay U.S., as the tax rules do.
+ */
+const STRINGS = {
+  "en-CA": {
+    "HOA ($)": "Condo Fees ($)",
+    "Homeowners association fees": "Condominium or strata fees",
+    "Loan Origination Date": "Mortgage Start Date",
+    "Mortgage Term (years)": "Amortization (years)",
+    "Length of your mortgage (15, 20, or 30 years)": "Amortization period of your mortgage (15, 20, or 30 years)",
+    "Agent Commission (%)": "Realtor Commission (%)",
+    "Title & Escrow Fees ($)": "Legal Fees ($)",
+    "Seller's title, escrow, attorney and recording fees in today's dollars. Inflates with Cost Inflation.":
+      "Seller's lawyer or notary fees and disbursements in today's dollars. Inflates with Cost Inflation.",
+  },
+  "en-GB": {
+    "Purchase Closing Costs ($)": "Purchase Costs ($)",
+    "Title insurance, escrow, recording and other closing costs you paid when buying. Added to your cost basis.":
+      "Stamp duty, solicitor and survey fees you paid when buying. Added to your cost basis.",
+    "Loan Origination Date": "Mortgage Start Date",
+    "HOA ($)": "Service Charge ($)",
+    "Homeowners association fees": "Leasehold service charge and ground rent",
+    "Property Taxes ($)": "Council Tax ($)",
+    "Property tax ÷ 12": "Council tax ÷ 12",
+    "Home Insurance ($)": "Buildings Insurance ($)",
+    "Homeowners insurance ÷ 12": "Buildings insurance ÷ 12",
+    "Lease Renewal Month": "Tenancy Renewal Month",
+    "Calendar month the lease renews and the rent increase takes effect":
+      "Calendar month the tenancy renews and the rent increase takes effect",
+    "Property Mgmt Fee (%)": "Letting Agent Fee (%)",
+    "% of rent paid to property manager (0 if self-managing)": "% of rent paid to a letting agent (0 if self-managing)",
+    "Vacancy Rate (%)": "Void Rate (%)",
+    "Agent Commission (%)": "Estate Agent Fee (%)",
+    "Listing and buyer's agent commission (typically 5-6%)": "Estate agent's selling fee (typically 1-3%)",
+    "Title & Escrow Fees ($)": "Conveyancing Fees ($)",
+    "Seller's title, escrow, attorney and recording fees in today's dollars. Inflates with Cost Inflation.":
+      "Seller's solicitor or conveyancer fees in today's money. Inflates with Cost Inflation.",
+    "Amortization Schedule": "Repayment Schedule",
+  },
+  "fr-CA": {
+    // Page and section headings
+    "🏠 Rent vs Sell Calculator": "🏠 Calculateur louer ou vendre",
+    "Calculator Inputs": "Données du calcul",
+    "Region": "Région",
+    "Property Details": "Détails de la propriété",
+    "Capital Improvements": "Améliorations immobilières",
+    "Primary Residence Exclusion": "Exemption pour résidence principale",
+    "Loan Prepayments": "Remboursements anticipés",
+    "Rate Changes & Refinancing": "Changements de taux et refinancement",
+    "Monthly Costs": "Coûts mensuels",
+    "Rental Assumptions": "Hypothèses de location",
+    "Capital Expenditures": "Dépenses en immobilisations",
+    "Tax Profile": "Profil fiscal",
+    "Return and Tax Assumptions": "Hypothèses de rendement et d'impôt",
+    "Selling Costs": "Frais de vente",
+    "Monte Carlo Simulation": "Simulation Monte Carlo",
+    "Comparison Over Time": "Comparaison dans le temps",
+    "Goal Seek": "Recherche d'objectif",
+    "Investor Metrics": "Indicateurs d'investissement",
+    "Saved Scenarios": "Scénarios enregistrés",
+    "Portfolio": "Portefeuille",
+    "Sensitivity Analysis": "Analyse de sensibilité",
+    "Best Year to Sell": "Meilleure année pour vendre",
+    "Next Home": "Prochaine maison",
+    "Historical Backtest": "Test historique",
+    "Year-by-Year Breakdown": "Détail année par année",
+    "Month-by-Month Breakdown": "Détail mois par mois",
+    "Today's Dollars": "Dollars d'aujourd'hui",
+    "Amortization Schedule": "Tableau d'amortissement",
+    "Tax rules (the primary residence exclusion, Schedule E rental taxes, depreciation and tax brackets) are U.S. rules. Elsewhere, enter flat rates that match your situation.":
+      "Les règles fiscales (exemption pour résidence principale, imposition des loyers selon l'annexe E, amortissement et tranches d'imposition) sont américaines. Ailleurs, saisissez des taux fixes adaptés à votre situation.",
+    "What's Different": "Différences",
+    "Net Worth by Property": "Valeur nette par propriété",
+    "What Drives the Result": "Ce qui influence le résultat",
+    "Breakeven Map": "Carte du seuil de rentabilité",
+    "Monthly points show your net worth if you sold at the end of that month.":
+      "Les points mensuels montrent votre valeur nette si vous vendiez à la fin de ce mois.",
+    "Solve for the value of one input where renting and selling break even. The answer also shows under that input.":
+      "Trouve la valeur d'une donnée pour laquelle louer et vendre s'équivalent. La réponse s'affiche aussi sous cette donnée.",
+    "The hold strategy's investment is the after-tax sale proceeds you give up at Year 0. Its returns are each year's rental cash flow plus the after-tax proceeds when you sell at the end.":
+      "L'investissement de la stratégie de conservation est le produit de vente après impôt auquel vous renoncez à l'année 0. Ses rendements sont les flux de trésorerie locatifs de chaque année, plus le produit après impôt de la vente à la fin.",
+    "Inputs and final results that differ between the current inputs and the compared scenarios":
+      "Données et résultats finaux qui diffèrent entre les données actuelles et les scénarios comparés",
+    "Add each property you own with its own inputs. Properties are kept until their own Years to Hold, then sold and invested out to the longest hold period.":
+      "Ajoutez chaque propriété que vous possédez avec ses propres données. Chacune est conservée jusqu'à la fin de sa propre durée de détention, puis vendue, et le produit est placé jusqu'à la plus longue durée de détention.",
+    "Bars stack each property's net worth when keeping everything; the line is the portfolio with the suggested sale":
+      "Les barres empilent la valeur nette de chaque propriété si tout est conservé; la ligne montre le portefeuille avec la vente suggérée",
+    "Change in the final-year difference (Rent - Sell) when each input moves by the swing above":
+      "Variation de l'écart de la dernière année (louer - vendre) lorsque chaque donnée varie de l'amplitude ci-dessus",
+    "Green = renting wins, blue = selling wins (darker = bigger margin). The yellow line is breakeven; the white dot is your current scenario.":
+      "Vert = la location l'emporte, bleu = la vente l'emporte (plus foncé = écart plus grand). La ligne jaune est le seuil de rentabilité; le point blanc est votre scénario actuel.",
+    "If you're buying your next home now: selling puts part of the proceeds toward its down payment, while keeping this home means a bigger mortgage on top of this one. Interest and PMI are totaled over your hold.":
+      "Si vous achetez votre prochaine maison maintenant : vendre affecte une partie du produit à sa mise de fonds, alors que garder cette maison exige un prêt plus important, en plus de celui-ci. Les intérêts et l'assurance hypothécaire sont totalisés sur la durée de détention.",
+    "Sells in every year from today to Year 30 (in your Sale Month) and invests the proceeds at your investment return until Year 30, so every exit is compared at the same point in time.":
+      "Vend à chaque année, d'aujourd'hui à l'année 30 (au mois de vente choisi), et place le produit au rendement des placements jusqu'à l'année 30 : chaque sortie est comparée au même moment.",
+    "Replays your scenario as if the hold had started in a past year, using that era's actual home price growth (Case-Shiller national index), S&P 500 total return, CPI for cost inflation and rent CPI for rent growth. Everything else stays as entered.":
+      "Rejoue votre scénario comme si la détention avait commencé une année passée, avec la hausse réelle des prix des maisons de l'époque (indice national Case-Shiller), le rendement total du S&P 500, l'IPC pour l'inflation des coûts et l'IPC des loyers pour la hausse des loyers. Tout le reste demeure tel que saisi.",
+
+    // Input labels
+    "Locale": "Langue et région",
+    "Currency": "Devise",
+    "Original Purchase Price ($)": "Prix d'achat initial ($)",
+    "Purchase Closing Costs ($)": "Frais d'acquisition ($)",
+    "Current Est. Home Value ($)": "Valeur actuelle estimée ($)",
+    "Loan Origination Date": "Date de début du prêt",
+    "Original Loan Amount ($)": "Montant initial du prêt ($)",
+    "Interest Rate (%)": "Taux d'intérêt (%)",
+    "Mortgage Term (years)": "Amortissement (années)",
+    "Monthly P&I Payment (calculated)": "Versement mensuel capital et intérêts (calculé)",
+    "Years to Hold": "Années de détention",
+    "Sale Month": "Mois de la vente",
+    "Primary Residence?": "Résidence principale?",
+    "Filing Status": "Situation fiscale",
+    "Move-In Date": "Date d'emménagement",
+    "Move-Out Date": "Date de déménagement",
+    "Unforeseen Circumstances?": "Circonstances imprévues?",
+    "Extra Principal ($/mo)": "Capital supplémentaire ($/mois)",
+    "Payment Frequency": "Fréquence des versements",
+    "Lump Sum Paydown ($)": "Remboursement forfaitaire ($)",
+    "Lump Sum In (months)": "Remboursement forfaitaire dans (mois)",
+    "HOA ($)": "Frais de copropriété ($)",
+    "Property Taxes ($)": "Taxes foncières ($)",
+    "Home Insurance ($)": "Assurance habitation ($)",
+    "Maintenance Reserve ($)": "Réserve d'entretien ($)",
+    "Monthly Rent ($)": "Loyer mensuel ($)",
+    "Annual Rent Increase (%)": "Hausse annuelle du loyer (%)",
+    "Lease Renewal Month": "Mois de renouvellement du bail",
+    "Property Mgmt Fee (%)": "Frais de gestion (%)",
+    "Where You'll Live": "Où vous habiterez",
+    "Tax Rate on Income (%)": "Taux d'imposition du revenu (%)",
+    "Land Value (%)": "Valeur du terrain (%)",
+    "Vacancy Rate (%)": "Taux d'inoccupation (%)",
+    "Turnover Every (years)": "Changement de locataire aux (années)",
+    "Vacant Months per Turnover": "Mois vacants par changement",
+    "Turnover Costs ($)": "Frais de relocation ($)",
+    "Tax Rates": "Taux d'imposition",
+    "Other Taxable Income ($)": "Autre revenu imposable ($)",
+    "State": "État",
+    "Home Appreciation (%)": "Appréciation de la propriété (%)",
+    "Cost Inflation (%)": "Inflation des coûts (%)",
+    "Capital Gains Tax Rate (%)": "Taux d'imposition des gains en capital (%)",
+    "Investment Return (%)": "Rendement des placements (%)",
+    "Reinvest Rental Cash Flow": "Réinvestir les flux de trésorerie locatifs",
+    "Exit Strategy": "Stratégie de sortie",
+    "Agent Commission (%)": "Commission du courtier (%)",
+    "Local Transfer Tax (%)": "Droits de mutation locaux (%)",
+    "Title & Escrow Fees ($)": "Frais de notaire ($)",
+    "Seller Concessions (%)": "Concessions du vendeur (%)",
+    "Simulation": "Simulation",
+    "Paths": "Trajectoires",
+    "Appreciation Volatility (%)": "Volatilité de l'appréciation (%)",
+    "Return Volatility (%)": "Volatilité du rendement (%)",
+    "Rent Growth Volatility (%)": "Volatilité de la hausse des loyers (%)",
+    "Inflation Volatility (%)": "Volatilité de l'inflation (%)",
+    "Show": "Afficher",
+    "Dollars": "Dollars",
+    "Inflation for Today's Dollars (%)": "Inflation pour les dollars d'aujourd'hui (%)",
+    "Solve For": "Résoudre pour",
+    "Goal": "Objectif",
+    "Goal Year": "Année visée",
+    "Discount Rate (%)": "Taux d'actualisation (%)",
+    "Scenario Name": "Nom du scénario",
+    "Property Name": "Nom de la propriété",
+    "Tornado Swing (±%)": "Variation du graphique en tornade (±%)",
+    "Horizontal Axis": "Axe horizontal",
+    "Vertical Axis": "Axe vertical",
+    "From": "De",
+    "To": "À",
+    "Start Year": "Année de départ",
+    "Next Home Price ($)": "Prix de la prochaine maison ($)",
+    "Next Home Rate (%)": "Taux de la prochaine maison (%)",
+    "Next Home Term (years)": "Durée du prochain prêt (années)",
+    "Proceeds to Down Payment (%)": "Produit affecté à la mise de fonds (%)",
+    "Down Payment From Savings ($)": "Mise de fonds tirée de l'épargne ($)",
+    "PMI Rate (%/yr)": "Taux d'assurance hypothécaire (%/an)",
+    "Gross Income ($/yr)": "Revenu brut ($/an)",
+    "Other Debts ($/mo)": "Autres dettes ($/mois)",
+    "Keep and Rent Out": "Garder et louer",
+    "Sell Now": "Vendre maintenant",
+
+    // Input tooltips
+    "Language, number format and date format": "Langue, format des nombres et des dates",
+    "Currency amounts are shown in. Amounts aren't converted, so enter them in this currency.":
+      "Devise d'affichage des montants. Les montants ne sont pas convertis : saisissez-les dans cette devise.",
+    "What you paid when you bought the home": "Ce que vous avez payé à l'achat de la propriété",
+    "Title insurance, escrow, recording and other closing costs you paid when buying. Added to your cost basis.":
+      "Assurance titre, frais de notaire, droits d'enregistrement et autres frais payés à l'achat. Ajoutés à votre prix de base.",
+    "Today's market value. Used as Year 0 basis for appreciation.":
+      "Valeur marchande actuelle. Point de départ (année 0) de l'appréciation.",
+    "When your mortgage started. Used to calculate months paid.":
+      "Début de votre prêt hypothécaire. Sert à calculer les mois déjà payés.",
+    "Initial loan principal (not current balance)": "Capital initial du prêt (pas le solde actuel)",
+    "Annual interest rate on your mortgage": "Taux d'intérêt annuel de votre prêt hypothécaire",
+    "Length of your mortgage (15, 20, or 30 years)": "Période d'amortissement de votre prêt (15, 20 ou 30 ans)",
+    "Auto-calculated from: Loan Amount + Interest Rate + Term":
+      "Calculé à partir du montant du prêt, du taux d'intérêt et de l'amortissement",
+    "Number of years to hold property to project and compare":
+      "Nombre d'années de détention à projeter et à comparer",
+    "Month of the final hold year in which you sell (counted from today). The primary-residence exclusion deadline is checked against this month.":
+      "Mois de la dernière année de détention où vous vendez (compté à partir d'aujourd'hui). L'échéance de l'exemption pour résidence principale est vérifiée à ce mois.",
+    "Expected monthly rent you can charge": "Loyer mensuel que vous pouvez demander",
+    "How much rent increases each year": "Hausse du loyer chaque année",
+    "Calendar month the lease renews and the rent increase takes effect":
+      "Mois civil du renouvellement du bail, quand la hausse de loyer s'applique",
+    "% of rent paid to property manager (0 if self-managing)":
+      "% du loyer versé au gestionnaire immobilier (0 si vous gérez vous-même)",
+    "Homeowners association fees": "Frais de copropriété ou de syndicat",
+    "Where you'll live while the home is rented. Owners who live far away usually pay a property manager.":
+      "Où vous habiterez pendant la location. Les propriétaires qui vivent loin paient habituellement un gestionnaire.",
+    "Property tax ÷ 12": "Taxes foncières ÷ 12",
+    "Homeowners insurance ÷ 12": "Assurance habitation ÷ 12",
+    "Reserve for repairs (typically .5-1% of home value ÷ 12)":
+      "Réserve pour réparations (habituellement 0,5 à 1 % de la valeur ÷ 12)",
+    "Share of rent lost to empty months and unpaid rent in a typical year (turnovers below are on top of this)":
+      "Part du loyer perdue en mois vacants et en loyers impayés une année typique (les changements de locataire ci-dessous s'y ajoutent)",
+    "A tenant moves out every this many years (0 = same tenant throughout)":
+      "Un locataire part toutes les tant d'années (0 = même locataire tout du long)",
+    "Months the property sits empty at each turnover": "Mois où la propriété reste vide à chaque changement de locataire",
+    "Make-ready (cleaning, paint, repairs) plus leasing fees per turnover, in today's dollars. Inflates with Cost Inflation.":
+      "Remise en état (nettoyage, peinture, réparations) et frais de location par changement, en dollars d'aujourd'hui. Suit l'inflation des coûts.",
+    "Expected annual increase in home value": "Hausse annuelle prévue de la valeur de la propriété",
+    "Annual increase in property taxes, insurance, HOA (typically 2-4%)":
+      "Hausse annuelle des taxes foncières, de l'assurance et des frais de copropriété (habituellement 2 à 4 %)",
+    "Expected return if you invest the sale proceeds": "Rendement prévu si vous placez le produit de la vente",
+    "Invest each year's rental profit at the Investment Return. Loss years are covered from savings, which forgo the same return.":
+      "Placer le profit locatif de chaque année au rendement des placements. Les années de perte sont couvertes par l'épargne, qui renonce au même rendement.",
+    "Listing and buyer's agent commission (typically 5-6%)":
+      "Commission des courtiers de l'inscripteur et de l'acheteur (habituellement 5 à 6 %)",
+    "Seller's title, escrow, attorney and recording fees in today's dollars. Inflates with Cost Inflation.":
+      "Frais de notaire et d'enregistrement du vendeur, en dollars d'aujourd'hui. Suivent l'inflation des coûts.",
+    "Credits to the buyer toward their closing costs or repairs, as a % of the sale price":
+      "Crédits accordés à l'acheteur pour ses frais de clôture ou des réparations, en % du prix de vente",
+    "Plot and tabulate every year or every month of the hold": "Afficher chaque année ou chaque mois de la détention",
+    "Future dollars are what the amounts will be in each year; today's dollars take out inflation so years compare fairly":
+      "Les dollars futurs sont les montants de chaque année; les dollars d'aujourd'hui retirent l'inflation pour comparer les années équitablement",
+    "Your hurdle rate: the return you need from the rental for it to be worth holding. The summary also discounts both strategies' final net worth to today at this rate.":
+      "Votre taux de rendement minimal : le rendement nécessaire pour que la location vaille la peine. Le sommaire actualise aussi la valeur nette finale des deux stratégies à ce taux.",
+    "Improvements that add value or extend the home's life (remodels, additions, a new roof), not repairs. Each raises your cost basis, which lowers the capital gain. Ones dated after today are paid in that hold year and depreciated like capital expenditures.":
+      "Améliorations qui ajoutent de la valeur ou prolongent la vie de la maison (rénovations, agrandissements, nouvelle toiture), pas les réparations. Chacune augmente votre prix de base, ce qui réduit le gain en capital. Celles datées après aujourd'hui sont payées dans l'année de détention correspondante et amorties comme des dépenses en immobilisations.",
+    "Did you live here as your primary residence? If so, you may exclude up to $250k ($500k married filing jointly) of gain when selling, as long as you lived here 2 of the 5 years before the sale":
+      "Avez-vous habité ici comme résidence principale? Si oui, vous pourriez exclure jusqu'à 250 k$ (500 k$ pour un couple déclarant conjointement) du gain à la vente, si vous y avez habité 2 des 5 années précédant la vente",
+    "Sets the exclusion cap ($500k married filing jointly, $250k otherwise) and, in brackets mode, the tax brackets":
+      "Détermine le plafond de l'exemption (500 k$ pour un couple déclarant conjointement, 250 k$ sinon) et, en mode tranches, les tranches d'imposition",
+    "When you started living here. Blank = loan origination date. Rental time before this counts as nonqualified use.":
+      "Date à laquelle vous avez commencé à habiter ici. Vide = date de début du prêt. La location avant cette date compte comme usage non admissible.",
+    "When you moved out (or will, at Year 0). Blank = today. The full exclusion lasts 3 years after moving out.":
+      "Date à laquelle vous avez déménagé (ou déménagerez, à l'année 0). Vide = aujourd'hui. L'exemption complète dure 3 ans après le déménagement.",
+    "Moving for a job change, health, or another qualifying unforeseen event allows a partial exclusion if you lived here less than 2 years":
+      "Un déménagement pour un changement d'emploi, la santé ou un autre imprévu admissible permet une exemption partielle si vous avez habité ici moins de 2 ans",
+    "Extra principal paid every month, starting with your next payment":
+      "Capital supplémentaire versé chaque mois, à partir du prochain versement",
+    "Biweekly = half the payment every 2 weeks (26 half-payments, i.e. one extra payment per year)":
+      "Aux deux semaines = la moitié du versement toutes les 2 semaines (26 demi-versements, soit un versement de plus par année)",
+    "One-time principal paydown": "Remboursement ponctuel de capital",
+    "When the lump sum is paid, in months from now (1 = next payment)":
+      "Moment du versement forfaitaire, en mois à partir de maintenant (1 = prochain versement)",
+    "ARM resets or refinances. Each change re-amortizes the remaining balance starting with the first payment of that hold year.":
+      "Renouvellements à taux variable ou refinancements. Chaque changement réamortit le solde restant à partir du premier versement de cette année de détention.",
+    "Your marginal tax rate on taxable rental income (rent - operating costs - mortgage interest - depreciation). Also used for depreciation recapture, capped at 25%.":
+      "Votre taux marginal d'imposition sur le revenu locatif imposable (loyer - coûts d'exploitation - intérêts hypothécaires - amortissement). Sert aussi à la récupération de l'amortissement, plafonnée à 25 %.",
+    "Share of the property value that is land. Only the building depreciates (over 27.5 years).":
+      "Part de la valeur de la propriété attribuable au terrain. Seul le bâtiment s'amortit (sur 27,5 ans).",
+    "Big-ticket replacements like a roof or HVAC. Costs are in today's dollars (inflated with Cost Inflation), paid in cash that year, added to your cost basis and depreciated over 27.5 years.":
+      "Remplacements coûteux comme la toiture ou le chauffage et la climatisation. Les coûts sont en dollars d'aujourd'hui (indexés selon l'inflation des coûts), payés comptant cette année-là, ajoutés à votre prix de base et amortis sur 27,5 ans.",
+    "Compute each year's rental income tax and capital gains rate from bundled 2024 federal brackets, the 3.8% net investment income tax and state income tax, instead of flat rates":
+      "Calcule chaque année l'impôt sur le revenu locatif et le taux sur les gains en capital à partir des tranches fédérales 2024 intégrées, de l'impôt de 3,8 % sur le revenu net de placement et de l'impôt de l'État, plutôt qu'avec des taux fixes",
+    "Flat rates use Tax Rate on Income and Capital Gains Tax Rate as entered. Brackets stack the rental income and sale gains on top of your other income each year.":
+      "Les taux fixes utilisent les taux d'imposition du revenu et des gains en capital saisis. Les tranches ajoutent chaque année le revenu locatif et les gains de vente à vos autres revenus.",
+    "Household taxable income besides this property (after deductions), in today's dollars. Treated as rising with Cost Inflation, like the brackets.":
+      "Revenu imposable du ménage hors de cette propriété (après déductions), en dollars d'aujourd'hui. Considéré comme augmentant avec l'inflation des coûts, comme les tranches.",
+    "State income tax (in brackets mode) and the state's transfer tax on a sale. Uses Filing Status above.":
+      "Impôt de l'État sur le revenu (en mode tranches) et droits de mutation de l'État à la vente. Utilise la situation fiscale ci-dessus.",
+    "Tax rate on profit from sale (15-20% federal)": "Taux d'imposition du profit de vente (15 à 20 % au fédéral)",
+    "How you sell the rental later. A 1031 exchange rolls the equity into a replacement property and defers the capital gains tax and depreciation recapture.":
+      "Comment vous vendrez la propriété locative plus tard. Un échange 1031 transfère l'avoir net dans une propriété de remplacement et reporte l'impôt sur les gains en capital et la récupération de l'amortissement.",
+    "What it costs to sell, now or at the end of the hold":
+      "Ce qu'il en coûte pour vendre, maintenant ou à la fin de la détention",
+    "City and county transfer (excise) tax paid by the seller, as a % of the sale price. The State's transfer tax is added automatically.":
+      "Droits de mutation municipaux et du comté payés par le vendeur, en % du prix de vente. Les droits de mutation de l'État s'ajoutent automatiquement.",
+    "Draws each year's rates at random around the values above and runs thousands of paths":
+      "Tire au hasard les taux de chaque année autour des valeurs ci-dessus et calcule des milliers de trajectoires",
+    "Show 10th-90th percentile bands and the probability that renting beats selling":
+      "Affiche les bandes du 10e au 90e centile et la probabilité que la location l'emporte sur la vente",
+    "Number of random paths to run (more = smoother, slower)":
+      "Nombre de trajectoires aléatoires (plus = plus lisse, plus lent)",
+    "Standard deviation of annual home appreciation, in percentage points":
+      "Écart-type de l'appréciation annuelle de la propriété, en points de pourcentage",
+    "Standard deviation of annual investment return, in percentage points (stocks are roughly 15-20)":
+      "Écart-type du rendement annuel des placements, en points de pourcentage (environ 15 à 20 pour les actions)",
+    "Standard deviation of annual rent increase, in percentage points":
+      "Écart-type de la hausse annuelle des loyers, en points de pourcentage",
+    "Standard deviation of annual cost inflation, in percentage points":
+      "Écart-type de l'inflation annuelle des coûts, en points de pourcentage",
+    "Annual inflation (e.g. CPI) used to convert to today's dollars (blank = Cost Inflation)":
+      "Inflation annuelle (p. ex. l'IPC) servant à convertir en dollars d'aujourd'hui (vide = inflation des coûts)",
+    "The input to solve for (everything else stays as entered)":
+      "La donnée à résoudre (tout le reste demeure tel que saisi)",
+    "Break even exactly at the goal year, or find where renting is ahead in at least one year up to it":
+      "Égalité exacte à l'année visée, ou valeur où la location mène pendant au moins une année d'ici là",
+    "Hold year the goal is measured at (blank = Years to Hold)":
+      "Année de détention où l'objectif est mesuré (vide = durée de détention)",
+    "Saved in this browser only. Saving an existing name overwrites it.":
+      "Enregistré dans ce navigateur seulement. Enregistrer sous un nom existant le remplace.",
+    "Download the current inputs as a scenario file you can share or load later":
+      "Télécharger les données actuelles dans un fichier de scénario à partager ou à charger plus tard",
+    "Load the inputs from a scenario file (.json)": "Charger les données d'un fichier de scénario (.json)",
+    "Overlay on the chart and add to the comparison table (up to four)":
+      "Superposer au graphique et ajouter au tableau comparatif (jusqu'à quatre)",
+    "Saved in this browser only. Adding an existing name replaces its inputs.":
+      "Enregistré dans ce navigateur seulement. Ajouter un nom existant remplace ses données.",
+    "Sold at the end of this year when kept": "Vendue à la fin de cette année si elle est conservée",
+    "This property's net worth at the portfolio horizon if you keep renting it":
+      "Valeur nette de cette propriété à l'horizon du portefeuille si vous continuez à la louer",
+    "This property's net worth at the portfolio horizon if you sell it now and invest the proceeds":
+      "Valeur nette de cette propriété à l'horizon du portefeuille si vous la vendez maintenant et placez le produit",
+    "Total portfolio net worth at the horizon if you sell only this property now":
+      "Valeur nette totale du portefeuille à l'horizon si vous vendez seulement cette propriété maintenant",
+    "How far each input is moved down and up, as a % of its current value":
+      "Ampleur de la baisse et de la hausse de chaque donnée, en % de sa valeur actuelle",
+    "Input varied across the map": "Donnée qui varie horizontalement",
+    "Lowest value on the horizontal axis (blank = automatic)":
+      "Valeur la plus basse de l'axe horizontal (vide = automatique)",
+    "Highest value on the horizontal axis (blank = automatic)":
+      "Valeur la plus haute de l'axe horizontal (vide = automatique)",
+    "Input varied up the map": "Donnée qui varie verticalement",
+    "Lowest value on the vertical axis (blank = automatic)":
+      "Valeur la plus basse de l'axe vertical (vide = automatique)",
+    "Highest value on the vertical axis (blank = automatic)":
+      "Valeur la plus haute de l'axe vertical (vide = automatique)",
+    "Purchase price of the home you're buying next": "Prix d'achat de la prochaine maison",
+    "Mortgage rate you'd get on the next home at today's rates":
+      "Taux hypothécaire que vous obtiendriez pour la prochaine maison aux taux actuels",
+    "Length of the next home's mortgage": "Durée du prêt hypothécaire de la prochaine maison",
+    "Share of this home's after-tax sale proceeds that goes toward the next home's down payment if you sell now":
+      "Part du produit de vente après impôt de cette maison affectée à la mise de fonds de la prochaine si vous vendez maintenant",
+    "Down payment from savings, put down whether you keep or sell":
+      "Mise de fonds tirée de l'épargne, versée que vous gardiez ou vendiez",
+    "Annual private mortgage insurance as a % of the loan, charged when you put down less than 20% until the balance reaches 78% of the price":
+      "Assurance hypothécaire annuelle en % du prêt, exigée lorsque la mise de fonds est inférieure à 20 %, jusqu'à ce que le solde atteigne 78 % du prix",
+    "Gross household income per year, before tax, for the debt-to-income check":
+      "Revenu brut annuel du ménage, avant impôt, pour le ratio d'endettement",
+    "Other monthly debt payments: car, student loans, card minimums. Add the next home's taxes and insurance to match a lender's check.":
+      "Autres paiements de dettes mensuels : auto, prêts étudiants, minimums de cartes. Ajoutez les taxes et l'assurance de la prochaine maison pour reproduire le calcul d'un prêteur.",
+    "Rent Now + Sell Later: this home and its loan are kept":
+      "Louer maintenant + vendre plus tard : cette maison et son prêt sont conservés",
+    "Sell Now + Invest Proceeds: part of the proceeds goes to the down payment":
+      "Vendre maintenant + placer le produit : une partie du produit va à la mise de fonds",
+    "Calendar year of hold year 1, or every year with enough history for your hold period":
+      "Année civile de la première année de détention, ou chaque année ayant assez d'historique pour votre durée de détention",
+    "Every projected field for every year, as a CSV file":
+      "Tous les champs projetés pour chaque année, dans un fichier CSV",
+    "Excel workbook with an Inputs sheet and a Projection sheet":
+      "Classeur Excel avec une feuille de données et une feuille de projection",
+    "PDF report with the summary, chart and yearly table": "Rapport PDF avec le sommaire, le graphique et le tableau annuel",
+
+    // Choices and buttons
+    "Yes": "Oui",
+    "No": "Non",
+    "Monthly": "Mensuel",
+    "Biweekly": "Aux deux semaines",
+    "Yearly": "Annuel",
+    "Future dollars": "Dollars futurs",
+    "Today's dollars": "Dollars d'aujourd'hui",
+    "Start of each hold year": "Début de chaque année de détention",
+    "Near the property": "Près de la propriété",
+    "Out of state": "Dans un autre État ou une autre province",
+    "Month {month}": "Mois {month}",
+    "Month 12 (year end)": "Mois 12 (fin d'année)",
+    "{years} years": "{years} ans",
+    "Keep remaining": "Conserver la durée restante",
+    "Taxable sale": "Vente imposable",
+    "1031 exchange (defer tax)": "Échange 1031 (impôt reporté)",
+    "No (just add it up)": "Non (simple somme)",
+    "Yes, at Investment Return": "Oui, au rendement des placements",
+    "Flat rates I enter": "Taux fixes saisis",
+    "Off": "Désactivée",
+    "On": "Activée",
+    "Choose an input": "Choisir une donnée",
+    "Equal at year": "Égalité à l'année",
+    "Renting ahead by year": "Location en tête d'ici l'année",
+    "Every start year": "Toutes les années de départ",
+    "+ Add capital improvement": "+ Ajouter une amélioration",
+    "+ Add rate change": "+ Ajouter un changement de taux",
+    "+ Add capital expenditure": "+ Ajouter une dépense en immobilisations",
+    "Save current inputs": "Enregistrer les données actuelles",
+    "Download scenario file": "Télécharger le fichier de scénario",
+    "Load scenario file": "Charger un fichier de scénario",
+    "Add current inputs as a property": "Ajouter les données actuelles comme propriété",
+    "Download CSV": "Télécharger le CSV",
+    "Download Excel": "Télécharger le fichier Excel",
+    "Download PDF": "Télécharger le PDF",
+    "Remove": "Retirer",
+    "Load": "Charger",
+    "Delete": "Supprimer",
+    "Use": "Utiliser",
+    "e.g. Roof": "p. ex. Toiture",
+    "e.g. Kitchen remodel": "p. ex. Rénovation de cuisine",
+    "Cost Inflation": "Inflation des coûts",
+    "Married Filing Jointly": "Couple, déclaration conjointe",
+    "Single": "Célibataire",
+    "Head of Household": "Chef de famille",
+    "Married Filing Separately": "Couple, déclarations séparées",
+    "Brackets (federal + NIIT + state)": "Tranches (fédéral + NIIT + État)",
+
+    // Event rows
+    "Hold Year": "Année de détention",
+    "New Rate (%)": "Nouveau taux (%)",
+    "New Term": "Nouvelle durée",
+    "Closing Costs ($)": "Frais de clôture ($)",
+    "Cash Out ($)": "Retrait de capital ($)",
+    "Cost ($)": "Coût ($)",
+    "Description": "Description",
+    "Date": "Date",
+    "Remove rate change": "Retirer le changement de taux",
+    "Remove capital expenditure": "Retirer la dépense en immobilisations",
+    "Remove capital improvement": "Retirer l'amélioration",
+    "Takes effect with the first payment of this hold year":
+      "S'applique à partir du premier versement de cette année de détention",
+    "Interest rate after the reset or refinance": "Taux d'intérêt après le renouvellement ou le refinancement",
+    "Refinance into a new term, or keep the months left on the loan (ARM reset)":
+      "Refinancer sur une nouvelle durée, ou conserver les mois restants du prêt (renouvellement à taux variable)",
+    "Paid out of pocket in that year": "Payés de votre poche cette année-là",
+    "Added to the loan balance and paid to you": "Ajouté au solde du prêt et versé à vous",
+    "Paid in this hold year": "Payée dans cette année de détention",
+    "In today's dollars; inflates with Cost Inflation": "En dollars d'aujourd'hui; suit l'inflation des coûts",
+    "Shown on the chart marker": "Affichée sur le repère du graphique",
+    "When the work was done. Later dates are paid in that hold year.":
+      "Date des travaux. Les dates futures sont payées dans l'année de détention correspondante.",
+    "What you paid (not inflated)": "Ce que vous avez payé (non indexé)",
+    "For your records": "Pour vos dossiers",
+
+    // Table columns
+    "Year": "Année",
+    "Home Value": "Valeur de la propriété",
+    "Loan Balance": "Solde du prêt",
+    "Equity": "Avoir net",
+    "Seller Fees": "Frais de vente",
+    "Capital Gains": "Gains en capital",
+    "Accum. Depreciation": "Amortissement cumulé",
+    "Adjusted Basis": "Prix de base rajusté",
+    "Exclusion Months Left": "Mois d'exemption restants",
+    "Cash Out Value": "Valeur de sortie",
+    "1031 Exchange Value": "Valeur d'échange 1031",
+    "Annual Rent P/L": "Profit/perte locatif annuel",
+    "Cumulative Rent P/L": "Profit/perte locatif cumulé",
+    "Rent Wins (Simulated)": "Location gagnante (simulée)",
+    "Net Operating Income": "Revenu net d'exploitation",
+    "Debt Service": "Service de la dette",
+    "Cash Flow Before Tax": "Flux de trésorerie avant impôt",
+    "Cash-on-Cash": "Rendement sur mise de fonds",
+    "Cap Rate": "Taux de capitalisation",
+    "Scenario": "Scénario",
+    "Saved": "Enregistré",
+    "Compare": "Comparer",
+    "Property": "Propriété",
+    "Keep": "Garder",
+    "Portfolio If Sold": "Portefeuille si vendue",
+    "Combined Cash Flow": "Flux de trésorerie combiné",
+    "Net Worth (Keep All)": "Valeur nette (tout garder)",
+    "Month": "Mois",
+    "Payment #": "Versement no",
+    "Rate": "Taux",
+    "P&I Payment": "Versement capital et intérêts",
+    "Interest": "Intérêts",
+    "Principal": "Capital",
+    "Extra Principal": "Capital supplémentaire",
+    "Balance": "Solde",
+    "= Current value + annual appreciation": "= Valeur actuelle + appréciation annuelle",
+    "Remaining mortgage balance": "Solde hypothécaire restant",
+    "= Home Value - Loan Balance": "= Valeur de la propriété - solde du prêt",
+    "Estimated costs to sell\n\n= Commission + Transfer Tax + Title & Escrow + Seller Concessions":
+      "Frais de vente estimés\n\n= Commission + droits de mutation + frais de notaire + concessions du vendeur",
+    "Estimated Capital Gains Tax, including depreciation recapture (up to 25%)":
+      "Impôt estimé sur les gains en capital, y compris la récupération de l'amortissement (jusqu'à 25 %)",
+    "Total depreciation deducted while rented. Lowers the cost basis and is recaptured on sale.":
+      "Amortissement total déduit pendant la location. Réduit le prix de base et est récupéré à la vente.",
+    "Cost basis for the capital gain\n\n= Purchase Price + Purchase Closing Costs + Capital Improvements + Capital Expenditures - Accum. Depreciation":
+      "Prix de base pour le gain en capital\n\n= Prix d'achat + frais d'achat + améliorations + dépenses en immobilisations - amortissement cumulé",
+    "Months left to sell with the full primary residence exclusion (2-of-5-year rule)":
+      "Mois restants pour vendre avec l'exemption complète pour résidence principale (règle des 2 ans sur 5)",
+    "Net proceeds after selling fees and capital gains tax\n\n= Sale Price - Loan - Fees - Taxes":
+      "Produit net après frais de vente et impôt sur les gains en capital\n\n= Prix de vente - prêt - frais - impôts",
+    "Equity rolled into a replacement property with a 1031 exchange: the capital gains tax and recapture are deferred, not paid\n\n= Sale Price - Loan - Fees":
+      "Avoir net transféré dans une propriété de remplacement par un échange 1031 : l'impôt sur les gains en capital et la récupération sont reportés, non payés\n\n= Prix de vente - prêt - frais",
+    "Annual Profit/Loss from rental income\n\n= Rent - Expenses - Mgmt - Taxes\n\nTaxes follow Schedule E: interest, operating costs and depreciation are deductible; losses carry forward":
+      "Profit ou perte annuel du revenu locatif\n\n= Loyer - dépenses - gestion - impôts\n\nLes impôts suivent l'annexe E : intérêts, coûts d'exploitation et amortissement sont déductibles; les pertes sont reportées",
+    "Cumulative Profit/Loss from rental income\n\n= Rent - Expenses - Mgmt - Taxes\n\nWith Reinvest Rental Cash Flow on, includes the return earned on it":
+      "Profit ou perte cumulé du revenu locatif\n\n= Loyer - dépenses - gestion - impôts\n\nSi les flux locatifs sont réinvestis, comprend le rendement obtenu",
+    "Your total profit/loss if sold after the corresponding # of years\n\n= Cash Out Value (or 1031 Exchange Value, per Exit Strategy) + Cumulative Rent P/L":
+      "Votre profit ou perte total si vous vendez après le nombre d'années correspondant\n\n= Valeur de sortie (ou valeur d'échange 1031, selon la stratégie de sortie) + profit/perte locatif cumulé",
+    "Net proceeds from selling at Year 0, invested over time.\n\nIf Year 0 proceeds are positive, they grow by the Investment Return %.\nIf Year 0 proceeds are negative, the value remains constant.":
+      "Produit net d'une vente à l'année 0, placé au fil du temps.\n\nSi le produit de l'année 0 est positif, il croît au rendement des placements.\nS'il est négatif, la valeur reste constante.",
+    "Share of Monte Carlo paths where renting beats selling by this year (turn on Simulation)":
+      "Part des trajectoires Monte Carlo où la location l'emporte sur la vente à cette année (activez la simulation)",
+    "= Rent - Mgmt - Taxes, Insurance, HOA, Maintenance (before P&I and income tax)":
+      "= Loyer - gestion - taxes, assurance, frais de copropriété, entretien (avant capital et intérêts et impôt sur le revenu)",
+    "Scheduled principal & interest (without prepayments)":
+      "Capital et intérêts prévus (sans remboursements anticipés)",
+    "= NOI - Debt Service": "= RNE - service de la dette",
+    "= Cash Flow Before Tax / Year 0 after-tax proceeds given up":
+      "= Flux de trésorerie avant impôt / produit après impôt de l'année 0 auquel vous renoncez",
+    "= NOI / home value at the start of the year": "= RNE / valeur de la propriété au début de l'année",
+    "Debt service coverage ratio\n\n= NOI / Debt Service (below 1.0 means rent doesn't cover the mortgage)":
+      "Ratio de couverture du service de la dette\n\n= RNE / service de la dette (sous 1,0, le loyer ne couvre pas le prêt)",
+    "Payment number since origination": "Numéro du versement depuis le début du prêt",
+    "Interest rate in effect for this payment": "Taux d'intérêt en vigueur pour ce versement",
+    "Scheduled principal & interest": "Capital et intérêts prévus",
+    "Recurring, biweekly and lump-sum prepayments":
+      "Remboursements anticipés récurrents, aux deux semaines et forfaitaires",
+    "Loan balance after this payment": "Solde du prêt après ce versement",
+
+    // Summary
+    "Net worth (future dollars)": "Valeur nette (dollars futurs)",
+    "Net worth (today's dollars, {rate} inflation)": "Valeur nette (dollars d'aujourd'hui, inflation de {rate})",
+    "Cash Out + Rent P/L": "Sortie + profit/perte locatif",
+    "Turnover / CapEx": "Changement de locataire / immobilisations",
+    "Gap (Rent - Sell): {amount}": "Écart (louer - vendre) : {amount}",
+    "Monthly Rent: {amount}": "Loyer mensuel : {amount}",
+    "Monthly Expenses: {amount}": "Dépenses mensuelles : {amount}",
+    "Summary at {period}": "Sommaire à {period}",
+    "Year {year}": "Année {year}",
+    "Year {year}, Mo {month}": "Année {year}, mois {month}",
+    "Year {year} ({months} mo)": "Année {year} ({months} mois)",
+    "Rent Now + Sell Later": "Louer maintenant + vendre plus tard",
+    "(1031 Exchange)": "(échange 1031)",
+    "Sell Now + Invest Proceeds": "Vendre maintenant + placer le produit",
+    "Difference (Rent - Sell)": "Écart (louer - vendre)",
+    "Better Option": "Meilleure option",
+    "🏠 Rent": "🏠 Louer",
+    "💰 Sell": "💰 Vendre",
+    "Present Value of Renting": "Valeur actualisée de la location",
+    "Present Value of Selling": "Valeur actualisée de la vente",
+    "PV at {rate}": "VA à {rate}",
+    "future {currency}": "{currency} futurs",
+    "today's {currency}": "{currency} d'aujourd'hui",
+    "Probability Renting Beats Selling ({paths} paths)": "Probabilité que la location l'emporte ({paths} trajectoires)",
+    "Loan Payoff": "Remboursement du prêt",
+    "Paid off": "Remboursé",
+    "Interest Saved by Prepaying": "Intérêts économisés par remboursement anticipé",
+    "Renting overtakes selling in year {year}": "La location dépasse la vente à l'année {year}",
+    "Selling overtakes renting in year {year}": "La vente dépasse la location à l'année {year}",
+    "Renting leads in every year (no crossover)": "La location mène chaque année (aucun croisement)",
+    "Selling leads in every year (no crossover)": "La vente mène chaque année (aucun croisement)",
+
+    // Results panels, charts and exports
+    "Yr {year}": "An {year}",
+    "Turnover: {months} mo vacant, {amount} make-ready & leasing":
+      "Changement de locataire : {months} mois vacant, {amount} de remise en état et de location",
+    "Capital expenditure: {amount}": "Dépense en immobilisations : {amount}",
+    "Capital expenditure ({what}): {amount}": "Dépense en immobilisations ({what}) : {amount}",
+    "Rent": "Location",
+    "Sell": "Vente",
+    "{name} 10th percentile": "{name} – 10e centile",
+    "{name} 10th-90th percentile": "{name} – 10e à 90e centile",
+    "{name} median (simulated)": "{name} – médiane (simulée)",
+    "{name}: Rent": "{name} : location",
+    "{name}: Sell": "{name} : vente",
+    "Long-term gains taxed at {rate}": "Gains à long terme imposés à {rate}",
+    "Rental income taxed at {rate}": "Revenu locatif imposé à {rate}",
+    "IRR (Hold)": "TRI (conservation)",
+    "NPV at {rate}": "VAN à {rate}",
+    "Year 1 Cash-on-Cash": "Rendement sur mise de fonds, année 1",
+    "Year 1 Cap Rate": "Taux de capitalisation, année 1",
+    "Year 1 DSCR": "Couverture du service de la dette, année 1",
+    "No debt": "Aucune dette",
+    "Today (Year 0)": "Aujourd'hui (année 0)",
+    "Net Worth at Year {year}": "Valeur nette à l'année {year}",
+    "Net worth at Year {year}": "Valeur nette à l'année {year}",
+    "Your Plan (Year {year})": "Votre plan (année {year})",
+    "Selling Today": "Vendre aujourd'hui",
+    "Sell {when}": "Vendre : {when}",
+    "At the sale: {amount}": "À la vente : {amount}",
+    "Year you sell": "Année de la vente",
+    "The history ({first}-{last}) is shorter than a {years}-year hold.":
+      "L'historique ({first}-{last}) est plus court qu'une détention de {years} ans.",
+    "{start} doesn't leave {years} years of history; the latest start year for this hold is {latest}.":
+      "{start} ne laisse pas {years} ans d'historique; la dernière année de départ possible pour cette détention est {latest}.",
+    "{count} start years ({first}-{last}), each held {years} years":
+      "{count} années de départ ({first}-{last}), chacune détenue {years} ans",
+    "{year}: {amount}": "{year} : {amount}",
+    "Holding Won": "La conservation l'emporte",
+    "{wins} of {runs} ({rate})": "{wins} sur {runs} ({rate})",
+    "Median Difference": "Écart médian",
+    "Best Start Year": "Meilleure année de départ",
+    "Worst Start Year": "Pire année de départ",
+    "Difference (Rent - Sell) after {years} years": "Écart (louer - vendre) après {years} ans",
+    "Held {start}-{end}": "Détenue de {start} à {end}",
+    "Start year": "Année de départ",
+    "Final-year difference (Rent - Sell)": "Écart de la dernière année (louer - vendre)",
+    "Year {year} ({calendarYear})": "Année {year} ({calendarYear})",
+    "Renting pulls ahead by Year {year}": "La location prend les devants d'ici l'année {year}",
+    "Renting and selling are equal at Year {year}": "Louer et vendre s'équivalent à l'année {year}",
+    "No breakeven: renting wins at every {label} in the allowed range (currently {current}).":
+      "Aucun seuil : la location l'emporte pour toute valeur de « {label} » dans la plage permise (actuellement {current}).",
+    "No breakeven: selling wins at every {label} in the allowed range (currently {current}).":
+      "Aucun seuil : la vente l'emporte pour toute valeur de « {label} » dans la plage permise (actuellement {current}).",
+    "{goal} when {label} is {breakeven} (currently {current}); renting wins above it.":
+      "{goal} lorsque « {label} » vaut {breakeven} (actuellement {current}); la location l'emporte au-dessus.",
+    "{goal} when {label} is {breakeven} (currently {current}); renting wins below it.":
+      "{goal} lorsque « {label} » vaut {breakeven} (actuellement {current}); la location l'emporte en dessous.",
+    "Breakeven: {value}": "Seuil : {value}",
+    "Set {label} to {value}": "Régler « {label} » à {value}",
+    "Input -{swing}%": "Donnée -{swing} %",
+    "Input +{swing}%": "Donnée +{swing} %",
+    "Up to {count} scenarios can be compared": "Jusqu'à {count} scénarios peuvent être comparés",
+    "Compare {name}": "Comparer {name}",
+    "Load {name} into the inputs": "Charger {name} dans les données",
+    "Delete {name}": "Supprimer {name}",
+    "Scenario {number}": "Scénario {number}",
+    "Undated": "Sans date",
+    "Final Year": "Dernière année",
+    "Current inputs": "Données actuelles",
+    "Keep Everything": "Tout garder",
+    "Sell Everything Now": "Tout vendre maintenant",
+    "Sell First": "Vendre en premier",
+    "Keep everything": "Tout garder",
+    "Gain From That Sale": "Gain de cette vente",
+    "Net Worth (Sell {name} Now)": "Valeur nette (vendre {name} maintenant)",
+    "Net Worth (Suggested Sale)": "Valeur nette (vente suggérée)",
+    "Remove {name} from the portfolio": "Retirer {name} du portefeuille",
+    "Sell {name} now": "Vendre {name} maintenant",
+    "Keep everything: {amount}": "Tout garder : {amount}",
+    "Property {number}": "Propriété {number}",
+    "Couldn't load {filename}:": "Impossible de charger {filename} :",
+    "Extra Interest + PMI From Keeping": "Intérêts et assurance hypothécaire supplémentaires si vous gardez",
+    "Proceeds if Sold Now": "Produit si vendue maintenant",
+    "Debt-to-Income Keeping": "Ratio d'endettement si vous gardez",
+    "Debt-to-Income Selling": "Ratio d'endettement si vous vendez",
+    "No income entered": "Aucun revenu saisi",
+    "qualifies": "admissible",
+    "over {limit}": "au-delà de {limit}",
+    "{amount} for {months} months": "{amount} pendant {months} mois",
+    "None": "Aucune",
+    "Down Payment": "Mise de fonds",
+    "Mortgage (Loan-to-Value)": "Prêt hypothécaire (ratio prêt-valeur)",
+    "Monthly Principal & Interest": "Capital et intérêts mensuels",
+    "Monthly PMI": "Assurance hypothécaire mensuelle",
+    "Interest Over {months} Months": "Intérêts sur {months} mois",
+    "PMI Over {months} Months": "Assurance hypothécaire sur {months} mois",
+    "Monthly Debts": "Dettes mensuelles",
+    "Qualifying Income ({share} of Rent Counts)": "Revenu admissible ({share} du loyer compte)",
+    "Debt-to-Income": "Ratio d'endettement",
+    "Input": "Donnée",
+    "Value": "Valeur",
+    "Prepared {date} · Home value {value} · Rent {rent}/mo · {years}-year horizon":
+      "Préparé le {date} · Valeur de la propriété {value} · Loyer {rent}/mois · Horizon de {years} ans",
+
+    // Validation
+    "Required; using {value} for now": "Obligatoire; {value} est utilisé d'ici là",
+    "Enter a number": "Saisissez un nombre",
+    "Enter a whole number; using {value} for now": "Saisissez un nombre entier; {value} est utilisé d'ici là",
+    "Must be {limit} or more; using {limit} for now": "Doit être d'au moins {limit}; {limit} est utilisé d'ici là",
+    "Must be {limit} or less; using {limit} for now": "Doit être d'au plus {limit}; {limit} est utilisé d'ici là",
+    "Enter the date your loan started; using today for now":
+      "Saisissez la date de début du prêt; la date d'aujourd'hui est utilisée d'ici là",
+    "Can't be in the future; using today for now": "Ne peut pas être dans le futur; la date d'aujourd'hui est utilisée d'ici là",
+    "Enter a valid date, or leave it blank": "Saisissez une date valide ou laissez le champ vide",
+    "The original loan ({loan}) is more than the purchase price ({price}). Check both amounts.":
+      "Le prêt initial ({loan}) dépasse le prix d'achat ({price}). Vérifiez les deux montants.",
+    "The loan was paid off in {date}, before the hold starts, so there are no mortgage payments. Check the loan origination date and term.":
+      "Le prêt a été remboursé en {date}, avant le début de la détention : il n'y a donc aucun versement hypothécaire. Vérifiez la date de début et la durée du prêt.",
+    "The hold runs past the end of the mortgage in {date}, so the last years have no mortgage payment.":
+      "La détention se prolonge après la fin du prêt en {date} : les dernières années n'ont aucun versement hypothécaire.",
+    "No management fee, but you'll live out of state. Owners far from the property usually pay a manager (often 8-10% of rent).":
+      "Aucuns frais de gestion, mais vous habiterez loin. Les propriétaires éloignés paient habituellement un gestionnaire (souvent 8 à 10 % du loyer).",
+  },
+};
@@ -0,0 +1,103 @@
+/**
+ * Investor Return Metrics
+ * IRR, NPV, cash-on-cash, cap rate and DSCR from the engine's yearly data
+ */
+
+/**
+ * Net present value of yearly cash flows (the first is at Year 0, undiscounted)
+ * @param {number} ratePercent - Discount rate, e.g. 8 = 8%
+ * @param {number[]} cashFlows
+ * @returns {number}
+ */
+export function npv(ratePercent, cashFlows) {
+  const rate = ratePercent / 100;
+  return cashFlows.reduce((total, cashFlow, year) => total + cashFlow / (1 + rate) ** year, 0);
+}
+
+/**
+ * Internal rate of return: the discount rate where NPV is zero.
+ * Newton's method from a 10% guess, falling back to bisection if it wanders off.
+ * @param {number[]} cashFlows - Yearly cash flows, Year 0 first
+ * @returns {number|null} Rate in percent, or null if the flows never change sign (no IRR)
+ */
+export function irr(cashFlows) {
+  const hasPositive = cashFlows.some((cashFlow) => cashFlow > 0);
+  const hasNegative = cashFlows.some((cashFlow) => cashFlow < 0);
+  if (!hasPositive || !hasNegative) return null;
+
+  // NPV and its derivative at a decimal rate
+  const value = (rate) => cashFlows.reduce((total, cashFlow, year) => total + cashFlow / (1 + rate) ** year, 0);
+  const slope = (rate) =>
+    cashFlows.reduce((total, cashFlow, year) => total - (year * cashFlow) / (1 + rate) ** (year + 1), 0);
+
+  let rate = 0.1;
+  for (let i = 0; i < 50; i++) {
+    const f = value(rate);
+    const df = slope(rate);
+    if (df === 0 || !isFinite(f)) break;
+    const next = rate - f / df;
+    if (!isFinite(next) || next <= -1) break;
+    if (Math.abs(next - rate) < 1e-10) return next * 100;
+    rate = next;
+  }
+
+  // Bisection: scan for a bracket between -99.99% and 10,000%
+  const steps = [-0.9999, -0.9, -0.5, -0.2, 0, 0.1, 0.25, 0.5, 1, 2, 5, 10, 100];
+  for (let i = 0; i + 1 < steps.length; i++) {
+    let low = steps[i];
+    let high = steps[i + 1];
+    if ((value(low) < 0) === (value(high) < 0)) continue;
+    for (let j = 0; j < 200 && high - low > 1e-12; j++) {
+      const mid = (low + high) / 2;
+      if ((value(mid) < 0) === (value(low) < 0)) low = mid;
+      else high = mid;
+    }
+    return ((low + high) / 2) * 100;
+  }
+  return null;
+}
+
+/**
+ * Investor metrics for the hold (rent) strategy.
+ *
+ * Holding means giving up the Year 0 after-tax sale proceeds, so that's the investment.
+ * Each later year returns its rental cash flow, and the final year adds the sale proceeds
+ * (after tax, or the full equity for a 1031 exchange).
+ * @param {Object[]} yearlyData - projectScenario output
+ * @param {Object} options
+ * @param {number} options.discountRate - Hurdle rate for NPV, in percent
+ * @returns {Object} investment, cashFlows, irr (percent or null), npv, and per-year
+ *   { year, netOperatingIncome, debtService, cashFlowBeforeTax, cashOnCash, capRate, dscr }
+ *   (ratios are 0-1 shares, null where the denominator is zero or negative)
+ */
+export function calculateMetrics(yearlyData, { discountRate }) {
+  const finalYear = yearlyData[yearlyData.length - 1];
+  const investment = yearlyData[0].exitProceeds;
+
+  const cashFlows = yearlyData.map((d) => {
+    if (d.year === 0) return -investment;
+    return d.netRentalCashFlow + (d === finalYear ? d.exitProceeds : 0);
+  });
+
+  const years = yearlyData.slice(1).map((d, i) => {
+    const valueAtStart = yearlyData[i].homeValue;
+    const cashFlowBeforeTax = d.netOperatingIncome - d.debtService;
+    return {
+      year: d.year,
+      netOperatingIncome: d.netOperatingIncome,
+      debtService: d.debtService,
+      cashFlowBeforeTax,
+      cashOnCash: investment > 0 ? cashFlowBeforeTax / investment : null,
+      capRate: valueAtStart > 0 ? d.netOperatingIncome / valueAtStart : null,
+      dscr: d.debtService > 0 ? d.netOperatingIncome / d.debtService : null,
+    };
+  });
+
+  return {
+    investment,
+    cashFlows,
+    irr: irr(cashFlows),
+    npv: npv(discountRate, cashFlows),
+    years,
+  };
+}
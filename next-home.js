@@ -0,0 +1,112 @@
+/**
+ * Next Home
+ * Financing the next home under each strategy. Selling now puts part of the sale proceeds
+ * toward its down payment; keeping (and renting out) this home keeps its loan, so the next
+ * one needs a bigger mortgage, with more interest and maybe PMI, and both payments count
+ * in the debt-to-income ratio a lender checks.
+ */
+import { buildAmortizationSchedule, sumPayments } from "./amortization.js";
+import { projectLoan, projectScenario } from "./engine.js";
+
+// Share of the rent lenders count as qualifying income (the rest allows for vacancy and upkeep)
+export const RENT_INCOME_SHARE = 0.75;
+
+// Highest debt-to-income ratio for a qualified mortgage
+export const MAX_DEBT_TO_INCOME = 0.43;
+
+// PMI is charged when the loan is over 80% of the price, until the scheduled balance reaches 78%
+const PMI_START_LTV = 0.8;
+const PMI_END_LTV = 0.78;
+
+/**
+ * The next home's mortgage for one down payment, with interest and PMI totaled over the hold
+ * @param {Object} nextHome - See compareNextHome
+ * @param {number} downPayment
+ * @param {number} months - Months to total interest and PMI over
+ * @returns {Object}
+ */
+function financeNextHome(nextHome, downPayment, months) {
+  const { price, rate, term, pmiRate } = nextHome;
+  const down = Math.min(price, Math.max(0, downPayment));
+  const loanAmount = price - down;
+  const schedule = buildAmortizationSchedule({ principal: loanAmount, annualRate: rate, termMonths: term * 12 });
+
+  const pmiMonthly = loanAmount > price * PMI_START_LTV ? (loanAmount * pmiRate) / 100 / 12 : 0;
+  const pmiMonths = pmiMonthly > 0 ? schedule.rows.findIndex((row) => row.balance <= price * PMI_END_LTV) + 1 : 0;
+  return {
+    downPayment: down,
+    loanAmount,
+    loanToValue: price > 0 ? loanAmount / price : 0,
+    payment: schedule.payment,
+    pmiMonthly,
+    pmiMonths,
+    interest: sumPayments(schedule.rows, 0, months).interest,
+    pmi: pmiMonthly * Math.min(pmiMonths, months),
+  };
+}
+
+/**
+ * Debt-to-income ratio: monthly debt payments over gross monthly income
+ * @param {number} debts
+ * @param {number} income
+ * @returns {Object} { debts, income, ratio, qualifies }
+ */
+function debtToIncome(debts, income) {
+  const ratio = income > 0 ? debts / income : Infinity;
+  return { debts, income, ratio, qualifies: ratio <= MAX_DEBT_TO_INCOME };
+}
+
+/**
+ * Compare financing the next home when keeping this one (rent) and when selling it now (sell).
+ *
+ * Both strategies put the same savings down; selling adds a share of the Year 0 after-tax
+ * proceeds. Interest and PMI are totaled over the hold, while the strategies differ.
+ * For the debt-to-income check, keeping adds this home's payment, taxes, insurance and HOA
+ * to the debts and 75% of its rent to the income.
+ * @param {Object} params - projectScenario params
+ * @param {Object} nextHome
+ * @param {number} nextHome.price
+ * @param {number} nextHome.rate - Mortgage rate in percent
+ * @param {number} nextHome.term - Mortgage term in years
+ * @param {number} nextHome.proceedsShare - % of the sale proceeds put toward the down payment
+ * @param {number} nextHome.savings - Down payment from savings, in both strategies
+ * @param {number} nextHome.pmiRate - Annual PMI in percent of the loan
+ * @param {number} nextHome.grossIncome - Gross household income per year
+ * @param {number} nextHome.otherDebts - Other monthly debt payments (car, student loans, cards)
+ * @param {Object[]} [yearlyData] - projectScenario output for params, if already projected
+ * @returns {Object} {
+ *   months,     // hold months interest and PMI are totaled over
+ *   proceeds,   // Year 0 after-tax sale proceeds (0 if underwater)
+ *   rent,       // financeNextHome result plus dti, keeping this home
+ *   sell,       // the same, selling this home now
+ *   extraCost   // keeping's interest + PMI over the hold minus selling's
+ * }
+ */
+export function compareNextHome(params, nextHome, yearlyData = projectScenario(params)) {
+  const months = (params.yearsToHold - 1) * 12 + (params.saleMonth || 12);
+  const proceeds = Math.max(0, yearlyData[0].sellYear0Total);
+
+  const rent = financeNextHome(nextHome, nextHome.savings, months);
+  const sell = financeNextHome(nextHome, nextHome.savings + (proceeds * nextHome.proceedsShare) / 100, months);
+
+  // This home's housing payment today (nothing left to pay once the loan is paid off)
+  const loan = projectLoan(params);
+  const nextPayment = loan.schedule.rows[loan.monthsElapsed];
+  const currentHousing = (nextPayment ? nextPayment.payment : 0)
+    + params.monthlyTaxes + params.monthlyInsurance + params.monthlyHOA;
+
+  const income = nextHome.grossIncome / 12;
+  rent.dti = debtToIncome(
+    rent.payment + rent.pmiMonthly + currentHousing + nextHome.otherDebts,
+    income + params.rentalPrice * RENT_INCOME_SHARE,
+  );
+  sell.dti = debtToIncome(sell.payment + sell.pmiMonthly + nextHome.otherDebts, income);
+
+  return {
+    months,
+    proceeds,
+    rent,
+    sell,
+    extraCost: rent.interest + rent.pmi - (sell.interest + sell.pmi),
+  };
+}
@@ -0,0 +1,121 @@
+/**
+ * Portfolio
+ * Several properties, each its own full set of inputs, combined into one
+ * portfolio: total cash flow and net worth, and which property to sell first
+ */
+
+export const PORTFOLIO_KEY = "holdorsell.portfolio";
+
+/**
+ * Read the portfolio's properties (an unreadable or missing entry counts as none)
+ * @param {Storage} storage - localStorage or anything with getItem/setItem
+ * @returns {Object[]} [{ name, values }]
+ */
+export function loadPortfolio(storage) {
+  try {
+    const properties = JSON.parse(storage.getItem(PORTFOLIO_KEY));
+    return Array.isArray(properties) ? properties : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Add a property, or replace the inputs of the property with that name
+ * (keeping its place in the list)
+ * @param {Storage} storage
+ * @param {string} name
+ * @param {Object} values - Input id → value string
+ * @returns {Object[]} The updated list
+ */
+export function saveProperty(storage, name, values) {
+  const properties = loadPortfolio(storage);
+  const existing = properties.find((p) => p.name === name);
+  if (existing) {
+    existing.values = values;
+  } else {
+    properties.push({ name, values });
+  }
+  storage.setItem(PORTFOLIO_KEY, JSON.stringify(properties));
+  return properties;
+}
+
+/**
+ * Remove a property from the portfolio
+ * @param {Storage} storage
+ * @param {string} name
+ * @returns {Object[]} The updated list
+ */
+export function removeProperty(storage, name) {
+  const properties = loadPortfolio(storage).filter((p) => p.name !== name);
+  storage.setItem(PORTFOLIO_KEY, JSON.stringify(properties));
+  return properties;
+}
+
+/**
+ * One property's yearly series out to the portfolio horizon.
+ *
+ * Holding follows the property's own projection until its hold period ends; after that
+ * it's been sold, so its rental net worth grows at its investment return with no more
+ * cash flow. Selling now keeps growing the Year 0 proceeds the same way (or stays
+ * negative if underwater, as in the engine).
+ * @param {Object[]} yearlyData - projectScenario output for the property
+ * @param {number} investmentReturn - Annual return in percent
+ * @param {number} horizon - Portfolio's final year
+ * @returns {Object} { hold, sell, cashFlow } arrays indexed by year 0..horizon
+ */
+export function extendToHorizon(yearlyData, investmentReturn, horizon) {
+  const finalYear = yearlyData[yearlyData.length - 1];
+  const growth = 1 + investmentReturn / 100;
+  const hold = [];
+  const sell = [];
+  const cashFlow = [];
+  for (let year = 0; year <= horizon; year++) {
+    const d = yearlyData[year];
+    if (d) {
+      hold.push(d.simpleRentalNetWorth);
+      sell.push(d.sellYear0Total);
+      cashFlow.push(year === 0 ? 0 : d.netRentalCashFlow);
+    } else {
+      const extraYears = year - finalYear.year;
+      hold.push(finalYear.simpleRentalNetWorth > 0
+        ? finalYear.simpleRentalNetWorth * growth ** extraYears
+        : finalYear.simpleRentalNetWorth);
+      sell.push(finalYear.sellYear0Total > 0
+        ? finalYear.sellYear0Total * growth ** extraYears
+        : finalYear.sellYear0Total);
+      cashFlow.push(0);
+    }
+  }
+  return { hold, sell, cashFlow };
+}
+
+/**
+ * Combine projected properties into portfolio totals and find the single
+ * property whose sale now leaves the most total net worth at the horizon.
+ * @param {Object[]} properties - [{ name, yearlyData, investmentReturn }]
+ * @returns {Object} {
+ *   horizon,                  // longest hold period among the properties
+ *   properties: [{ name, hold, sell, cashFlow }],
+ *   cashFlow, holdAll,        // combined by year when keeping everything
+ *   sales: [{ name, total }], // horizon net worth selling only that property now, best first
+ *   suggestion                // best of sales, or null when keeping everything wins
+ * }
+ */
+export function combinePortfolio(properties) {
+  const horizon = Math.max(0, ...properties.map((p) => p.yearlyData[p.yearlyData.length - 1].year));
+  const series = properties.map((p) => ({ name: p.name, ...extendToHorizon(p.yearlyData, p.investmentReturn, horizon) }));
+
+  const years = Array.from({ length: horizon + 1 }, (_, year) => year);
+  const sumAt = (key) => years.map((year) => series.reduce((total, s) => total + s[key][year], 0));
+  const cashFlow = sumAt("cashFlow");
+  const holdAll = sumAt("hold");
+
+  const holdAllTotal = holdAll[horizon];
+  const sales = series
+    .map((s) => ({ name: s.name, total: holdAllTotal - s.hold[horizon] + s.sell[horizon] }))
+    .sort((a, b) => b.total - a.total);
+  const suggestion = sales.length > 0 && sales[0].total > holdAllTotal ? sales[0] : null;
+
+  return { horizon, properties: series, cashFlow, holdAll, sales, suggestion };
+}
@@ -0,0 +1,94 @@
+/**
+ * Saved Scenarios
+ * Named sets of input values kept in localStorage for side-by-side comparison
+ */
+
+export const STORAGE_KEY = "holdorsell.scenarios";
+
+// Most saved scenarios overlaid on the chart at once
+export const MAX_COMPARED = 4;
+
+/**
+ * Read the saved scenarios (an unreadable or missing entry counts as none)
+ * @param {Storage} storage - localStorage or anything with getItem/setItem
+ * @returns {Object[]} [{ name, values, savedAt, compared }]
+ */
+export function loadScenarios(storage) {
+  try {
+    const scenarios = JSON.parse(storage.getItem(STORAGE_KEY));
+    return Array.isArray(scenarios) ? scenarios : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Write the scenario list back to storage
+ * @param {Storage} storage
+ * @param {Object[]} scenarios
+ * @returns {Object[]} The scenarios written
+ */
+function storeScenarios(storage, scenarios) {
+  storage.setItem(STORAGE_KEY, JSON.stringify(scenarios));
+  return scenarios;
+}
+
+/**
+ * Save input values under a name. Saving an existing name overwrites its values
+ * but keeps its place in the list and whether it's being compared.
+ * @param {Storage} storage
+ * @param {string} name
+ * @param {Object} values - Input id → value string
+ * @param {Date} [savedAt=new Date()]
+ * @returns {Object[]} The updated list
+ */
+export function saveScenario(storage, name, values, savedAt = new Date()) {
+  const scenarios = loadScenarios(storage);
+  const existing = scenarios.find((s) => s.name === name);
+  if (existing) {
+    existing.values = values;
+    existing.savedAt = savedAt.toISOString();
+  } else {
+    scenarios.push({ name, values, savedAt: savedAt.toISOString(), compared: false });
+  }
+  return storeScenarios(storage, scenarios);
+}
+
+/**
+ * Delete a saved scenario
+ * @param {Storage} storage
+ * @param {string} name
+ * @returns {Object[]} The updated list
+ */
+export function deleteScenario(storage, name) {
+  return storeScenarios(storage, loadScenarios(storage).filter((s) => s.name !== name));
+}
+
+/**
+ * Turn comparison on or off for a scenario. Turning it on is ignored once
+ * MAX_COMPARED scenarios are already compared.
+ * @param {Storage} storage
+ * @param {string} name
+ * @param {boolean} compared
+ * @returns {Object[]} The updated list
+ */
+export function setCompared(storage, name, compared) {
+  const scenarios = loadScenarios(storage);
+  const scenario = scenarios.find((s) => s.name === name);
+  if (!scenario) return scenarios;
+  if (compared && !scenario.compared && scenarios.filter((s) => s.compared).length >= MAX_COMPARED) {
+    return scenarios;
+  }
+  scenario.compared = compared;
+  return storeScenarios(storage, scenarios);
+}
+
+/**
+ * Keys whose values aren't the same in every set (missing counts as a value)
+ * @param {Object[]} valueSets - Input id → value maps
+ * @returns {string[]} Keys in first-seen order
+ */
+export function differingKeys(valueSets) {
+  const keys = [...new Set(valueSets.flatMap((values) => Object.keys(values)))];
+  return keys.filter((key) => valueSets.some((values) => values[key] !== valueSets[0][key]));
+}
@@ -0,0 +1,349 @@
+/**
+ * Scenario Schema
+ * The versioned scenario format shared by URLs, saved scenarios and JSON files,
+ * with validation and migrations from older versions
+ */
+
+import { STATE_PROFILES } from "./tax-profiles.js";
+import { CURRENCIES, LOCALES } from "./locale.js";
+
+// Bump when an input is renamed or its meaning changes, and add a migration below
+export const SCHEMA_VERSION = 2;
+
+// Identifies a scenario JSON file
+export const SCENARIO_FORMAT = "holdorsell-scenario";
+
+const number = (min = -Infinity, max = Infinity, integer = false) => ({ type: "number", min, max, integer });
+const choice = (...values) => ({ type: "enum", values });
+const date = { type: "date" };
+const yesNo = choice("yes", "no");
+
+/**
+ * Every scenario input by its id, with its type and allowed values.
+ * Lists are stored in URLs as "a,b,c;a,b,c" with fields in the order given here
+ * (text fields URI-encoded); in JSON files they're arrays of objects.
+ */
+export const SCENARIO_FIELDS = {
+  locale: choice(...Object.keys(LOCALES)),
+  currency: choice(...Object.keys(CURRENCIES)),
+  purchasePrice: number(0),
+  purchaseClosingCosts: number(0),
+  improvementLedger: {
+    type: "list",
+    fields: {
+      date,
+      amount: number(0),
+      description: { type: "text", optional: true },
+    },
+  },
+  loanOriginDate: date,
+  originalLoanAmount: number(0),
+  interestRate: number(0, 30),
+  mortgageTerm: choice(15, 20, 30),
+  primaryResidence: yesNo,
+  filingStatus: choice("mfj", "single", "hoh", "mfs"),
+  moveInDate: date,
+  moveOutDate: date,
+  unforeseenCircumstances: yesNo,
+  currentHomeValue: number(0),
+  monthlyHOA: number(0),
+  monthlyTaxes: number(0),
+  monthlyInsurance: number(0),
+  monthlyMaintenance: number(0),
+  rentalPrice: number(0),
+  annualRentIncrease: number(0, 20),
+  leaseRenewalMonth: number(1, 12, true),
+  propertyMgmtFee: number(0, 100),
+  ownerLocation: choice("local", "away"),
+  rentalTaxRate: number(0, 100),
+  landValuePercent: number(0, 100),
+  vacancyRate: number(0, 100),
+  turnoverEveryYears: number(0, 30, true),
+  turnoverVacantMonths: number(0, 12, true),
+  turnoverCosts: number(0),
+  capitalExpenditures: {
+    type: "list",
+    fields: {
+      year: number(1, 30, true),
+      amount: number(0),
+      description: { type: "text", optional: true },
+    },
+  },
+  homeAppreciation: number(-20, 30),
+  costInflation: number(0, 20),
+  sellingFees: number(0, 100),
+  transferTaxRate: number(0, 100),
+  sellingTitleFees: number(0),
+  sellerConcessions: number(0, 100),
+  capitalGainsTax: number(0, 100),
+  taxMode: choice("flat", "brackets"),
+  otherIncome: number(0),
+  taxState: choice(...Object.keys(STATE_PROFILES)),
+  investmentReturn: number(-50, 50),
+  reinvestCashFlow: yesNo,
+  exitStrategy: choice("taxable", "exchange1031"),
+  yearsToHold: number(1, 30, true),
+  saleMonth: number(1, 12, true),
+  extraPrincipal: number(0),
+  paymentFrequency: choice("monthly", "biweekly"),
+  lumpSumAmount: number(0),
+  lumpSumMonth: number(1, 360, true),
+  rateChanges: {
+    type: "list",
+    fields: {
+      year: number(1, 30, true),
+      rate: number(0, 30),
+      term: { ...choice(10, 15, 20, 30), optional: true },
+      closingCosts: number(0),
+      cashOut: number(0),
+    },
+  },
+  simulationMode: choice("off", "on"),
+  simulationPaths: number(100, 10000, true),
+  homeAppreciationVol: number(0, 50),
+  investmentReturnVol: number(0, 50),
+  annualRentIncreaseVol: number(0, 50),
+  costInflationVol: number(0, 50),
+  discountRate: number(0, 50),
+  nextHomePrice: number(0),
+  nextHomeRate: number(0, 30),
+  nextHomeTerm: choice(15, 20, 30),
+  nextHomeProceedsShare: number(0, 100),
+  nextHomeSavings: number(0),
+  nextHomePmiRate: number(0, 5),
+  nextHomeIncome: number(0),
+  nextHomeDebts: number(0),
+};
+
+/**
+ * Migrations, keyed by the version they upgrade from. Each takes an inputs object
+ * (URL strings or JSON values, so only rename keys or map values both can hold)
+ * and returns the next version's inputs.
+ */
+const MIGRATIONS = {
+  // Version 0 is every link saved before URLs carried a version; its keys are unchanged in version 1
+  0: (inputs) => inputs,
+  // Version 1's Selling Fees was agent commission plus closing costs; version 2 itemizes the closing
+  // costs separately, so links that set it get no itemized costs on top and keep the same total
+  1: (inputs) => {
+    if (inputs.sellingFees === undefined) return inputs;
+    const zero = typeof inputs.sellingFees === "string" ? "0" : 0;
+    return { transferTaxRate: zero, sellingTitleFees: zero, sellerConcessions: zero, ...inputs };
+  },
+};
+
+/**
+ * Upgrade inputs saved with an older schema version to the current one
+ * @param {Object} inputs - Input id → value
+ * @param {number} fromVersion - Version they were saved with (0 = unversioned)
+ * @returns {Object} Current-version inputs (unchanged if already current or newer)
+ */
+export function migrateInputs(inputs, fromVersion) {
+  let migrated = { ...inputs };
+  for (let version = fromVersion; version < SCHEMA_VERSION; version++) {
+    migrated = MIGRATIONS[version](migrated);
+  }
+  return migrated;
+}
+
+/**
+ * Migrate URL-style values that carry their version in a "v" key (as URLs and
+ * saved scenarios do). The "v" key is dropped from the result.
+ * @param {Object} values - Input id → string, plus "v"
+ * @returns {Object} Current-version values
+ */
+export function migrateValues(values) {
+  const { v, ...rest } = values;
+  return migrateInputs(rest, parseInt(v) || 0);
+}
+
+/**
+ * Check one value against its field definition
+ * @param {*} value
+ * @param {Object} field - Entry from SCENARIO_FIELDS
+ * @param {string} path - Name for error messages
+ * @returns {string[]} Problems (empty if valid)
+ */
+function validateValue(value, field, path) {
+  const got = JSON.stringify(value);
+  switch (field.type) {
+    case "number": {
+      const range = [
+        isFinite(field.min) ? `at least ${field.min}` : "",
+        isFinite(field.max) ? `at most ${field.max}` : "",
+      ].filter(Boolean).join(" and ");
+      const kind = field.integer ? "a whole number" : "a number";
+      if (typeof value !== "number" || !isFinite(value) || (field.integer && !Number.isInteger(value))
+        || value < field.min || value > field.max) {
+        return [`${path} must be ${kind}${range ? ` ${range}` : ""} (got ${got})`];
+      }
+      return [];
+    }
+    case "enum":
+      return field.values.includes(value)
+        ? []
+        : [`${path} must be one of ${field.values.map((v) => JSON.stringify(v)).join(", ")} (got ${got})`];
+    case "date":
+      return value === "" || (typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value).getTime()))
+        ? []
+        : [`${path} must be a date like "2023-01-31", or "" for none (got ${got})`];
+    case "text":
+      return typeof value === "string" ? [] : [`${path} must be text (got ${got})`];
+    case "list":
+      if (!Array.isArray(value)) return [`${path} must be a list (got ${got})`];
+      return value.flatMap((item, i) => {
+        if (!item || typeof item !== "object" || Array.isArray(item)) {
+          return [`${path}[${i}] must be an object (got ${JSON.stringify(item)})`];
+        }
+        return Object.entries(field.fields).flatMap(([key, itemField]) => {
+          if (item[key] === undefined || item[key] === null) {
+            return itemField.optional ? [] : [`${path}[${i}].${key} is required`];
+          }
+          return validateValue(item[key], itemField, `${path}[${i}].${key}`);
+        });
+      });
+    default:
+      return [];
+  }
+}
+
+/**
+ * Validate JSON-typed scenario inputs against the current schema.
+ * Inputs that are left out are allowed (the form's defaults apply).
+ * @param {Object} inputs
+ * @returns {string[]} Problems, one message each (empty if valid)
+ */
+export function validateScenarioInputs(inputs) {
+  if (!inputs || typeof inputs !== "object" || Array.isArray(inputs)) {
+    return ['"inputs" must be an object of input values'];
+  }
+  return Object.entries(inputs).flatMap(([key, value]) => {
+    const field = SCENARIO_FIELDS[key];
+    if (!field) return [`Unknown input "${key}"`];
+    return validateValue(value, field, key);
+  });
+}
+
+/**
+ * Convert form/URL string values into JSON-typed inputs
+ * @param {Object} values - Input id → string
+ * @returns {Object} Inputs with numbers, choices and lists typed
+ *   (unknown keys and blank numbers dropped, so the defaults apply)
+ */
+export function valuesToInputs(values) {
+  const inputs = {};
+  Object.entries(SCENARIO_FIELDS).forEach(([key, field]) => {
+    if (values[key] === undefined) return;
+    const value = toTyped(values[key], field);
+    if (typeof value === "number" && isNaN(value)) return;
+    inputs[key] = value;
+  });
+  return inputs;
+}
+
+/**
+ * Convert JSON-typed inputs back into form/URL string values
+ * @param {Object} inputs
+ * @returns {Object} Input id → string
+ */
+export function inputsToValues(inputs) {
+  const values = {};
+  Object.entries(inputs).forEach(([key, value]) => {
+    const field = SCENARIO_FIELDS[key];
+    if (field) values[key] = toText(value, field);
+  });
+  return values;
+}
+
+/**
+ * One string value to its JSON type
+ */
+function toTyped(text, field) {
+  switch (field.type) {
+    case "number":
+      return parseFloat(text);
+    case "enum":
+      return typeof field.values[0] === "number" ? parseFloat(text) : text;
+    case "list":
+      if (!text) return [];
+      return text.split(";").map((entry) => {
+        const parts = entry.split(",");
+        const item = {};
+        Object.entries(field.fields).forEach(([key, itemField], i) => {
+          const part = parts[i] === undefined ? "" : parts[i];
+          if (part === "" && itemField.optional) return;
+          item[key] = itemField.type === "text" ? decodeURIComponent(part) : toTyped(part, itemField);
+        });
+        return item;
+      });
+    default:
+      return text;
+  }
+}
+
+/**
+ * One JSON value to its string form
+ */
+function toText(value, field) {
+  if (field.type === "list") {
+    return value
+      .map((item) => Object.entries(field.fields)
+        .map(([key, itemField]) => {
+          if (item[key] === undefined || item[key] === null) return "";
+          return itemField.type === "text" ? encodeURIComponent(item[key]) : String(item[key]);
+        })
+        .join(","))
+      .join(";");
+  }
+  return String(value);
+}
+
+/**
+ * Build a scenario file object for download
+ * @param {Object} values - Current form values (input id → string)
+ * @param {Object} [meta]
+ * @param {string} [meta.name] - Scenario name
+ * @param {Date} [meta.savedAt=new Date()]
+ * @returns {Object} { format, version, name, savedAt, inputs }
+ */
+export function createScenarioFile(values, { name = "", savedAt = new Date() } = {}) {
+  return {
+    format: SCENARIO_FORMAT,
+    version: SCHEMA_VERSION,
+    name,
+    savedAt: savedAt.toISOString(),
+    inputs: valuesToInputs(values),
+  };
+}
+
+/**
+ * Read an uploaded scenario file: parse, check the envelope, migrate and validate
+ * @param {string} text - File contents
+ * @returns {{ errors: string[], name?: string, values?: Object }} values are form strings,
+ *   only present when there are no errors
+ */
+export function parseScenarioFile(text) {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch (e) {
+    return { errors: [`Not valid JSON: ${e.message}`] };
+  }
+  if (!file || typeof file !== "object" || file.format !== SCENARIO_FORMAT) {
+    return { errors: [`Not a scenario file (expected "format": "${SCENARIO_FORMAT}")`] };
+  }
+  if (!Number.isInteger(file.version) || file.version < 0) {
+    return { errors: ['"version" must be a whole number'] };
+  }
+  if (file.version > SCHEMA_VERSION) {
+    return { errors: [`Scenario version ${file.version} is newer than this calculator supports (${SCHEMA_VERSION})`] };
+  }
+  if (!file.inputs || typeof file.inputs !== "object" || Array.isArray(file.inputs)) {
+    return { errors: ['"inputs" must be an object of input values'] };
+  }
+
+  const inputs = migrateInputs(file.inputs, file.version);
+  const errors = validateScenarioInputs(inputs);
+  if (errors.length > 0) return { errors };
+  return { errors: [], name: typeof file.name === "string" ? file.name : "", values: inputsToValues(inputs) };
+}
@@ -0,0 +1,221 @@
+/**
+ * Sensitivity Analysis
+ * Measures how the final-year result responds to each assumption (tornado),
+ * to two assumptions at once (breakeven heatmap), and solves for the value
+ * of one assumption where the strategies break even (goal seek)
+ */
+import { projectScenario } from "./engine.js";
+
+// Continuous numeric inputs worth varying (the mortgage term and horizon are discrete)
+export const SENSITIVITY_KEYS = [
+  "purchasePrice",
+  "currentHomeValue",
+  "originalLoanAmount",
+  "interestRate",
+  "monthlyHOA",
+  "monthlyTaxes",
+  "monthlyInsurance",
+  "monthlyMaintenance",
+  "rentalPrice",
+  "annualRentIncrease",
+  "propertyMgmtFee",
+  "rentalTaxRate",
+  "landValuePercent",
+  "vacancyRate",
+  "homeAppreciation",
+  "costInflation",
+  "sellingFees",
+  "capitalGainsTax",
+  "investmentReturn",
+  "extraPrincipal",
+];
+
+// Inputs goal seek can solve for: the sensitivity inputs plus other dollar amounts and rates
+export const GOAL_SEEK_KEYS = [
+  ...SENSITIVITY_KEYS,
+  "purchaseClosingCosts",
+  "turnoverCosts",
+  "transferTaxRate",
+  "sellingTitleFees",
+  "sellerConcessions",
+  "otherIncome",
+];
+
+/**
+ * Final-year difference between the strategies (positive = renting wins)
+ * @param {Object} params - projectScenario params
+ * @returns {number}
+ */
+export function finalDifference(params) {
+  const data = projectScenario(params);
+  const finalYear = data[data.length - 1];
+  return finalYear.simpleRentalNetWorth - finalYear.sellYear0Total;
+}
+
+/**
+ * One-at-a-time sensitivity: move each input down and up by a percentage of its value.
+ * Inputs that are 0 (or missing) can't move proportionally and are skipped.
+ * @param {Object} params - projectScenario params
+ * @param {Object} [options]
+ * @param {number} [options.swingPercent=10] - Relative change, e.g. 10 = ±10%
+ * @param {string[]} [options.keys=SENSITIVITY_KEYS]
+ * @returns {{ base: number, bars: Object[] }} Bars sorted widest first:
+ *   { key, lowValue, highValue, low, high } where low/high are the final-year differences
+ */
+export function runTornado(params, { swingPercent = 10, keys = SENSITIVITY_KEYS } = {}) {
+  const base = finalDifference(params);
+  const bars = keys
+    .filter((key) => typeof params[key] === "number" && params[key] !== 0)
+    .map((key) => {
+      const lowValue = params[key] * (1 - swingPercent / 100);
+      const highValue = params[key] * (1 + swingPercent / 100);
+      return {
+        key,
+        lowValue,
+        highValue,
+        low: finalDifference({ ...params, [key]: lowValue }),
+        high: finalDifference({ ...params, [key]: highValue }),
+      };
+    });
+  bars.sort((a, b) => Math.abs(b.high - b.low) - Math.abs(a.high - a.low));
+  return { base, bars };
+}
+
+/**
+ * Evenly spaced values from min to max inclusive
+ * @param {number} min
+ * @param {number} max
+ * @param {number} steps - Number of values (at least 2)
+ * @returns {number[]}
+ */
+export function linspace(min, max, steps) {
+  return Array.from({ length: steps }, (_, i) => min + ((max - min) * i) / (steps - 1));
+}
+
+/**
+ * Two-variable grid of final-year differences
+ * @param {Object} params - projectScenario params
+ * @param {Object} grid
+ * @param {string} grid.xKey - Param varied along the x axis
+ * @param {number[]} grid.xValues
+ * @param {string} grid.yKey - Param varied along the y axis
+ * @param {number[]} grid.yValues
+ * @returns {{ xKey: string, yKey: string, xValues: number[], yValues: number[], differences: number[][] }}
+ *   differences[yIndex][xIndex]
+ */
+export function runHeatmap(params, { xKey, xValues, yKey, yValues }) {
+  const differences = yValues.map((y) =>
+    xValues.map((x) => finalDifference({ ...params, [xKey]: x, [yKey]: y })),
+  );
+  return { xKey, yKey, xValues, yValues, differences };
+}
+
+/**
+ * Trace the zero contour (breakeven line) through a grid with marching squares.
+ * Points are in fractional grid coordinates: { x: xIndex, y: yIndex }.
+ * @param {number[][]} values - values[yIndex][xIndex]
+ * @returns {Object[][]} Line segments, each a pair of points
+ */
+export function breakevenSegments(values) {
+  const segments = [];
+  // Where along an edge between a and b the value crosses zero (0-1)
+  const crossing = (a, b) => a / (a - b);
+
+  for (let j = 0; j < values.length - 1; j++) {
+    for (let i = 0; i < values[j].length - 1; i++) {
+      const corners = [
+        { x: i, y: j, v: values[j][i] },
+        { x: i + 1, y: j, v: values[j][i + 1] },
+        { x: i + 1, y: j + 1, v: values[j + 1][i + 1] },
+        { x: i, y: j + 1, v: values[j + 1][i] },
+      ];
+      const points = [];
+      for (let k = 0; k < 4; k++) {
+        const a = corners[k];
+        const b = corners[(k + 1) % 4];
+        if ((a.v < 0) !== (b.v < 0)) {
+          const t = crossing(a.v, b.v);
+          points.push({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t });
+        }
+      }
+      // 2 crossings = one segment; 4 (a saddle) = two segments
+      for (let k = 0; k + 1 < points.length; k += 2) {
+        segments.push([points[k], points[k + 1]]);
+      }
+    }
+  }
+  return segments;
+}
+
+/**
+ * How far renting is ahead of selling for a goal (positive = renting wins)
+ * @param {Object} params - projectScenario params
+ * @param {Object} goal
+ * @param {string} goal.target - "equal": the difference at the goal year;
+ *   "rentWins": the best difference in any year up to it (renting pulls ahead by then)
+ * @param {number} goal.year - Hold year the goal is measured at (can be past yearsToHold)
+ * @returns {number}
+ */
+export function goalDifference(params, { target, year }) {
+  const data = projectScenario({ ...params, yearsToHold: year });
+  const differences = data.slice(1).map((d) => d.simpleRentalNetWorth - d.sellYear0Total);
+  return target === "rentWins" ? Math.max(...differences) : differences[differences.length - 1];
+}
+
+/**
+ * Goal seek: the value of one input where the goal difference crosses zero.
+ *
+ * Scans outward from the current value in doubling steps (within the bounds) for the nearest
+ * sign change, then bisects it. Bisection rather than Newton because the difference has kinks
+ * and jumps (tax brackets, the exclusion deadline) where a breakeven can sit.
+ * @param {Object} params - projectScenario params
+ * @param {string} key - Param to solve for
+ * @param {Object} goal - { target, year } as for goalDifference
+ * @param {Object} [bounds]
+ * @param {number} [bounds.min=-Infinity]
+ * @param {number} [bounds.max=Infinity]
+ * @returns {Object} { value, rentWinsAbove, wins, base }: value is the breakeven (null if the
+ *   sign never changes within the bounds searched, in which case wins says which strategy always
+ *   wins), rentWinsAbove whether renting wins above it, base the difference at the current value
+ */
+export function solveBreakeven(params, key, goal, { min = -Infinity, max = Infinity } = {}) {
+  const evaluate = (value) => goalDifference({ ...params, [key]: value }, goal);
+  const start = Math.min(max, Math.max(min, params[key] || 0));
+  const base = evaluate(start);
+
+  const step = Math.abs(start) * 0.05 || 0.5;
+  const sides = [
+    { direction: 1, last: start, lastDifference: base, done: false },
+    { direction: -1, last: start, lastDifference: base, done: false },
+  ];
+  let bracket = null;
+  for (let i = 0; i < 40 && !bracket && sides.some((side) => !side.done); i++) {
+    for (const side of sides) {
+      if (side.done) continue;
+      const value = Math.min(max, Math.max(min, start + side.direction * step * 2 ** i));
+      if (value === side.last) {
+        side.done = true; // Hit the bound
+        continue;
+      }
+      const difference = evaluate(value);
+      if ((difference > 0) !== (side.lastDifference > 0)) {
+        bracket = side.direction > 0
+          ? { low: side.last, lowDifference: side.lastDifference, high: value }
+          : { low: value, lowDifference: difference, high: side.last };
+        break;
+      }
+      side.last = value;
+      side.lastDifference = difference;
+    }
+  }
+  if (!bracket) return { value: null, rentWinsAbove: null, wins: base > 0 ? "rent" : "sell", base };
+
+  let { low, high } = bracket;
+  const lowIsRent = bracket.lowDifference > 0;
+  for (let i = 0; i < 100 && high - low > 1e-9 * Math.max(1, Math.abs(low)); i++) {
+    const mid = (low + high) / 2;
+    if ((evaluate(mid) > 0) === lowIsRent) low = mid;
+    else high = mid;
+  }
+  return { value: (low + high) / 2, rentWinsAbove: !lowIsRent, wins: null, base };
+}
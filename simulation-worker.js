@@ -0,0 +1,10 @@
+/**
+ * Web Worker wrapper for the Monte Carlo simulation
+ * Keeps thousands of engine runs off the UI thread so typing stays responsive
+ */
+import { runSimulation } from "./simulation.js";
+
+self.addEventListener("message", (event) => {
+  const { id, params, options } = event.data;
+  self.postMessage({ id, result: runSimulation(params, options) });
+});
@@ -0,0 +1,99 @@
+/**
+ * Monte Carlo Simulation
+ * Runs the engine over many randomized rate paths and summarizes the spread of outcomes
+ */
+import { projectScenario } from "./engine.js";
+
+// Rates that get a random draw each year (the engine's ratePaths keys)
+export const SIMULATED_RATES = ["homeAppreciation", "investmentReturn", "annualRentIncrease", "costInflation"];
+
+/**
+ * Seeded pseudo-random generator (mulberry32) so runs are reproducible
+ * @param {number} seed
+ * @returns {Function} Returns a float in [0, 1)
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return function () {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Standard normal draw (Box-Muller)
+ * @param {Function} random - Uniform [0, 1) generator
+ * @returns {number}
+ */
+function randomNormal(random) {
+  const u = 1 - random(); // (0, 1] so log() stays finite
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * Value at a percentile of an ascending-sorted array (linear interpolation)
+ * @param {number[]} sorted
+ * @param {number} p - Percentile, 0-100
+ * @returns {number}
+ */
+export function percentile(sorted, p) {
+  if (sorted.length === 0) return NaN;
+  const index = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(index);
+  const upper = Math.ceil(index);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+}
+
+/**
+ * Run the projection over many random rate paths.
+ * Each simulated rate is drawn independently every year from a normal distribution
+ * centered on the scenario's own rate, floored at -99% so nothing compounds below zero.
+ * @param {Object} params - projectScenario params (the means)
+ * @param {Object} [options]
+ * @param {number} [options.paths=2000] - Number of simulated paths
+ * @param {Object} [options.volatility] - Standard deviation per rate in percentage points, keyed like SIMULATED_RATES
+ * @param {number} [options.seed=1] - Random seed
+ * @returns {Object} Per-year percentile bands for both strategies and the probability renting wins
+ */
+export function runSimulation(params, { paths = 2000, volatility = {}, seed = 1 } = {}) {
+  const random = createRandom(seed);
+  const years = params.yearsToHold;
+
+  // Collect each year's outcome across all paths
+  const rentOutcomes = Array.from({ length: years + 1 }, () => new Float64Array(paths));
+  const sellOutcomes = Array.from({ length: years + 1 }, () => new Float64Array(paths));
+  const rentWins = new Array(years + 1).fill(0);
+
+  for (let path = 0; path < paths; path++) {
+    const ratePaths = {};
+    SIMULATED_RATES.forEach((key) => {
+      const sd = volatility[key] || 0;
+      ratePaths[key] = [params[key]];
+      for (let year = 1; year <= years; year++) {
+        ratePaths[key].push(Math.max(-99, params[key] + sd * randomNormal(random)));
+      }
+    });
+
+    projectScenario({ ...params, ratePaths }).forEach((d) => {
+      rentOutcomes[d.year][path] = d.simpleRentalNetWorth;
+      sellOutcomes[d.year][path] = d.sellYear0Total;
+      if (d.simpleRentalNetWorth > d.sellYear0Total) rentWins[d.year]++;
+    });
+  }
+
+  const bands = (outcomes) => outcomes.map((values) => {
+    const sorted = values.sort();
+    return { p10: percentile(sorted, 10), p50: percentile(sorted, 50), p90: percentile(sorted, 90) };
+  });
+
+  return {
+    paths,
+    rent: bands(rentOutcomes),
+    sell: bands(sellOutcomes),
+    probabilityRentWins: rentWins.map((wins) => wins / paths),
+  };
+}
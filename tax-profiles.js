@@ -0,0 +1,185 @@
+/**
+ * Tax Profiles
+ * Bundled 2024 federal brackets, the net investment income tax and a few states'
+ * income and transfer taxes, for computing rates from income instead of flat inputs
+ */
+
+// Brackets are [upTo, ratePercent] pairs, lowest first; the last upTo is Infinity
+
+// 2024 federal ordinary income brackets by filing status
+export const FEDERAL_BRACKETS = {
+  mfj: [[23200, 10], [94300, 12], [201050, 22], [383900, 24], [487450, 32], [731200, 35], [Infinity, 37]],
+  single: [[11600, 10], [47150, 12], [100525, 22], [191950, 24], [243725, 32], [609350, 35], [Infinity, 37]],
+  hoh: [[16550, 10], [63100, 12], [100500, 22], [191950, 24], [243700, 32], [609350, 35], [Infinity, 37]],
+  mfs: [[11600, 10], [47150, 12], [100525, 22], [191950, 24], [243725, 32], [365600, 35], [Infinity, 37]],
+};
+
+// 2024 federal long-term capital gains brackets (0/15/20%), stacked on top of ordinary income
+export const FEDERAL_LTCG_BRACKETS = {
+  mfj: [[94050, 0], [583750, 15], [Infinity, 20]],
+  single: [[47025, 0], [518900, 15], [Infinity, 20]],
+  hoh: [[63000, 0], [551350, 15], [Infinity, 20]],
+  mfs: [[47025, 0], [291850, 15], [Infinity, 20]],
+};
+
+// Net investment income tax: 3.8% of investment income above these (unindexed) thresholds
+export const NIIT_RATE = 3.8;
+export const NIIT_THRESHOLDS = { mfj: 250000, single: 200000, hoh: 200000, mfs: 125000 };
+
+/**
+ * State profiles. Income brackets are 2024 (single and married filing jointly; head of household
+ * and married filing separately use the single brackets). `taxesCapitalGains` is whether a home sale
+ * gain is taxed as ordinary income. `transferTax` is the state's seller-paid transfer tax on the sale
+ * price (city and county taxes vary, so they go in the local transfer tax input).
+ */
+export const STATE_PROFILES = {
+  none: {
+    name: "Other / no state tax",
+    brackets: null,
+    taxesCapitalGains: false,
+    transferTax: [[Infinity, 0]],
+  },
+  CA: {
+    name: "California",
+    // Top bracket includes the 1% mental health services tax over $1M
+    brackets: {
+      single: [[10756, 1], [25499, 2], [40245, 4], [55866, 6], [70606, 8], [360659, 9.3], [432787, 10.3], [721314, 11.3], [1000000, 12.3], [Infinity, 13.3]],
+      mfj: [[21512, 1], [50998, 2], [80490, 4], [111732, 6], [141212, 8], [721318, 9.3], [865574, 10.3], [1000000, 11.3], [1442628, 12.3], [Infinity, 13.3]],
+    },
+    taxesCapitalGains: true,
+    transferTax: [[Infinity, 0.11]], // County documentary transfer tax, $1.10 per $1,000
+  },
+  NY: {
+    name: "New York",
+    brackets: {
+      single: [[8500, 4], [11700, 4.5], [13900, 5.25], [80650, 5.5], [215400, 6], [1077550, 6.85], [5000000, 9.65], [25000000, 10.3], [Infinity, 10.9]],
+      mfj: [[17150, 4], [23600, 4.5], [27900, 5.25], [161550, 5.5], [323200, 6], [2155350, 6.85], [5000000, 9.65], [25000000, 10.3], [Infinity, 10.9]],
+    },
+    taxesCapitalGains: true,
+    transferTax: [[Infinity, 0.4]],
+  },
+  TX: {
+    name: "Texas",
+    brackets: null,
+    taxesCapitalGains: false,
+    transferTax: [[Infinity, 0]],
+  },
+  FL: {
+    name: "Florida",
+    brackets: null,
+    taxesCapitalGains: false,
+    transferTax: [[Infinity, 0.7]], // Documentary stamp tax on the deed
+  },
+  WA: {
+    name: "Washington",
+    brackets: null, // No wage income tax; the capital gains tax exempts real estate
+    taxesCapitalGains: false,
+    transferTax: [[525000, 1.1], [1525000, 1.28], [3025000, 2.75], [Infinity, 3]], // Graduated state REET
+  },
+};
+
+/**
+ * Tax on an amount under progressive brackets
+ * @param {number[][]} brackets - [upTo, ratePercent] pairs
+ * @param {number} amount
+ * @returns {number}
+ */
+export function bracketTax(brackets, amount) {
+  let tax = 0;
+  let lower = 0;
+  for (const [upTo, rate] of brackets) {
+    if (amount <= lower) break;
+    tax += (Math.min(amount, upTo) - lower) * (rate / 100);
+    lower = upTo;
+  }
+  return tax;
+}
+
+/**
+ * Build a tax profile for a filing status and state
+ * @param {string} filingStatus - "mfj", "single", "hoh" or "mfs"
+ * @param {string} state - Key of STATE_PROFILES (unknown keys count as "none")
+ * @returns {Object} { federal, ltcg, niitThreshold, state, stateBrackets }
+ */
+export function taxProfileFor(filingStatus, state) {
+  const status = FEDERAL_BRACKETS[filingStatus] ? filingStatus : "mfj";
+  const stateProfile = STATE_PROFILES[state] || STATE_PROFILES.none;
+  return {
+    federal: FEDERAL_BRACKETS[status],
+    ltcg: FEDERAL_LTCG_BRACKETS[status],
+    niitThreshold: NIIT_THRESHOLDS[status],
+    state: stateProfile,
+    stateBrackets: stateProfile.brackets ? stateProfile.brackets[status === "mfj" ? "mfj" : "single"] : null,
+  };
+}
+
+/**
+ * Total federal and state income tax for a year.
+ *
+ * Ordinary income fills the ordinary brackets; unrecaptured depreciation (recapture) is stacked
+ * on top at ordinary rates capped at 25%; long-term gains are stacked on top of both in the
+ * 0/15/20% brackets. NIIT applies to investment income above the threshold (taxable income stands
+ * in for MAGI). States tax recapture as ordinary income, and gains too where they tax them.
+ * @param {Object} profile - taxProfileFor result
+ * @param {Object} income
+ * @param {number} income.ordinaryIncome - Taxable ordinary income (wages plus rental profit)
+ * @param {number} [income.recapture=0] - Unrecaptured Section 1250 gain
+ * @param {number} [income.capitalGains=0] - Taxable long-term capital gain
+ * @param {number} [income.investmentIncome=0] - Net investment income for NIIT
+ * @returns {{ federal: number, niit: number, state: number, total: number }}
+ */
+export function incomeTax(profile, { ordinaryIncome, recapture = 0, capitalGains = 0, investmentIncome = 0 }) {
+  const ordinary = Math.max(0, ordinaryIncome);
+  const withRecapture = ordinary + recapture;
+  const taxableIncome = withRecapture + capitalGains;
+
+  const ordinaryTax = bracketTax(profile.federal, ordinary);
+  const recaptureTax = Math.min(
+    bracketTax(profile.federal, withRecapture) - ordinaryTax,
+    recapture * 0.25,
+  );
+  const gainsTax = bracketTax(profile.ltcg, taxableIncome) - bracketTax(profile.ltcg, withRecapture);
+  const federal = ordinaryTax + recaptureTax + gainsTax;
+
+  const niit = Math.min(Math.max(0, investmentIncome), Math.max(0, taxableIncome - profile.niitThreshold))
+    * (NIIT_RATE / 100);
+
+  const stateIncome = withRecapture + (profile.state.taxesCapitalGains ? capitalGains : 0);
+  const state = profile.stateBrackets ? bracketTax(profile.stateBrackets, stateIncome) : 0;
+
+  return { federal, niit, state, total: federal + niit + state };
+}
+
+/**
+ * Extra tax from adding rental income or sale gains on top of your other income.
+ *
+ * Brackets and other income are in today's dollars; pass the year's inflation factor to treat
+ * both as rising with inflation (amounts are deflated, taxed, and the tax re-inflated).
+ * @param {Object} profile - taxProfileFor result
+ * @param {number} otherIncome - Taxable income before the property, today's dollars
+ * @param {Object} added - { ordinary, recapture, capitalGains } in that year's dollars;
+ *   negative ordinary income (released losses) lowers the tax
+ * @param {number} [inflationFactor=1]
+ * @returns {number} Added tax (negative if it saves tax)
+ */
+export function addedIncomeTax(profile, otherIncome, { ordinary = 0, recapture = 0, capitalGains = 0 }, inflationFactor = 1) {
+  const base = incomeTax(profile, { ordinaryIncome: otherIncome });
+  const withProperty = incomeTax(profile, {
+    ordinaryIncome: otherIncome + ordinary / inflationFactor,
+    recapture: recapture / inflationFactor,
+    capitalGains: capitalGains / inflationFactor,
+    investmentIncome: (ordinary + recapture + capitalGains) / inflationFactor,
+  });
+  return (withProperty.total - base.total) * inflationFactor;
+}
+
+/**
+ * State transfer tax on a sale price (graduated where the state's is)
+ * @param {Object} profile - taxProfileFor result
+ * @param {number} salePrice
+ * @param {number} [inflationFactor=1] - Bracket thresholds rise with inflation
+ * @returns {number}
+ */
+export function stateTransferTax(profile, salePrice, inflationFactor = 1) {
+  return bracketTax(profile.state.transferTax, salePrice / inflationFactor) * inflationFactor;
+}
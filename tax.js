@@ -0,0 +1,148 @@
+/**
+ * Rental Tax Rules
+ * Schedule E depreciation and the taxes owed when a former rental is sold
+ */
+
+// Residential rental buildings depreciate straight-line over 27.5 years (MACRS)
+export const RESIDENTIAL_RECOVERY_YEARS = 27.5;
+
+// Unrecaptured Section 1250 gain is taxed at ordinary rates, capped at 25%
+export const MAX_RECAPTURE_RATE = 25;
+
+// Section 121 exclusion caps by filing status
+export const SECTION_121_CAPS = {
+  mfj: 500000, // Married filing jointly (assumes both spouses meet the use test)
+  single: 250000,
+  hoh: 250000, // Head of household
+  mfs: 250000, // Married filing separately
+};
+
+// Nonqualified use only counts periods starting in 2009 or later
+const NONQUALIFIED_USE_START = new Date(2009, 0, 1);
+
+/**
+ * Convert a date to a running month count (year * 12 + month) for month arithmetic
+ * @param {Date|string} date
+ * @returns {number}
+ */
+export function toMonthIndex(date) {
+  const d = new Date(date);
+  return d.getFullYear() * 12 + d.getMonth();
+}
+
+/**
+ * Section 121 home sale exclusion for a sale in a given month.
+ *
+ * - 2-of-5 rule: at least 24 months of use (and ownership) in the 60 months before the sale,
+ *   so a full exclusion lasts until 36 months after moving out
+ * - Partial exclusion: with a qualifying unforeseen circumstance (job, health, etc.)
+ *   the cap is prorated by months of use / 24
+ * - Nonqualified use: rental periods before moving in (2009 on) can't be excluded;
+ *   time after the final move-out is exempt from this rule
+ * @param {Object} home - All dates as month indexes (see toMonthIndex)
+ * @param {string} home.filingStatus - Key of SECTION_121_CAPS
+ * @param {number} home.acquiredMonth - When the home was bought
+ * @param {number} home.moveInMonth
+ * @param {number} home.moveOutMonth
+ * @param {number} home.saleMonth
+ * @param {boolean} [home.unforeseenCircumstances=false]
+ * @returns {{ exclusionCap: number, nonqualifiedUseFraction: number, qualifyingMonths: number, monthsLeft: number }}
+ *   exclusionCap is the most that can be excluded; monthsLeft is how long the full exclusion remains
+ */
+export function calculateSection121({
+  filingStatus,
+  acquiredMonth,
+  moveInMonth,
+  moveOutMonth,
+  saleMonth,
+  unforeseenCircumstances = false,
+}) {
+  const cap = SECTION_121_CAPS[filingStatus] ?? SECTION_121_CAPS.mfj;
+
+  // Use and ownership within the 5-year lookback window
+  const windowStart = saleMonth - 60;
+  const useMonths = Math.max(0, Math.min(moveOutMonth, saleMonth) - Math.max(moveInMonth, windowStart));
+  const ownedMonths = Math.max(0, saleMonth - Math.max(acquiredMonth, windowStart));
+  const qualifyingMonths = Math.min(useMonths, ownedMonths);
+
+  let exclusionCap = 0;
+  if (qualifyingMonths >= 24) {
+    exclusionCap = cap;
+  } else if (unforeseenCircumstances) {
+    exclusionCap = cap * (qualifyingMonths / 24);
+  }
+
+  // Full exclusion holds while the window still contains 24 months of use
+  const totalUseMonths = moveOutMonth - moveInMonth;
+  const monthsLeft = totalUseMonths >= 24 ? Math.max(0, moveOutMonth + 36 - saleMonth) : 0;
+
+  // Rented out before moving in counts against the exclusion, pro rata over ownership
+  const nonqualifiedStart = Math.max(acquiredMonth, toMonthIndex(NONQUALIFIED_USE_START));
+  const nonqualifiedMonths = Math.max(0, Math.min(moveInMonth, saleMonth) - nonqualifiedStart);
+  const ownershipMonths = saleMonth - acquiredMonth;
+  const nonqualifiedUseFraction = ownershipMonths > 0 ? Math.min(1, nonqualifiedMonths / ownershipMonths) : 0;
+
+  return { exclusionCap, nonqualifiedUseFraction, qualifyingMonths, monthsLeft };
+}
+
+/**
+ * Depreciation deduction for one year of rental use.
+ * Uses the mid-month convention with the rental placed in service at the start of Year 1,
+ * so Year 1 gets 11.5 months and the final partial year gets whatever basis is left.
+ * @param {number} basis - Depreciable basis (building only, land never depreciates)
+ * @param {number} rentalYear - 1-based year of rental use
+ * @returns {number} Depreciation for that year
+ */
+export function calculateDepreciation(basis, rentalYear) {
+  if (basis <= 0 || rentalYear < 1) return 0;
+  const fullYear = basis / RESIDENTIAL_RECOVERY_YEARS;
+  const firstYear = fullYear * (11.5 / 12);
+  const takenBefore = rentalYear === 1 ? 0 : firstYear + fullYear * (rentalYear - 2);
+  return Math.max(0, Math.min(rentalYear === 1 ? firstYear : fullYear, basis - takenBefore));
+}
+
+/**
+ * Split the gain on a sale into depreciation recapture and the taxable capital gain.
+ * The Section 121 exclusion never covers gain from depreciation taken after May 6, 1997,
+ * so the exclusion only applies to the non-recapture part.
+ * @param {Object} sale
+ * @param {number} sale.gain - Sale price less adjusted basis
+ * @param {number} sale.accumulatedDepreciation - Depreciation taken while rented
+ * @param {number} sale.exclusion - Section 121 exclusion available (0 if not eligible)
+ * @param {number} [sale.nonqualifiedUseFraction=0] - Share of the gain from nonqualified use (not excludable)
+ * @returns {{ recaptureGain: number, taxableGain: number }}
+ */
+export function splitSaleGain({ gain, accumulatedDepreciation, exclusion, nonqualifiedUseFraction = 0 }) {
+  if (gain <= 0) return { recaptureGain: 0, taxableGain: 0 };
+  const recaptureGain = Math.min(gain, accumulatedDepreciation);
+  const otherGain = gain - recaptureGain;
+  const excludedGain = Math.min(exclusion, otherGain * (1 - nonqualifiedUseFraction));
+  return { recaptureGain, taxableGain: otherGain - excludedGain };
+}
+
+/**
+ * Tax the recapture and capital gain parts of a sale (see splitSaleGain) at flat rates.
+ * @param {Object} sale
+ * @param {number} sale.gain - Sale price less adjusted basis
+ * @param {number} sale.accumulatedDepreciation - Depreciation taken while rented
+ * @param {number} sale.exclusion - Section 121 exclusion available (0 if not eligible)
+ * @param {number} [sale.nonqualifiedUseFraction=0] - Share of the gain from nonqualified use (not excludable)
+ * @param {number} sale.capitalGainsRate - Long-term capital gains rate in percent
+ * @param {number} sale.ordinaryRate - Marginal ordinary income rate in percent
+ * @returns {{ recaptureTax: number, capitalGainsTax: number }}
+ */
+export function calculateSaleTaxes({
+  gain,
+  accumulatedDepreciation,
+  exclusion,
+  nonqualifiedUseFraction = 0,
+  capitalGainsRate,
+  ordinaryRate,
+}) {
+  if (gain <= 0) return { recaptureTax: 0, capitalGainsTax: 0 };
+  const { recaptureGain, taxableGain } = splitSaleGain({ gain, accumulatedDepreciation, exclusion, nonqualifiedUseFraction });
+  return {
+    recaptureTax: recaptureGain * (Math.min(ordinaryRate, MAX_RECAPTURE_RATE) / 100),
+    capitalGainsTax: taxableGain * (capitalGainsRate / 100),
+  };
+}
@@ -0,0 +1,131 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  balanceAfter,
+  buildAmortizationSchedule,
+  calculateMonthlyPayment,
+  calculateRemainingBalance,
+  getPaymentDate,
+  sumPayments,
+} from "../amortization.js";
+import { assertCents } from "./fixtures.js";
+
+const LOAN = { principal: 200000, annualRate: 6, termMonths: 360 };
+
+test("schedule without prepayments matches the closed-form balance", () => {
+  const { rows, payoffPayment, totalInterest } = buildAmortizationSchedule(LOAN);
+  assert.equal(payoffPayment, 360);
+  [1, 12, 60, 180, 359].forEach((n) => {
+    assertCents(rows[n - 1].balance, calculateRemainingBalance(200000, 0.005, 360, n));
+  });
+  assertCents(rows[359].balance, 0);
+  // 360 payments of $1,199.10 less the principal
+  assertCents(totalInterest, 231676.38);
+});
+
+test("each row splits the payment into interest and principal", () => {
+  const { rows } = buildAmortizationSchedule(LOAN);
+  assertCents(rows[0].interest, 1000);
+  assertCents(rows[0].principal, 199.10);
+  assertCents(rows[0].payment, 1199.10);
+});
+
+test("recurring extra principal shortens the loan and saves interest", () => {
+  const { payoffPayment, totalInterest, rows } = buildAmortizationSchedule({ ...LOAN, extraMonthly: 100 });
+  // $100/mo extra on $200k at 6% pays off in 24 years 7 months
+  assert.equal(payoffPayment, 295);
+  assert.ok(totalInterest < 231676.38 - 49000);
+  const paid = rows.reduce((sum, r) => sum + r.principal + r.extraPrincipal, 0);
+  assertCents(paid, 200000);
+});
+
+test("biweekly payments behave like one extra payment a year", () => {
+  const { payoffPayment } = buildAmortizationSchedule({ ...LOAN, biweekly: true });
+  assert.ok(payoffPayment > 280 && payoffPayment < 300);
+});
+
+test("lump sum is applied once, counted from the start payment", () => {
+  const plain = buildAmortizationSchedule({ ...LOAN, startPayment: 24 });
+  const lump = buildAmortizationSchedule({ ...LOAN, startPayment: 24, lumpSums: [{ month: 12, amount: 10000 }] });
+  assertCents(lump.rows[34].balance, plain.rows[34].balance);
+  assertCents(lump.rows[35].extraPrincipal, 10000);
+  assertCents(lump.rows[35].balance, plain.rows[35].balance - 10000);
+});
+
+test("prepayments never start before the start payment", () => {
+  const { rows } = buildAmortizationSchedule({ ...LOAN, startPayment: 36, extraMonthly: 500 });
+  rows.slice(0, 36).forEach((r) => assert.equal(r.extraPrincipal, 0));
+  assert.equal(rows[36].extraPrincipal, 500);
+});
+
+test("extra principal never overshoots the balance", () => {
+  const { rows, payoffPayment } = buildAmortizationSchedule({ ...LOAN, lumpSums: [{ month: 2, amount: 1e6 }] });
+  assert.equal(payoffPayment, 2);
+  assert.equal(rows[1].balance, 0);
+});
+
+test("0% loan amortizes in equal principal payments", () => {
+  const { rows, totalInterest } = buildAmortizationSchedule({ principal: 120000, annualRate: 0, termMonths: 120 });
+  assert.equal(rows.length, 120);
+  assert.equal(totalInterest, 0);
+  assertCents(rows[29].balance, 90000);
+});
+
+test("balanceAfter reads the schedule and handles both ends", () => {
+  const { rows } = buildAmortizationSchedule(LOAN);
+  assert.equal(balanceAfter(rows, 200000, 0), 200000);
+  assert.equal(balanceAfter(rows, 200000, 60), rows[59].balance);
+  assert.equal(balanceAfter(rows, 200000, 500), 0);
+});
+
+test("sumPayments totals a range of payments", () => {
+  const { rows } = buildAmortizationSchedule(LOAN);
+  const year = sumPayments(rows, 0, 12);
+  assertCents(year.payment, calculateMonthlyPayment(200000, 6, 30) * 12);
+  assertCents(year.interest + year.principal, year.payment);
+  assert.equal(sumPayments(rows, 360, 372).payment, 0);
+});
+
+test("payment dates skip the month after origination", () => {
+  const first = getPaymentDate("2022-07-19", 1);
+  assert.equal(first.getFullYear(), 2022);
+  assert.equal(first.getMonth(), 8); // September
+  assert.equal(getPaymentDate("2022-07-19", 360).getFullYear(), 2052);
+});
+
+test("ARM reset re-amortizes the balance over the months left", () => {
+  const { rows, payoffPayment } = buildAmortizationSchedule({ ...LOAN, rateChanges: [{ month: 61, rate: 8 }] });
+  assert.equal(payoffPayment, 360);
+  const balance = rows[59].balance;
+  assertCents(rows[60].interest, balance * 0.08 / 12);
+  assertCents(rows[60].payment, calculateMonthlyPayment(balance, 8, 25));
+  assert.equal(rows[60].rate, 8);
+  assert.equal(rows[59].rate, 6);
+  assertCents(rows[359].balance, 0);
+});
+
+test("refinance with a new term restarts the clock", () => {
+  const { rows, payoffPayment } = buildAmortizationSchedule({
+    ...LOAN,
+    startPayment: 24,
+    rateChanges: [{ month: 37, rate: 5, termMonths: 180 }],
+  });
+  // Change lands on payment 61 and runs 180 more payments
+  assert.equal(payoffPayment, 60 + 180);
+  assertCents(rows[60].payment, calculateMonthlyPayment(rows[59].balance, 5, 15));
+});
+
+test("cash-out refinance adds to the balance and records the cash and costs", () => {
+  const plain = buildAmortizationSchedule(LOAN);
+  const { rows } = buildAmortizationSchedule({
+    ...LOAN,
+    rateChanges: [{ month: 61, rate: 6, termMonths: 360, closingCosts: 4000, cashOut: 50000 }],
+  });
+  const refiRow = rows[60];
+  assert.equal(refiRow.cashOut, 50000);
+  assert.equal(refiRow.closingCosts, 4000);
+  assertCents(refiRow.interest, (plain.rows[59].balance + 50000) * 0.005);
+  const totals = sumPayments(rows, 48, 72);
+  assert.equal(totals.cashOut, 50000);
+  assert.equal(totals.closingCosts, 4000);
+});
@@ -0,0 +1,59 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { projectScenario } from "../engine.js";
+import {
+  HISTORY,
+  HISTORY_END,
+  HISTORY_START,
+  backtestStartYears,
+  historicalRatePaths,
+  runBacktest,
+  sweepBacktest,
+} from "../backtest.js";
+import { baseParams } from "./fixtures.js";
+
+const PARAMS = baseParams();
+
+test("every series covers the same calendar years", () => {
+  const length = HISTORY_END - HISTORY_START + 1;
+  for (const series of Object.values(HISTORY)) {
+    assert.equal(series.length, length);
+    assert.ok(series.every(Number.isFinite));
+  }
+});
+
+test("hold year 1 takes the start year's rates, and start years need a full hold of history", () => {
+  const paths = historicalRatePaths(2008, 3);
+  assert.deepEqual(paths.homeAppreciation, [null, -12, -3.5, -4]);
+  assert.deepEqual(paths.investmentReturn, [null, -37, 26.5, 15.1]);
+  assert.deepEqual(paths.costInflation, [null, 0.1, 2.7, 1.5]);
+  assert.deepEqual(paths.annualRentIncrease, [null, 3.4, 0.9, 0.3]);
+
+  const starts = backtestStartYears(10);
+  assert.equal(starts[0], HISTORY_START);
+  assert.equal(starts[starts.length - 1], HISTORY_END - 9);
+  assert.deepEqual(backtestStartYears(HISTORY_END - HISTORY_START + 2), []);
+});
+
+test("a backtest is the engine run on that start year's rates", () => {
+  const run = runBacktest(PARAMS, 1990);
+  assert.deepEqual(run.yearlyData, projectScenario({ ...PARAMS, ratePaths: historicalRatePaths(1990, 10) }));
+  const finalYear = run.yearlyData[10];
+  assert.equal(run.difference, finalYear.simpleRentalNetWorth - finalYear.sellYear0Total);
+  // Only the four growth rates change
+  assert.equal(run.yearlyData[0].sellYear0Total, projectScenario(PARAMS)[0].sellYear0Total);
+});
+
+test("the sweep counts how often holding won across every start year", () => {
+  const sweep = sweepBacktest(PARAMS);
+  assert.deepEqual(sweep.runs.map((run) => run.startYear), backtestStartYears(10));
+  assert.equal(sweep.rentWins, sweep.runs.filter((run) => run.difference > 0).length);
+  assert.equal(sweep.rentWinRate, sweep.rentWins / sweep.runs.length);
+  assert.equal(sweep.best.difference, Math.max(...sweep.runs.map((run) => run.difference)));
+  assert.equal(sweep.worst.difference, Math.min(...sweep.runs.map((run) => run.difference)));
+  assert.ok(sweep.medianDifference <= sweep.best.difference && sweep.medianDifference >= sweep.worst.difference);
+
+  const tooLong = sweepBacktest({ ...PARAMS, yearsToHold: 60 });
+  assert.equal(tooLong.runs.length, 0);
+  assert.equal(tooLong.best, null);
+});
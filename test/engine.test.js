@@ -0,0 +1,586 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  calculateMonthlyPayment,
+  calculateRemainingBalance,
+  findCrossovers,
+  getMonthsElapsed,
+  holdYearFor,
+  inTodaysDollars,
+  presentValue,
+  projectLoan,
+  projectMonths,
+  projectScenario,
+} from "../engine.js";
+import { calculateDepreciation, SECTION_121_CAPS } from "../tax.js";
+import { addedIncomeTax, taxProfileFor } from "../tax-profiles.js";
+import { AS_OF, assertCents, baseParams } from "./fixtures.js";
+
+test("monthly payment matches published amortization tables", () => {
+  assertCents(calculateMonthlyPayment(200000, 6, 30), 1199.10);
+  assertCents(calculateMonthlyPayment(300000, 4, 15), 2219.06);
+  assertCents(calculateMonthlyPayment(120000, 0, 10), 1000);
+});
+
+test("remaining balance matches an iterated month-by-month schedule", () => {
+  const payment = calculateMonthlyPayment(200000, 6, 30);
+  let balance = 200000;
+  for (let month = 1; month <= 60; month++) {
+    balance = balance * 1.005 - payment;
+  }
+  assertCents(calculateRemainingBalance(200000, 0.005, 360, 60), balance);
+  assertCents(calculateRemainingBalance(200000, 0.005, 360, 60), 186108.71);
+  assert.equal(calculateRemainingBalance(200000, 0.005, 360, 0), 200000);
+  assert.equal(calculateRemainingBalance(200000, 0.005, 360, 400), 0);
+});
+
+test("remaining balance at 0% interest is straight-line", () => {
+  assert.equal(calculateRemainingBalance(120000, 0, 120, 30), 90000);
+});
+
+test("months elapsed skips the first month after origination", () => {
+  assert.equal(getMonthsElapsed("2023-01-15", AS_OF), 35);
+  assert.equal(getMonthsElapsed("2025-12-15", AS_OF), 0);
+  assert.equal(getMonthsElapsed("2026-01-15", AS_OF), 0);
+});
+
+test("projection covers Year 0 through yearsToHold", () => {
+  const data = projectScenario(baseParams({ yearsToHold: 7 }));
+  assert.equal(data.length, 8);
+  assert.deepEqual(data.map((d) => d.year), [0, 1, 2, 3, 4, 5, 6, 7]);
+});
+
+test("loan balance follows the amortization from the origination date", () => {
+  const data = projectScenario(baseParams());
+  const monthsElapsed = getMonthsElapsed("2023-01-15", AS_OF);
+  data.forEach((d) => {
+    const expected = calculateRemainingBalance(320000, 4.5 / 100 / 12, 360, monthsElapsed + d.year * 12);
+    assertCents(d.loanBalance, expected);
+    assertCents(d.equity, d.homeValue - d.loanBalance);
+  });
+});
+
+test("Year 0 counts no rental cash flow and shows $0 net worth when proceeds are positive", () => {
+  const [year0, year1] = projectScenario(baseParams({ purchasePrice: 300000, currentHomeValue: 500000 }));
+  assert.ok(year0.netAfterTaxProceeds > 0);
+  assert.equal(year0.netRentalCashFlow, 0);
+  assert.equal(year0.cumulativeRentalCashFlow, 0);
+  assert.equal(year0.simpleRentalNetWorth, 0);
+  assert.deepEqual(year0.monthlyBreakdown, { rent: 0, expenses: 0 });
+  assert.equal(year0.sellYear0Total, year0.netAfterTaxProceeds);
+  assert.equal(year1.monthlyBreakdown.rent, 2500);
+});
+
+test("sell line compounds Year 0 proceeds at the investment return", () => {
+  const data = projectScenario(baseParams({ purchasePrice: 300000, currentHomeValue: 500000 }));
+  const baseline = data[0].netAfterTaxProceeds;
+  data.forEach((d) => {
+    assertCents(d.sellYear0Total, baseline * Math.pow(1.06, d.year));
+  });
+});
+
+test("underwater sale owes no capital gains tax and the sell line stays flat", () => {
+  const data = projectScenario(baseParams({
+    purchasePrice: 100000,
+    currentHomeValue: 300000,
+    originalLoanAmount: 320000,
+    loanOriginDate: "2026-01-01",
+    homeAppreciation: 0,
+  }));
+  const year0 = data[0];
+  assert.ok(year0.netAfterTaxProceeds < 0);
+  assert.equal(year0.capitalGainsTaxOwed, 0);
+  // Underwater Year 0 shows the loss instead of $0
+  assert.equal(year0.simpleRentalNetWorth, year0.netAfterTaxProceeds);
+  data.forEach((d) => assert.equal(d.sellYear0Total, year0.netAfterTaxProceeds));
+});
+
+test("primary residence exclusion is capped and ends 3 years after moving out", () => {
+  const data = projectScenario(baseParams({
+    purchasePrice: 200000,
+    currentHomeValue: 900000,
+    homeAppreciation: 0,
+    originalLoanAmount: 0,
+    landValuePercent: 100, // No depreciation, so no recapture
+  }));
+  const gain = 900000 - 200000;
+  const cappedTax = (gain - SECTION_121_CAPS.mfj) * 0.2;
+  [0, 1, 2, 3].forEach((year) => assertCents(data[year].capitalGainsTaxOwed, cappedTax));
+  assertCents(data[4].capitalGainsTaxOwed, gain * 0.2);
+});
+
+test("gain under the cap is fully excluded for a primary residence", () => {
+  const [year0] = projectScenario(baseParams({ purchasePrice: 300000, currentHomeValue: 500000 }));
+  assert.equal(year0.capitalGainsTaxOwed, 0);
+});
+
+test("non-primary residence taxes the full gain", () => {
+  const [year0] = projectScenario(baseParams({
+    purchasePrice: 300000,
+    currentHomeValue: 500000,
+    isPrimaryResidence: false,
+  }));
+  assertCents(year0.capitalGainsTaxOwed, 200000 * 0.2);
+});
+
+test("rental cash flow nets rent, management, inflated costs and tax", () => {
+  const data = projectScenario(baseParams({ originalLoanAmount: 0, rentalPrice: 3000 }));
+  // Year 2: rent +3% once, costs inflated twice
+  const rent = 3000 * 1.03;
+  const costs = (200 + 350 + 150 + 300) * Math.pow(1.03, 2);
+  const profit = (rent - rent * 0.08 - costs) * 12;
+  // Depreciation shelters part of the profit: 80% of $390k over 27.5 years
+  const depreciation = 390000 * 0.8 / 27.5;
+  assertCents(data[2].depreciation, depreciation);
+  assertCents(data[2].netRentalCashFlow, profit - (profit - depreciation) * 0.22);
+  assertCents(data[2].cumulativeRentalCashFlow, data[1].netRentalCashFlow + data[2].netRentalCashFlow);
+});
+
+test("a loss year is not taxed", () => {
+  const data = projectScenario(baseParams({ rentalPrice: 1000 }));
+  const d = data[1];
+  assertCents(d.netRentalCashFlow, (d.monthlyBreakdown.rent - d.monthlyBreakdown.expenses) * 12);
+});
+
+test("extra principal lowers the loan balance and comes out of rental cash flow", () => {
+  const plain = projectScenario(baseParams());
+  const prepaid = projectScenario(baseParams({ extraPrincipal: 200 }));
+  assert.ok(prepaid[1].loanBalance < plain[1].loanBalance - 2400);
+  assertCents(prepaid[1].netRentalCashFlow, plain[1].netRentalCashFlow - 2400);
+  assert.equal(prepaid[0].loanBalance, plain[0].loanBalance);
+});
+
+test("P&I stops counting as an expense once the loan is paid off", () => {
+  const data = projectScenario(baseParams({ loanOriginDate: "1998-06-15" }));
+  const stillPaying = data[1];
+  const paidOff = data[5];
+  assert.equal(paidOff.loanBalance, 0);
+  assert.ok(stillPaying.loanBalance > 0);
+  assert.ok(paidOff.monthlyBreakdown.expenses < stillPaying.monthlyBreakdown.expenses - 1000);
+});
+
+test("projectLoan reports payoff date and interest saved", () => {
+  const plain = projectLoan(baseParams());
+  assert.equal(plain.interestSaved, 0);
+  assert.equal(plain.payoffDate.getFullYear(), 2053);
+  const prepaid = projectLoan(baseParams({ lumpSums: [{ month: 1, amount: 50000 }] }));
+  assert.ok(prepaid.interestSaved > 0);
+  assert.ok(prepaid.payoffDate < plain.payoffDate);
+});
+
+test("rate change in a hold year changes that year's P&I", () => {
+  const plain = projectScenario(baseParams());
+  const arm = projectScenario(baseParams({ rateChanges: [{ year: 3, rate: 7.5 }] }));
+  assertCents(arm[2].netRentalCashFlow, plain[2].netRentalCashFlow);
+  assert.ok(arm[3].monthlyBreakdown.expenses > plain[3].monthlyBreakdown.expenses + 300);
+  // Balance drops more slowly at the higher rate
+  assert.ok(arm[5].loanBalance > plain[5].loanBalance);
+});
+
+test("refinance costs and cash-out flow through the year they happen", () => {
+  const plain = projectScenario(baseParams());
+  const refi = projectScenario(baseParams({
+    rateChanges: [{ year: 2, rate: 4.5, closingCosts: 5000, cashOut: 40000 }],
+  }));
+  assert.equal(refi[2].refiClosingCosts, 5000);
+  assert.equal(refi[2].refiCashOut, 40000);
+  assert.equal(refi[1].refiCashOut, 0);
+  assert.ok(refi[2].loanBalance > plain[2].loanBalance + 39000);
+  // Same rate, so the only difference in Year 2 cash is the refi and the higher payment
+  const extraPI = (refi[2].monthlyBreakdown.expenses - plain[2].monthlyBreakdown.expenses) * 12;
+  assertCents(refi[2].netRentalCashFlow, plain[2].netRentalCashFlow + 40000 - 5000 - extraPI);
+});
+
+test("only mortgage interest is deducted, not principal", () => {
+  const data = projectScenario(baseParams({ rentalPrice: 4000, landValuePercent: 100 }));
+  const d = data[1];
+  const rent = 4000 * 12;
+  const operating = (200 + 350 + 150 + 300) * 1.03 * 12;
+  assertCents(d.taxableRentalIncome, rent - rent * 0.08 - operating - d.mortgageInterest);
+  assertCents(d.rentalTax, d.taxableRentalIncome * 0.22);
+  assert.ok(d.mortgageInterest > 0 && d.mortgageInterest < d.monthlyBreakdown.expenses * 12);
+});
+
+test("passive losses carry forward and offset later rental profit", () => {
+  const data = projectScenario(baseParams({ annualRentIncrease: 15 }));
+  const lossYear = data.find((d) => d.year > 0 && d.taxableRentalIncome < 0);
+  assert.ok(lossYear, "expected an early loss year");
+  assert.equal(lossYear.rentalTax, 0);
+  assertCents(lossYear.suspendedLosses, -data.slice(1, lossYear.year + 1)
+    .reduce((sum, d) => sum + Math.min(0, d.taxableRentalIncome), 0));
+  const firstProfit = data.find((d) => d.year > lossYear.year && d.taxableRentalIncome > 0);
+  const carried = data[firstProfit.year - 1].suspendedLosses;
+  const used = Math.min(carried, firstProfit.taxableRentalIncome);
+  assertCents(firstProfit.rentalTax, (firstProfit.taxableRentalIncome - used) * 0.22);
+  assertCents(firstProfit.suspendedLosses, carried - used);
+});
+
+test("suspended losses are released when the rental is sold", () => {
+  const [, year1] = projectScenario(baseParams({ rentalPrice: 1500 }));
+  assert.ok(year1.suspendedLosses > 0);
+  assertCents(year1.suspendedLossTaxSavings, year1.suspendedLosses * 0.22);
+});
+
+test("sale taxes depreciation recapture at up to 25% and lowers the basis", () => {
+  const params = baseParams({
+    purchasePrice: 300000,
+    currentHomeValue: 400000,
+    homeAppreciation: 0,
+    isPrimaryResidence: false,
+    rentalTaxRate: 32,
+  });
+  const data = projectScenario(params);
+  const d = data[5];
+  const basis = 300000 * 0.8;
+  const depreciation = [1, 2, 3, 4, 5].reduce((sum, y) => sum + calculateDepreciation(basis, y), 0);
+  assertCents(d.accumulatedDepreciation, depreciation);
+  assertCents(d.depreciationRecaptureTax, depreciation * 0.25);
+  assertCents(d.capitalGainsTaxOwed, depreciation * 0.25 + 100000 * 0.2);
+});
+
+test("recapture uses the ordinary rate when it is below 25%", () => {
+  const d = projectScenario(baseParams({
+    purchasePrice: 300000,
+    currentHomeValue: 400000,
+    homeAppreciation: 0,
+    rentalTaxRate: 12,
+  }))[2];
+  assertCents(d.depreciationRecaptureTax, d.accumulatedDepreciation * 0.12);
+});
+
+test("Section 121 exclusion does not cover depreciation recapture", () => {
+  const d = projectScenario(baseParams({
+    purchasePrice: 300000,
+    currentHomeValue: 400000,
+    homeAppreciation: 0,
+  }))[2];
+  assert.ok(d.accumulatedDepreciation > 0);
+  assertCents(d.capitalGainsTaxOwed, d.depreciationRecaptureTax);
+});
+
+test("single filers get the $250k cap", () => {
+  const [year0] = projectScenario(baseParams({
+    purchasePrice: 200000,
+    currentHomeValue: 900000,
+    originalLoanAmount: 0,
+    filingStatus: "single",
+  }));
+  assert.equal(year0.exclusionCap, 250000);
+  assertCents(year0.capitalGainsTaxOwed, (700000 - 250000) * 0.2);
+});
+
+test("an earlier move-out shortens the exclusion window to the month", () => {
+  const data = projectScenario(baseParams({ moveOutDate: "2025-04-15" }));
+  // Deadline is April 2028; Year 0 is January 2026
+  assert.equal(data[0].exclusionMonthsLeft, 27);
+  assert.equal(data[1].exclusionMonthsLeft, 15);
+  assert.equal(data[2].exclusionMonthsLeft, 3);
+  assert.equal(data[2].exclusionCap, 500000);
+  assert.equal(data[3].exclusionCap, 0);
+});
+
+test("less than 2 years of use only qualifies with unforeseen circumstances", () => {
+  const params = baseParams({ moveInDate: "2025-01-15", filingStatus: "single" });
+  const [plain] = projectScenario(params);
+  assert.equal(plain.exclusionCap, 0);
+  const [partial] = projectScenario({ ...params, unforeseenCircumstances: true });
+  assertCents(partial.exclusionCap, 250000 * 12 / 24);
+});
+
+test("rental use before moving in is not excludable", () => {
+  const [year0] = projectScenario(baseParams({
+    purchasePrice: 200000,
+    currentHomeValue: 400000,
+    originalLoanAmount: 0,
+    loanOriginDate: "2020-01-15",
+    moveInDate: "2022-01-15",
+  }));
+  // 24 of 72 months owned were nonqualified use, so a third of the $200k gain is taxed
+  assertCents(year0.capitalGainsTaxOwed, 200000 / 3 * 0.2);
+});
+
+test("per-year rate paths override the fixed rates year by year", () => {
+  const data = projectScenario(baseParams({
+    ratePaths: {
+      homeAppreciation: [0, 10, -10],
+      investmentReturn: [0, 20, 0],
+    },
+  }));
+  assertCents(data[1].homeValue, 390000 * 1.1);
+  assertCents(data[2].homeValue, 390000 * 1.1 * 0.9);
+  // Years past the end of a path fall back to the fixed rate
+  assertCents(data[3].homeValue, 390000 * 1.1 * 0.9 * 1.02);
+  assertCents(data[2].sellYear0Total, data[0].sellYear0Total * 1.2);
+});
+
+test("vacancy rate reduces collected rent and management fees", () => {
+  const plain = projectScenario(baseParams({ originalLoanAmount: 0, landValuePercent: 100 }));
+  const vacant = projectScenario(baseParams({ originalLoanAmount: 0, landValuePercent: 100, vacancyRate: 5 }));
+  const lost = 2500 * 12 * 0.05;
+  assertCents(vacant[1].vacancyLoss, lost);
+  assert.equal(plain[1].vacancyLoss, 0);
+  // Less rent and less management fee on it, then taxed
+  assertCents(vacant[1].netRentalCashFlow, plain[1].netRentalCashFlow - lost * 0.92 * (1 - 0.22));
+});
+
+test("turnover years leave months empty and add make-ready costs", () => {
+  const params = { originalLoanAmount: 0, landValuePercent: 100, turnoverEveryYears: 3, turnoverVacantMonths: 2, turnoverCosts: 1500 };
+  const plain = projectScenario(baseParams({ originalLoanAmount: 0, landValuePercent: 100 }));
+  const data = projectScenario(baseParams(params));
+  assert.deepEqual(data.filter((d) => d.vacantMonths > 0).map((d) => d.year), [3, 6, 9]);
+  assert.equal(data[2].netRentalCashFlow, plain[2].netRentalCashFlow);
+
+  const rent = 2500 * Math.pow(1.03, 2);
+  const costs = 1500 * Math.pow(1.03, 3);
+  assertCents(data[3].vacancyLoss, rent * 2);
+  assertCents(data[3].turnoverCosts, costs);
+  assertCents(data[3].netRentalCashFlow, plain[3].netRentalCashFlow - (rent * 2 * 0.92 + costs) * (1 - 0.22));
+  assertCents(data[3].netOperatingIncome, plain[3].netOperatingIncome - rent * 2 * 0.92 - costs);
+});
+
+test("capital expenditures come out of cash flow, raise the basis and depreciate", () => {
+  // Profitable enough that the roof's depreciation saves tax right away
+  const plain = projectScenario(baseParams({ isPrimaryResidence: false, rentalPrice: 4000 }));
+  const data = projectScenario(baseParams({
+    isPrimaryResidence: false,
+    rentalPrice: 4000,
+    capitalExpenditures: [{ year: 2, amount: 20000, description: "Roof" }],
+  }));
+  const roof = 20000 * Math.pow(1.03, 2);
+  assertCents(data[2].capitalExpenditure, roof);
+  assertCents(data[2].capitalImprovements, roof);
+  assert.equal(data[1].capitalImprovements, 0);
+  assertCents(data[5].capitalImprovements, roof);
+
+  // Depreciated over 27.5 years from its year, on top of the building
+  assertCents(data[2].depreciation - plain[2].depreciation, calculateDepreciation(roof, 1));
+  assertCents(data[3].depreciation - plain[3].depreciation, calculateDepreciation(roof, 2));
+
+  // Not expensed: Year 2 cash drops by the full cost, less the tax saved by its depreciation
+  const extraDepreciation = data[2].depreciation - plain[2].depreciation;
+  assertCents(data[2].netRentalCashFlow, plain[2].netRentalCashFlow - roof + extraDepreciation * 0.22);
+
+  // Higher basis means less gain at sale (net of the recapture on the roof's depreciation)
+  const roofDepreciation = data[4].accumulatedDepreciation - plain[4].accumulatedDepreciation;
+  assert.ok(data[4].capitalGainsTaxOwed < plain[4].capitalGainsTaxOwed);
+  assertCents(
+    plain[4].capitalGainsTaxOwed - data[4].capitalGainsTaxOwed,
+    roof * 0.2 - roofDepreciation * 0.22,
+  );
+});
+
+test("reinvesting compounds the running cash flow total at the investment return", () => {
+  const plain = projectScenario(baseParams());
+  const reinvested = projectScenario(baseParams({ reinvestCashFlow: true }));
+  assert.equal(reinvested[1].cumulativeRentalCashFlow, plain[1].cumulativeRentalCashFlow);
+  let expected = 0;
+  plain.slice(1).forEach((d) => {
+    expected = expected * 1.06 + d.netRentalCashFlow;
+    assertCents(reinvested[d.year].cumulativeRentalCashFlow, expected);
+  });
+  // Early negative years were funded from savings, so the shortfall compounds too
+  assert.ok(plain[1].netRentalCashFlow < 0);
+  assert.ok(reinvested[3].cumulativeRentalCashFlow < plain[3].cumulativeRentalCashFlow);
+  assertCents(reinvested[10].simpleRentalNetWorth, reinvested[10].netAfterTaxProceeds + expected);
+});
+
+test("a 1031 exchange defers the sale tax on later exits, not the sale today", () => {
+  const params = { isPrimaryResidence: false, purchasePrice: 250000 };
+  const taxable = projectScenario(baseParams(params));
+  const exchange = projectScenario(baseParams({ ...params, exitStrategy: "exchange1031" }));
+  const d = exchange[5];
+  assert.ok(d.capitalGainsTaxOwed > 0);
+  assertCents(d.exchangeValue, d.homeValue - d.loanBalance - d.sellingCosts);
+  assert.equal(d.exitProceeds, d.exchangeValue);
+  assertCents(d.simpleRentalNetWorth, d.exchangeValue + d.cumulativeRentalCashFlow);
+  assertCents(
+    d.simpleRentalNetWorth - taxable[5].simpleRentalNetWorth,
+    d.capitalGainsTaxOwed - d.suspendedLossTaxSavings,
+  );
+  // Both exits are reported either way, so the table can compare them
+  assert.equal(taxable[5].exchangeValue, d.exchangeValue);
+  assert.equal(taxable[5].exitProceeds, taxable[5].netAfterTaxProceeds);
+  // Selling today is always a taxable sale
+  assert.equal(exchange[0].exitProceeds, taxable[0].netAfterTaxProceeds);
+  assert.equal(exchange[0].sellYear0Total, taxable[0].sellYear0Total);
+});
+
+test("itemized selling costs add up and come out of the sale proceeds", () => {
+  const lumped = projectScenario(baseParams({ sellingFees: 6.5 }));
+  const data = projectScenario(baseParams({
+    sellingFees: 5,
+    transferTaxRate: 1,
+    sellingTitleFees: 2000,
+    sellerConcessions: 0.5,
+  }));
+  const d = data[4];
+  const titleFees = 2000 * Math.pow(1.03, 4);
+  assertCents(d.sellingCostBreakdown.commission, d.homeValue * 0.05);
+  assertCents(d.sellingCostBreakdown.transferTax, d.homeValue * 0.01);
+  assertCents(d.sellingCostBreakdown.titleFees, titleFees);
+  assertCents(d.sellingCostBreakdown.concessions, d.homeValue * 0.005);
+  assertCents(d.sellingCosts, d.homeValue * 0.065 + titleFees);
+  assertCents(lumped[4].netAfterTaxProceeds - d.netAfterTaxProceeds, titleFees);
+  assertCents(data[0].sellingCostBreakdown.titleFees, 2000);
+});
+
+test("purchase closing costs and improvements made so far raise the basis", () => {
+  const params = { isPrimaryResidence: false, purchasePrice: 250000 };
+  const plain = projectScenario(baseParams(params));
+  const data = projectScenario(baseParams({
+    ...params,
+    purchaseClosingCosts: 6000,
+    improvementLedger: [{ date: "2024-06-01", amount: 30000, description: "Kitchen" }],
+  }));
+  assert.equal(plain[0].adjustedBasis, 250000);
+  assert.equal(data[0].adjustedBasis, 286000);
+  assertCents(data[5].adjustedBasis, 286000 - data[5].accumulatedDepreciation);
+  // The building share of the whole cost basis depreciates
+  assertCents(data[1].depreciation, calculateDepreciation(286000 * 0.8, 1));
+  // Already spent, so not a cash outflow during the hold
+  assert.equal(data[1].capitalExpenditure, 0);
+  assert.ok(data[1].netRentalCashFlow >= plain[1].netRentalCashFlow);
+  // Selling today: 36k less gain at 20%
+  assertCents(plain[0].capitalGainsTaxOwed - data[0].capitalGainsTaxOwed, 36000 * 0.2);
+});
+
+test("improvements dated after today are paid and capitalized in their hold year", () => {
+  assert.equal(holdYearFor("2026-01-31", AS_OF), 0);
+  assert.equal(holdYearFor("", AS_OF), 0);
+  assert.equal(holdYearFor("2026-02-01", AS_OF), 1);
+  assert.equal(holdYearFor("2027-01-01", AS_OF), 1);
+  assert.equal(holdYearFor("2027-02-01", AS_OF), 2);
+
+  const plain = projectScenario(baseParams());
+  const data = projectScenario(baseParams({ improvementLedger: [{ date: "2027-03-01", amount: 12000 }] }));
+  assert.equal(data[0].adjustedBasis, plain[0].adjustedBasis);
+  assert.equal(data[1].capitalExpenditure, 0);
+  // As entered, not inflated
+  assert.equal(data[2].capitalExpenditure, 12000);
+  assert.equal(data[2].capitalImprovements, 12000);
+  assertCents(data[2].adjustedBasis - plain[2].adjustedBasis, 12000 - (data[2].accumulatedDepreciation - plain[2].accumulatedDepreciation));
+});
+
+test("flat tax mode reports the input rates every year", () => {
+  const data = projectScenario(baseParams());
+  assert.ok(data.every((d) => d.ordinaryTaxRate === 22 && d.capitalGainsRate === 20));
+});
+
+test("brackets mode taxes rental income and sale gains on top of other income", () => {
+  const params = { isPrimaryResidence: false, purchasePrice: 250000, rentalPrice: 4000, otherIncome: 150000 };
+  const data = projectScenario(baseParams({ ...params, taxMode: "brackets", taxState: "CA", transferTaxRate: 0.5 }));
+  const profile = taxProfileFor("mfj", "CA");
+
+  const d = data.find((year) => year.rentalTax > 0);
+  const inflation = Math.pow(1.03, d.year);
+  const taxed = d.rentalTax / (d.ordinaryTaxRate / 100);
+  assertCents(d.rentalTax, addedIncomeTax(profile, 150000, { ordinary: taxed }, inflation));
+  // 22% federal + 9.3% California at this income
+  assert.ok(Math.abs(d.ordinaryTaxRate - 31.3) < 0.01);
+
+  // Selling today: the whole gain is long-term gain (no depreciation yet)
+  const gain = data[0].homeValue - 250000;
+  assertCents(data[0].capitalGainsTaxOwed, addedIncomeTax(profile, 150000, { capitalGains: gain }));
+  assertCents(data[0].capitalGainsRate, (data[0].capitalGainsTaxOwed / gain) * 100);
+  // California's documentary transfer tax is on top of any local rate
+  assertCents(data[0].sellingCostBreakdown.transferTax, data[0].homeValue * (0.5 + 0.11) / 100);
+  const texas = projectScenario(baseParams({ ...params, taxMode: "brackets", taxState: "TX", transferTaxRate: 0.5 }));
+  assertCents(texas[0].sellingCostBreakdown.transferTax, texas[0].homeValue * 0.005);
+  assert.ok(texas[0].capitalGainsTaxOwed < data[0].capitalGainsTaxOwed);
+});
+
+test("crossovers are found in both directions and interpolated to the month", () => {
+  const series = [[100, 200], [150, 180], [210, 190], [215, 230], [260, 240]].map(([rent, sell], year) => ({
+    year,
+    simpleRentalNetWorth: rent,
+    sellYear0Total: sell,
+  }));
+  // Gap -30 → +20 between Years 1 and 2 crosses 3/5 of the way (month 19.2 → 19)
+  assert.deepEqual(findCrossovers(series), [
+    { year: 19 / 12, months: 19, leader: "rent" },
+    { year: 31 / 12, months: 31, leader: "sell" },
+    { year: 41 / 12, months: 41, leader: "rent" },
+  ]);
+  assert.deepEqual(findCrossovers(series.slice(0, 2)), []);
+
+  const data = projectScenario(baseParams());
+  for (const crossover of findCrossovers(data)) {
+    const year = Math.ceil(crossover.year);
+    assert.equal(data[year].betterOption, crossover.leader);
+  }
+});
+
+test("monthly rows split each year's flows and end on the yearly results", () => {
+  const params = baseParams({ turnoverEveryYears: 2, turnoverVacantMonths: 1, turnoverCosts: 2000 });
+  const years = projectScenario(params);
+  const months = projectMonths(params);
+  assert.equal(months.length, 10 * 12 + 1);
+  assert.deepEqual(months.slice(0, 3).map((m) => m.month), [0, 1, 2]);
+  for (const year of [1, 2, 10]) {
+    const yearEnd = months[year * 12];
+    assert.equal(yearEnd.year, year);
+    assertCents(yearEnd.simpleRentalNetWorth, years[year].simpleRentalNetWorth);
+    assertCents(yearEnd.loanBalance, years[year].loanBalance);
+    const yearMonths = months.slice((year - 1) * 12 + 1, year * 12 + 1);
+    for (const field of ["netRentalCashFlow", "mortgageInterest", "rentalTax", "depreciation", "vacantMonths"]) {
+      assertCents(yearMonths.reduce((total, m) => total + m[field], 0), years[year][field]);
+    }
+  }
+  // Values compound through the year rather than jumping at its end
+  assertCents(months[6].homeValue, 390000 * Math.pow(1.02, 0.5));
+  assertCents(months[6].sellYear0Total, years[0].sellYear0Total * Math.pow(1.06, 0.5));
+});
+
+test("rent steps up in the lease renewal month, a year or more after the lease starts", () => {
+  // Hold month 1 is February 2026, so a July renewal is hold month 6
+  const params = baseParams({ originalLoanAmount: 0, leaseRenewalMonth: 7 });
+  const months = projectMonths(params);
+  assert.equal(months[17].monthlyBreakdown.rent, 2500);
+  assert.equal(months[18].monthlyBreakdown.rent, 2500 * 1.03);
+  assert.equal(months[29].monthlyBreakdown.rent, 2500 * 1.03);
+  assert.equal(months[30].monthlyBreakdown.rent, 2500 * 1.03 * 1.03);
+
+  const [, year1, year2] = projectScenario(params);
+  const plain = projectScenario(baseParams({ originalLoanAmount: 0 }));
+  assertCents(year1.vacancyLoss + year1.netOperatingIncome, plain[1].vacancyLoss + plain[1].netOperatingIncome);
+  // Five months at the old rent, seven at the new
+  const rentChange = (2500 * 1.03 - 2500) * 5 * 0.92;
+  assertCents(year2.netOperatingIncome, plain[2].netOperatingIncome - rentChange);
+});
+
+test("the final year ends in the sale month, with the exclusion deadline checked to that month", () => {
+  // Moved out April 2025: the exclusion runs through April 2028, month 3 of Year 3
+  const params = baseParams({ purchasePrice: 200000, moveOutDate: "2025-04-15", yearsToHold: 3 });
+  const months = projectMonths(params);
+  assert.equal(months[27].exclusionCap, 500000);
+  assert.equal(months[28].exclusionCap, 0);
+
+  const soldInMarch = projectScenario({ ...params, saleMonth: 3 });
+  const soldAtYearEnd = projectScenario(params);
+  assert.equal(soldInMarch[3].months, 3);
+  assert.equal(soldInMarch[3].exclusionCap, 500000);
+  assert.equal(soldAtYearEnd[3].exclusionCap, 0);
+  assertCents(soldInMarch[3].homeValue, months[27].homeValue);
+  assertCents(soldInMarch[3].netRentalCashFlow, months.slice(25, 28).reduce((total, m) => total + m.netRentalCashFlow, 0));
+  // Selling in time leaves only the recapture taxed
+  assert.ok(soldInMarch[3].capitalGainsTaxOwed < soldInMarch[3].accumulatedDepreciation * 0.25 + 0.005);
+  assert.ok(soldAtYearEnd[3].capitalGainsTaxOwed > 30000);
+  assert.deepEqual(soldInMarch.slice(0, 3), soldAtYearEnd.slice(0, 3));
+});
+
+test("today's dollars deflate every amount to the end of its row, leaving counts and rates alone", () => {
+  const data = projectScenario(baseParams({ yearsToHold: 3, saleMonth: 6 }));
+  const real = inTodaysDollars(data, 3);
+  assert.deepEqual(real[0], data[0]);
+  assertCents(real[2].simpleRentalNetWorth, data[2].simpleRentalNetWorth / 1.03 ** 2);
+  assertCents(real[2].monthlyBreakdown.rent, data[2].monthlyBreakdown.rent / 1.03 ** 2);
+  // The final year ends 6 months in
+  assertCents(real[3].sellYear0Total, data[3].sellYear0Total / 1.03 ** 2.5);
+  assert.equal(real[3].months, 6);
+  assert.equal(real[3].ordinaryTaxRate, data[3].ordinaryTaxRate);
+  assert.equal(real[3].betterOption, data[3].betterOption);
+
+  const months = inTodaysDollars(projectMonths(baseParams({ yearsToHold: 1 })), 3);
+  assertCents(months[6].homeValue, projectMonths(baseParams({ yearsToHold: 1 }))[6].homeValue / 1.03 ** 0.5);
+  assertCents(presentValue(108, 8, 12), 100);
+});
@@ -0,0 +1,44 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { projectScenario } from "../engine.js";
+import { MAX_EXIT_YEAR, sweepExitYears } from "../exit-year.js";
+import { baseParams } from "./fixtures.js";
+
+const PARAMS = baseParams();
+
+const close = (a, b) => Math.abs(a - b) < 1e-6;
+
+test("each exit's sale proceeds grow at the investment return to the horizon", () => {
+  const sweep = sweepExitYears(PARAMS);
+  const data = projectScenario({ ...PARAMS, yearsToHold: MAX_EXIT_YEAR });
+  assert.equal(sweep.horizon, MAX_EXIT_YEAR);
+  assert.deepEqual(sweep.exits.map((exit) => exit.year), data.map((d) => d.year));
+
+  assert.equal(sweep.exits[0].saleNetWorth, data[0].sellYear0Total);
+  assert.ok(close(sweep.exits[0].terminalWealth, data[0].sellYear0Total * 1.06 ** 30));
+  assert.equal(sweep.exits[12].saleNetWorth, data[12].simpleRentalNetWorth);
+  assert.ok(close(sweep.exits[12].terminalWealth, data[12].simpleRentalNetWorth * 1.06 ** 18));
+  assert.equal(sweep.exits[30].terminalWealth, data[30].simpleRentalNetWorth);
+});
+
+test("the best exit leaves the most net worth at the horizon", () => {
+  const sweep = sweepExitYears(PARAMS, 15);
+  assert.equal(sweep.exits.length, 16);
+  assert.equal(sweep.best.terminalWealth, Math.max(...sweep.exits.map((exit) => exit.terminalWealth)));
+
+  // Rent that barely covers costs in a flat market: sell today
+  const weak = sweepExitYears({ ...PARAMS, rentalPrice: 1000, homeAppreciation: 0 });
+  assert.equal(weak.best.year, 0);
+});
+
+test("exits sell in the sale month, matching the projection for that hold", () => {
+  const params = { ...PARAMS, saleMonth: 6 };
+  const sweep = sweepExitYears(params);
+  const plan = projectScenario(params);
+  assert.equal(sweep.exits[10].saleNetWorth, plan[10].simpleRentalNetWorth);
+  // Sold in month 6 of year 10: 20 years and 6 months to grow until Year 30
+  assert.ok(close(sweep.exits[10].terminalWealth, plan[10].simpleRentalNetWorth * 1.06 ** 20.5));
+  assert.notEqual(sweep.exits[10].saleNetWorth, sweepExitYears(PARAMS).exits[10].saleNetWorth);
+  // Selling today doesn't depend on the sale month
+  assert.deepEqual(sweep.exits[0], sweepExitYears(PARAMS).exits[0]);
+});
@@ -0,0 +1,158 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { projectScenario } from "../engine.js";
+import {
+  buildPDF,
+  buildXlsx,
+  buildZip,
+  columnName,
+  crc32,
+  flattenRow,
+  projectionRows,
+  textWidth,
+  toCSV,
+  winAnsi,
+} from "../export.js";
+import { baseParams } from "./fixtures.js";
+
+const PARAMS = baseParams();
+
+/**
+ * Read the entries of a stored (uncompressed) zip via its central directory
+ */
+function readZip(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const end = bytes.length - 22;
+  assert.equal(view.getUint32(end, true), 0x06054b50);
+  const count = view.getUint16(end + 10, true);
+  let position = view.getUint32(end + 16, true);
+  const decoder = new TextDecoder();
+  const entries = {};
+  for (let i = 0; i < count; i++) {
+    assert.equal(view.getUint32(position, true), 0x02014b50);
+    const crc = view.getUint32(position + 16, true);
+    const size = view.getUint32(position + 24, true);
+    const nameLength = view.getUint16(position + 28, true);
+    const localOffset = view.getUint32(position + 42, true);
+    const name = decoder.decode(bytes.subarray(position + 46, position + 46 + nameLength));
+
+    assert.equal(view.getUint32(localOffset, true), 0x04034b50);
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true);
+    const data = bytes.subarray(dataStart, dataStart + size);
+    assert.equal(crc32(data), crc, `bad checksum for ${name}`);
+    entries[name] = decoder.decode(data);
+    position += 46 + nameLength;
+  }
+  return entries;
+}
+
+/**
+ * A PDF's bytes as text (one character per byte), with every cross-reference entry
+ * checked against the object it points to
+ */
+function readPDF(bytes) {
+  const text = new TextDecoder("latin1").decode(bytes);
+  assert.ok(text.startsWith("%PDF-1.4\n"));
+  assert.ok(text.endsWith("%%EOF\n"));
+  const xref = parseInt(text.match(/startxref\n(\d+)\n%%EOF\n$/)[1]);
+  assert.ok(text.startsWith("xref\n", xref));
+  const offsets = [...text.slice(xref).matchAll(/^(\d{10}) 00000 n $/gm)].map((match) => parseInt(match[1]));
+  offsets.forEach((offset, i) => assert.ok(text.startsWith(`${i + 1} 0 obj\n`, offset), `object ${i + 1} isn't at ${offset}`));
+  assert.match(text, new RegExp(`/Size ${offsets.length + 1} /Root 1 0 R`));
+  return text;
+}
+
+test("crc32 matches the standard check value", () => {
+  assert.equal(crc32(new TextEncoder().encode("123456789")), 0xcbf43926);
+  assert.equal(crc32(new Uint8Array(0)), 0);
+});
+
+test("nested fields flatten to dotted names", () => {
+  assert.deepEqual(flattenRow({ year: 1, monthlyBreakdown: { rent: 2500, expenses: 2100 } }), {
+    year: 1,
+    "monthlyBreakdown.rent": 2500,
+    "monthlyBreakdown.expenses": 2100,
+  });
+});
+
+test("projection rows include every yearlyData field, rounded to the cent", () => {
+  const data = projectScenario(PARAMS);
+  const [header, ...rows] = projectionRows(data);
+  const flat = flattenRow(data[3]);
+  assert.deepEqual(header, Object.keys(flat));
+  assert.ok(header.includes("monthlyBreakdown.rent"));
+  assert.equal(rows.length, data.length);
+  assert.equal(rows[3][header.indexOf("homeValue")], Math.round(data[3].homeValue * 100) / 100);
+  assert.equal(rows[3][header.indexOf("betterOption")], data[3].betterOption);
+});
+
+test("CSV quotes fields with commas, quotes and line breaks", () => {
+  assert.equal(toCSV([["a", "b,c"], [1, 'say "hi"'], ["line\nbreak", null]]), 'a,"b,c"\r\n1,"say ""hi"""\r\n"line\nbreak",\r\n');
+});
+
+test("column names run A..Z then AA", () => {
+  assert.equal(columnName(0), "A");
+  assert.equal(columnName(25), "Z");
+  assert.equal(columnName(26), "AA");
+  assert.equal(columnName(701), "ZZ");
+  assert.equal(columnName(702), "AAA");
+});
+
+test("zip entries are stored with matching checksums", () => {
+  const entries = readZip(buildZip([{ name: "a.txt", content: "hello" }, { name: "dir/b.txt", content: "wörld" }]));
+  assert.deepEqual(entries, { "a.txt": "hello", "dir/b.txt": "wörld" });
+});
+
+test("XLSX workbook has one worksheet per sheet with typed cells", () => {
+  const entries = readZip(buildXlsx([
+    { name: "Inputs", rows: [["Input", "Value"], ["Price", 400000], ["Note", "a<b & c"]] },
+    { name: "Projection", rows: [["year", "homeValue"], [0, 390000.5]] },
+  ]));
+  assert.ok(entries["[Content_Types].xml"].includes("/xl/worksheets/sheet2.xml"));
+  assert.match(entries["xl/workbook.xml"], /<sheet name="Inputs" sheetId="1" r:id="rId1"\/><sheet name="Projection"/);
+  const inputs = entries["xl/worksheets/sheet1.xml"];
+  assert.ok(inputs.includes('<c r="B2"><v>400000</v></c>'));
+  assert.ok(inputs.includes('<c r="B3" t="inlineStr"><is><t xml:space="preserve">a&#60;b &#38; c</t></is></c>'));
+  assert.ok(entries["xl/worksheets/sheet2.xml"].includes('<c r="B2"><v>390000.5</v></c>'));
+});
+
+test("PDF text is WinAnsi encoded and measured with Helvetica's widths", () => {
+  assert.equal(winAnsi("Été 5\u202f€"), "\xc9t\xe9 5\xa0\x80");
+  assert.equal(winAnsi("📊 a–b −3"), " a\x96b -3");
+  assert.equal(textWidth("Hi", 10), (722 + 222) / 100);
+  assert.equal(textWidth("Hi", 10, true), (722 + 278) / 100);
+});
+
+test("PDF report has the summary, chart and a table that repeats its header on each page", () => {
+  const jpeg = new Uint8Array([0xff, 0xd8, 0xff, 0xd9]);
+  const table = [["Year", "Home Value"], ...Array.from({ length: 80 }, (_, year) => [String(year), "$1,000"])];
+  const text = readPDF(buildPDF({
+    title: "Rent (or) Sell",
+    subtitle: "Prepared today",
+    heading: "📊 Summary",
+    summary: [["Difference", "$5"]],
+    notes: ["No crossover"],
+    image: { data: jpeg, width: 800, height: 400 },
+    table,
+  }));
+
+  assert.ok(text.includes("/Title (Rent \\(or\\) Sell)"));
+  assert.ok(text.includes("/Width 800 /Height 400 /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length 4 >>\nstream\n\xff\xd8\xff\xd9\nendstream"));
+  for (const shown of ["(Summary)", "(Difference)", "($5)", "(No crossover)", "/Im1 Do", "(79)"]) {
+    assert.ok(text.includes(`${shown}`), `missing ${shown}`);
+  }
+  // Page 1 is the summary and chart; the 80 rows need more than one more page, each with the header
+  const pages = parseInt(text.match(/\/Count (\d+)/)[1]);
+  assert.ok(pages >= 3);
+  assert.equal(text.match(/\(Year\) Tj/g).length, pages - 1);
+  // Every content stream's length matches
+  for (const [, length, content] of text.matchAll(/<< \/Length (\d+) >>\nstream\n([^]*?)\nendstream/g)) {
+    assert.equal(content.length, parseInt(length));
+  }
+});
+
+test("a PDF without a chart or table is a single page", () => {
+  const text = readPDF(buildPDF({ title: "Report", summary: [["A", "1"]] }));
+  assert.match(text, /\/Count 1 >>/);
+  assert.ok(!text.includes("/XObject"));
+});
@@ -0,0 +1,59 @@
+/**
+ * Shared test fixtures: the baseline scenario, a fixed "today" and small helpers
+ */
+
+import assert from "node:assert/strict";
+
+// Fixed "today" so loan age doesn't drift with the wall clock
+export const AS_OF = new Date(2026, 0, 15);
+
+/**
+ * Baseline scenario matching the HTML defaults
+ * @param {Object} [overrides] - Params to change
+ * @returns {Object} Params for projectScenario
+ */
+export function baseParams(overrides = {}) {
+  return {
+    purchasePrice: 400000,
+    loanOriginDate: "2023-01-15",
+    originalLoanAmount: 320000,
+    interestRate: 4.5,
+    mortgageTerm: 30,
+    currentHomeValue: 390000,
+    monthlyHOA: 200,
+    monthlyTaxes: 350,
+    monthlyInsurance: 150,
+    monthlyMaintenance: 300,
+    rentalPrice: 2500,
+    annualRentIncrease: 3,
+    propertyMgmtFee: 8,
+    rentalTaxRate: 22,
+    homeAppreciation: 2,
+    costInflation: 3,
+    sellingFees: 6,
+    capitalGainsTax: 20,
+    investmentReturn: 6,
+    yearsToHold: 10,
+    isPrimaryResidence: true,
+    asOf: AS_OF,
+    ...overrides,
+  };
+}
+
+/**
+ * Assert two numbers match to the cent
+ */
+export function assertCents(actual, expected) {
+  assert.ok(Math.abs(actual - expected) < 0.005, `expected ${expected}, got ${actual}`);
+}
+
+// Minimal in-memory stand-in for localStorage
+export function createStorage(initial = {}) {
+  const items = { ...initial };
+  return {
+    getItem: (key) => (key in items ? items[key] : null),
+    setItem: (key, value) => {
+      items[key] = String(value);
+    },
+  };
+}
@@ -0,0 +1,44 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { LOCALES, currencySymbol, formatLocaleInput, parseLocaleNumber, translate } from "../locale.js";
+
+test("numbers typed in a locale's format read back as plain numbers", () => {
+  assert.equal(parseLocaleNumber("400,000", "en-US"), 400000);
+  assert.equal(parseLocaleNumber("$400,000.50", "en-US"), 400000.5);
+  assert.equal(parseLocaleNumber("400 000,5 $", "fr-CA"), 400000.5);
+  assert.equal(parseLocaleNumber("400 000,5", "fr-CA"), 400000.5);
+  assert.equal(parseLocaleNumber("4.5", "fr-CA"), 4.5);
+  assert.equal(parseLocaleNumber("£1,200", "en-GB"), 1200);
+  assert.equal(parseLocaleNumber("-2,5 %", "fr-CA"), -2.5);
+  assert.equal(parseLocaleNumber("−2", "en-US"), -2);
+
+  assert.ok(Number.isNaN(parseLocaleNumber("", "en-US")));
+  assert.ok(Number.isNaN(parseLocaleNumber("abc", "en-US")));
+  assert.ok(Number.isNaN(parseLocaleNumber("1.2.3", "fr-CA")));
+});
+
+test("stored numbers are shown for editing in the locale's format and read back unchanged", () => {
+  assert.equal(formatLocaleInput("1234.5", "fr-CA"), "1234,5");
+  assert.equal(formatLocaleInput(1234.5, "en-US"), "1234.5");
+  assert.equal(formatLocaleInput("", "fr-CA"), "");
+  for (const locale of Object.keys(LOCALES)) {
+    for (const value of [0, 0.125, 400000, -12.75]) {
+      assert.equal(parseLocaleNumber(formatLocaleInput(value, locale), locale), value);
+    }
+  }
+});
+
+test("currency symbols follow the locale", () => {
+  assert.equal(currencySymbol("en-US", "USD"), "$");
+  assert.equal(currencySymbol("en-GB", "GBP"), "£");
+  assert.equal(currencySymbol("en-US", "CAD"), "CA$");
+  assert.equal(currencySymbol("fr-CA", "CAD"), "$");
+});
+
+test("strings are translated with placeholders, falling back to U.S. English", () => {
+  assert.equal(translate("Year {year}", "fr-CA", { year: 3 }), "Année 3");
+  assert.equal(translate("HOA ($)", "en-GB"), "Service Charge ($)");
+  assert.equal(translate("Monthly Rent ($)", "en-GB"), "Monthly Rent ($)");
+  assert.equal(translate("Year {year}", "en-US", { year: 3 }), "Year 3");
+  assert.equal(translate("Year {year}", "xx-XX", {}), "Year {year}");
+});
@@ -0,0 +1,76 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { projectScenario } from "../engine.js";
+import { calculateMetrics, irr, npv } from "../metrics.js";
+import { baseParams } from "./fixtures.js";
+
+const PARAMS = baseParams();
+
+test("npv discounts each year's cash flow", () => {
+  assert.equal(npv(0, [-100, 50, 60]), 10);
+  assert.ok(Math.abs(npv(10, [-100, 110]) - 0) < 1e-9);
+  assert.ok(Math.abs(npv(10, [-100, 0, 121])) < 1e-9);
+});
+
+test("irr finds the rate where npv is zero", () => {
+  assert.ok(Math.abs(irr([-100, 110]) - 10) < 1e-6);
+  assert.ok(Math.abs(irr([-1000, 300, 400, 500]) - 8.8963) < 1e-3);
+  // Losing money: negative IRR
+  assert.ok(Math.abs(irr([-100, 50]) + 50) < 1e-6);
+  // A large early payback that Newton's 10% guess overshoots
+  const rate = irr([-100, 1000]);
+  assert.ok(Math.abs(rate - 900) < 1e-6);
+  assert.ok(Math.abs(npv(rate, [-100, 1000])) < 1e-6);
+});
+
+test("irr is null when cash flows never change sign", () => {
+  assert.equal(irr([100, 50]), null);
+  assert.equal(irr([-100, -50]), null);
+  assert.equal(irr([0, 0]), null);
+});
+
+test("hold cash flows: forgo Year 0 proceeds, collect rent, sell at the end", () => {
+  const data = projectScenario(PARAMS);
+  const metrics = calculateMetrics(data, { discountRate: 8 });
+
+  assert.equal(metrics.investment, data[0].netAfterTaxProceeds);
+  assert.equal(metrics.cashFlows.length, data.length);
+  assert.equal(metrics.cashFlows[0], -data[0].netAfterTaxProceeds);
+  assert.equal(metrics.cashFlows[3], data[3].netRentalCashFlow);
+  assert.equal(metrics.cashFlows[10], data[10].netRentalCashFlow + data[10].netAfterTaxProceeds);
+
+  // IRR is the rate where NPV is zero, and NPV at the hurdle matches its definition
+  assert.ok(Math.abs(npv(metrics.irr, metrics.cashFlows)) < 1e-4);
+  assert.equal(metrics.npv, npv(8, metrics.cashFlows));
+  // NPV is positive exactly when IRR beats the hurdle
+  assert.equal(metrics.npv > 0, metrics.irr > 8);
+});
+
+test("per-year cap rate, DSCR and cash-on-cash", () => {
+  const data = projectScenario(PARAMS);
+  const { investment, years } = calculateMetrics(data, { discountRate: 8 });
+  const year1 = years[0];
+
+  // NOI = rent - management - operating costs (no debt service or income tax)
+  const rent = 2500 * 12;
+  const noi = rent - rent * 0.08 - (200 + 350 + 150 + 300) * 12 * 1.03;
+  assert.equal(year1.year, 1);
+  assert.ok(Math.abs(year1.netOperatingIncome - noi) < 1e-6);
+  assert.ok(Math.abs(year1.capRate - noi / 390000) < 1e-12);
+  assert.ok(Math.abs(year1.dscr - noi / year1.debtService) < 1e-12);
+  assert.ok(Math.abs(year1.cashOnCash - (noi - year1.debtService) / investment) < 1e-12);
+  assert.equal(years.length, 10);
+});
+
+test("ratios are null without debt or investment", () => {
+  const data = projectScenario({ ...PARAMS, originalLoanAmount: 0 });
+  const { years } = calculateMetrics(data, { discountRate: 8 });
+  assert.equal(years[0].debtService, 0);
+  assert.equal(years[0].dscr, null);
+
+  // Underwater: nothing is forgone by holding
+  const underwater = projectScenario({ ...PARAMS, currentHomeValue: 300000 });
+  const metrics = calculateMetrics(underwater, { discountRate: 8 });
+  assert.ok(metrics.investment < 0);
+  assert.equal(metrics.years[0].cashOnCash, null);
+});
@@ -0,0 +1,62 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { projectScenario } from "../engine.js";
+import { MAX_DEBT_TO_INCOME, RENT_INCOME_SHARE, compareNextHome } from "../next-home.js";
+import { baseParams } from "./fixtures.js";
+
+const PARAMS = baseParams();
+
+const NEXT_HOME = {
+  price: 400000,
+  rate: 6.5,
+  term: 30,
+  proceedsShare: 100,
+  savings: 25000,
+  pmiRate: 0.7,
+  grossIncome: 150000,
+  otherDebts: 0,
+};
+
+test("selling puts the proceeds toward the down payment, keeping pays more interest and PMI", () => {
+  const { months, proceeds, rent, sell, extraCost } = compareNextHome(PARAMS, NEXT_HOME);
+  assert.equal(months, 120);
+  assert.equal(proceeds, projectScenario(PARAMS)[0].sellYear0Total);
+  assert.equal(rent.downPayment, 25000);
+  assert.equal(sell.downPayment, 25000 + proceeds);
+  assert.equal(rent.loanAmount, 375000);
+
+  // 5% down pays PMI until the balance reaches 78% of the price; over 20% down pays none
+  assert.ok(rent.loanToValue > 0.8);
+  assert.ok(rent.pmiMonthly > 0 && rent.pmiMonths > 0);
+  assert.equal(rent.pmi, rent.pmiMonthly * Math.min(rent.pmiMonths, months));
+  assert.ok(sell.loanToValue <= 0.8);
+  assert.equal(sell.pmi, 0);
+
+  assert.ok(rent.interest > sell.interest);
+  assert.equal(extraCost, rent.interest + rent.pmi - sell.interest);
+
+  // Putting none of the proceeds down leaves both strategies with the same mortgage
+  assert.equal(compareNextHome(PARAMS, { ...NEXT_HOME, proceedsShare: 0 }).extraCost, 0);
+});
+
+test("debt-to-income counts both homes and 75% of the rent when keeping", () => {
+  const { rent, sell } = compareNextHome(PARAMS, { ...NEXT_HOME, otherDebts: 400 });
+  assert.equal(sell.dti.debts, sell.payment + sell.pmiMonthly + 400);
+  assert.equal(sell.dti.income, 12500);
+  assert.equal(rent.dti.income, 12500 + PARAMS.rentalPrice * RENT_INCOME_SHARE);
+  assert.ok(rent.dti.debts > rent.payment + rent.pmiMonthly + 400 + 700); // plus this home's P&I
+  assert.equal(rent.dti.ratio, rent.dti.debts / rent.dti.income);
+  assert.equal(rent.dti.qualifies, rent.dti.ratio <= MAX_DEBT_TO_INCOME);
+
+  const lowIncome = compareNextHome(PARAMS, { ...NEXT_HOME, grossIncome: 60000 });
+  assert.equal(lowIncome.rent.dti.qualifies, false);
+  assert.equal(compareNextHome(PARAMS, { ...NEXT_HOME, grossIncome: 0 }).sell.dti.qualifies, false);
+});
+
+test("a cash purchase needs no mortgage", () => {
+  const { sell } = compareNextHome(PARAMS, { ...NEXT_HOME, price: 80000 });
+  assert.equal(sell.downPayment, 80000);
+  assert.equal(sell.loanAmount, 0);
+  assert.equal(sell.interest, 0);
+  assert.equal(sell.pmiMonths, 0);
+});
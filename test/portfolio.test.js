@@ -0,0 +1,64 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { projectScenario } from "../engine.js";
+import { PORTFOLIO_KEY, combinePortfolio, extendToHorizon, loadPortfolio, removeProperty, saveProperty } from "../portfolio.js";
+import { baseParams, createStorage } from "./fixtures.js";
+
+const PARAMS = baseParams();
+
+test("properties save by name, replace in place and remove", () => {
+  const storage = createStorage({ [PORTFOLIO_KEY]: "{not json" });
+  assert.deepEqual(loadPortfolio(storage), []);
+  saveProperty(storage, "Condo", { rentalPrice: "2500" });
+  saveProperty(storage, "Duplex", { rentalPrice: "3800" });
+  saveProperty(storage, "Condo", { rentalPrice: "2600" });
+  assert.deepEqual(loadPortfolio(storage), [
+    { name: "Condo", values: { rentalPrice: "2600" } },
+    { name: "Duplex", values: { rentalPrice: "3800" } },
+  ]);
+  assert.deepEqual(removeProperty(storage, "Condo").map((p) => p.name), ["Duplex"]);
+});
+
+test("a property sold before the horizon keeps growing at its investment return", () => {
+  const data = projectScenario({ ...PARAMS, yearsToHold: 5 });
+  const series = extendToHorizon(data, 6, 8);
+  assert.equal(series.hold.length, 9);
+  assert.equal(series.hold[5], data[5].simpleRentalNetWorth);
+  assert.ok(Math.abs(series.hold[8] - data[5].simpleRentalNetWorth * 1.06 ** 3) < 1e-6);
+  assert.ok(Math.abs(series.sell[8] - data[0].sellYear0Total * 1.06 ** 8) < 1e-6);
+  assert.equal(series.cashFlow[6], 0);
+  assert.equal(series.cashFlow[3], data[3].netRentalCashFlow);
+});
+
+test("portfolio totals add up each property's series", () => {
+  const condo = projectScenario(PARAMS);
+  const duplex = projectScenario({ ...PARAMS, rentalPrice: 3800, yearsToHold: 6 });
+  const portfolio = combinePortfolio([
+    { name: "Condo", yearlyData: condo, investmentReturn: 6 },
+    { name: "Duplex", yearlyData: duplex, investmentReturn: 6 },
+  ]);
+  assert.equal(portfolio.horizon, 10);
+  assert.equal(portfolio.holdAll.length, 11);
+  assert.equal(portfolio.cashFlow[4], condo[4].netRentalCashFlow + duplex[4].netRentalCashFlow);
+  assert.equal(portfolio.cashFlow[8], condo[8].netRentalCashFlow);
+  assert.equal(portfolio.holdAll[10], portfolio.properties[0].hold[10] + portfolio.properties[1].hold[10]);
+});
+
+test("suggests the sale that leaves the most net worth, or none when keeping everything wins", () => {
+  // A weak rental (rent barely covers costs) and a strong one
+  const weak = projectScenario({ ...PARAMS, rentalPrice: 1200, homeAppreciation: 0 });
+  const strong = projectScenario({ ...PARAMS, rentalPrice: 4500, homeAppreciation: 4 });
+  const portfolio = combinePortfolio([
+    { name: "Strong", yearlyData: strong, investmentReturn: 6 },
+    { name: "Weak", yearlyData: weak, investmentReturn: 6 },
+  ]);
+  assert.equal(portfolio.suggestion.name, "Weak");
+  assert.equal(portfolio.sales[0].name, "Weak");
+  const [strongSeries, weakSeries] = portfolio.properties;
+  assert.equal(portfolio.suggestion.total, strongSeries.hold[10] + weakSeries.sell[10]);
+  assert.ok(portfolio.suggestion.total > portfolio.holdAll[10]);
+
+  const keepers = combinePortfolio([{ name: "Strong", yearlyData: strong, investmentReturn: 6 }]);
+  assert.equal(keepers.suggestion, null);
+  assert.equal(keepers.sales.length, 1);
+});
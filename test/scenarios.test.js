@@ -0,0 +1,68 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  MAX_COMPARED,
+  STORAGE_KEY,
+  deleteScenario,
+  differingKeys,
+  loadScenarios,
+  saveScenario,
+  setCompared,
+} from "../scenarios.js";
+import { createStorage } from "./fixtures.js";
+
+const SAVED_AT = new Date(Date.UTC(2026, 0, 15));
+
+test("missing or corrupt storage loads as no scenarios", () => {
+  assert.deepEqual(loadScenarios(createStorage()), []);
+  assert.deepEqual(loadScenarios(createStorage({ [STORAGE_KEY]: "{not json" })), []);
+  assert.deepEqual(loadScenarios(createStorage({ [STORAGE_KEY]: '{"name":"x"}' })), []);
+});
+
+test("saving a new name appends; saving an existing name overwrites in place", () => {
+  const storage = createStorage();
+  saveScenario(storage, "5 years managed", { yearsToHold: "5" }, SAVED_AT);
+  saveScenario(storage, "10 years self-managed", { yearsToHold: "10" }, SAVED_AT);
+  setCompared(storage, "5 years managed", true);
+  const scenarios = saveScenario(storage, "5 years managed", { yearsToHold: "6" }, SAVED_AT);
+
+  assert.deepEqual(scenarios.map((s) => s.name), ["5 years managed", "10 years self-managed"]);
+  assert.deepEqual(scenarios[0].values, { yearsToHold: "6" });
+  assert.equal(scenarios[0].compared, true);
+  assert.equal(scenarios[0].savedAt, "2026-01-15T00:00:00.000Z");
+  assert.deepEqual(loadScenarios(storage), scenarios);
+});
+
+test("deleting removes only the named scenario", () => {
+  const storage = createStorage();
+  saveScenario(storage, "a", {}, SAVED_AT);
+  saveScenario(storage, "b", {}, SAVED_AT);
+  assert.deepEqual(deleteScenario(storage, "a").map((s) => s.name), ["b"]);
+});
+
+test("no more than MAX_COMPARED scenarios can be compared at once", () => {
+  const storage = createStorage();
+  for (let i = 0; i <= MAX_COMPARED; i++) {
+    saveScenario(storage, `s${i}`, {}, SAVED_AT);
+    setCompared(storage, `s${i}`, true);
+  }
+  let scenarios = loadScenarios(storage);
+  assert.equal(scenarios.filter((s) => s.compared).length, MAX_COMPARED);
+  assert.equal(scenarios[MAX_COMPARED].compared, false);
+
+  // Freeing a slot lets another one in
+  setCompared(storage, "s0", false);
+  scenarios = setCompared(storage, `s${MAX_COMPARED}`, true);
+  assert.equal(scenarios[MAX_COMPARED].compared, true);
+  assert.equal(scenarios.filter((s) => s.compared).length, MAX_COMPARED);
+});
+
+test("differingKeys lists keys that aren't equal across every set", () => {
+  const keys = differingKeys([
+    { yearsToHold: "5", propertyMgmtFee: "8", rentalPrice: "2500" },
+    { yearsToHold: "10", propertyMgmtFee: "0", rentalPrice: "2500" },
+    { yearsToHold: "5", propertyMgmtFee: "8", rentalPrice: "2500", extraPrincipal: "100" },
+  ]);
+  assert.deepEqual(keys, ["yearsToHold", "propertyMgmtFee", "extraPrincipal"]);
+  assert.deepEqual(differingKeys([{ a: "1" }]), []);
+});
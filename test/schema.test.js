@@ -0,0 +1,121 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  SCENARIO_FORMAT,
+  SCHEMA_VERSION,
+  createScenarioFile,
+  inputsToValues,
+  migrateValues,
+  parseScenarioFile,
+  validateScenarioInputs,
+  valuesToInputs,
+} from "../schema.js";
+
+// Form values as the page reads them (all strings)
+const VALUES = {
+  purchasePrice: "400000",
+  loanOriginDate: "2023-01-01",
+  mortgageTerm: "30",
+  primaryResidence: "yes",
+  moveInDate: "",
+  interestRate: "4.5",
+  rateChanges: "5,6.5,,0,0;8,5,15,3000,20000",
+  capitalExpenditures: "6,15000,Roof%2C%20new;9,8000,",
+};
+
+test("form values convert to typed JSON inputs and back unchanged", () => {
+  const inputs = valuesToInputs(VALUES);
+  assert.equal(inputs.purchasePrice, 400000);
+  assert.equal(inputs.mortgageTerm, 30);
+  assert.equal(inputs.primaryResidence, "yes");
+  assert.equal(inputs.moveInDate, "");
+  assert.deepEqual(inputs.rateChanges, [
+    { year: 5, rate: 6.5, closingCosts: 0, cashOut: 0 },
+    { year: 8, rate: 5, term: 15, closingCosts: 3000, cashOut: 20000 },
+  ]);
+  assert.deepEqual(inputs.capitalExpenditures, [
+    { year: 6, amount: 15000, description: "Roof, new" },
+    { year: 9, amount: 8000 },
+  ]);
+  assert.deepEqual(validateScenarioInputs(inputs), []);
+  assert.deepEqual(inputsToValues(inputs), VALUES);
+});
+
+test("blank numbers and unknown keys are left out of the file", () => {
+  const inputs = valuesToInputs({ purchasePrice: "", monthlyPI: "$1,621", heatmapX: "rentalPrice" });
+  assert.deepEqual(inputs, {});
+});
+
+test("scenario files round-trip through download and upload", () => {
+  const file = createScenarioFile(VALUES, { name: "Keep 5 years", savedAt: new Date(Date.UTC(2026, 0, 15)) });
+  assert.equal(file.format, SCENARIO_FORMAT);
+  assert.equal(file.version, SCHEMA_VERSION);
+  assert.equal(file.savedAt, "2026-01-15T00:00:00.000Z");
+
+  const result = parseScenarioFile(JSON.stringify(file));
+  assert.deepEqual(result.errors, []);
+  assert.equal(result.name, "Keep 5 years");
+  assert.deepEqual(result.values, VALUES);
+});
+
+test("upload errors name the problem", () => {
+  assert.match(parseScenarioFile("{oops").errors[0], /^Not valid JSON/);
+  assert.match(parseScenarioFile('{"version":1}').errors[0], /Not a scenario file/);
+  assert.match(
+    parseScenarioFile(JSON.stringify({ format: SCENARIO_FORMAT, version: SCHEMA_VERSION + 1, inputs: {} })).errors[0],
+    /newer than this calculator supports/,
+  );
+  assert.match(parseScenarioFile(JSON.stringify({ format: SCENARIO_FORMAT, version: 1 })).errors[0], /"inputs" must be an object/);
+
+  const { errors, values } = parseScenarioFile(JSON.stringify({
+    format: SCENARIO_FORMAT,
+    version: SCHEMA_VERSION,
+    inputs: {
+      interestRate: 45,
+      yearsToHold: 2.5,
+      filingStatus: "joint",
+      loanOriginDate: "01/02/2023",
+      rateChanges: [{ year: 3 }],
+      purchasePrice: "400000",
+      colour: "blue",
+    },
+  }));
+  assert.equal(values, undefined);
+  assert.deepEqual(errors, [
+    "interestRate must be a number at least 0 and at most 30 (got 45)",
+    "yearsToHold must be a whole number at least 1 and at most 30 (got 2.5)",
+    'filingStatus must be one of "mfj", "single", "hoh", "mfs" (got "joint")',
+    'loanOriginDate must be a date like "2023-01-31", or "" for none (got "01/02/2023")',
+    "rateChanges[0].rate is required",
+    "rateChanges[0].closingCosts is required",
+    "rateChanges[0].cashOut is required",
+    'purchasePrice must be a number at least 0 (got "400000")',
+    'Unknown input "colour"',
+  ]);
+});
+
+test("unversioned links migrate as version 0 and drop the version key", () => {
+  assert.deepEqual(migrateValues({ purchasePrice: "400000" }), { purchasePrice: "400000" });
+  assert.deepEqual(migrateValues({ v: "2", purchasePrice: "400000" }), { purchasePrice: "400000" });
+  // Files from before versioning still load
+  const result = parseScenarioFile(JSON.stringify({ format: SCENARIO_FORMAT, version: 0, inputs: { yearsToHold: 12 } }));
+  assert.deepEqual(result.values, { yearsToHold: "12" });
+});
+
+test("version 1 selling fees keep their all-in meaning", () => {
+  // Links: no itemized selling costs on top of the old total
+  assert.deepEqual(migrateValues({ v: "1", sellingFees: "8" }), {
+    sellingFees: "8",
+    transferTaxRate: "0",
+    sellingTitleFees: "0",
+    sellerConcessions: "0",
+  });
+  // Itemized costs a link already set are kept, and links without selling fees are unchanged
+  assert.deepEqual(migrateValues({ v: "1", sellingFees: "6", sellingTitleFees: "2500" }).sellingTitleFees, "2500");
+  assert.deepEqual(migrateValues({ v: "0", yearsToHold: "12" }), { yearsToHold: "12" });
+
+  // Files keep JSON numbers
+  const result = parseScenarioFile(JSON.stringify({ format: SCENARIO_FORMAT, version: 1, inputs: { sellingFees: 8 } }));
+  assert.deepEqual(result.errors, []);
+  assert.deepEqual(result.values, { sellingFees: "8", transferTaxRate: "0", sellingTitleFees: "0", sellerConcessions: "0" });
+});
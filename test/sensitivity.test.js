@@ -0,0 +1,104 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { projectScenario } from "../engine.js";
+import {
+  breakevenSegments,
+  finalDifference,
+  goalDifference,
+  linspace,
+  runHeatmap,
+  runTornado,
+  solveBreakeven,
+} from "../sensitivity.js";
+import { baseParams } from "./fixtures.js";
+
+const PARAMS = baseParams({ extraPrincipal: 0 });
+
+test("final difference is rent minus sell at the last year", () => {
+  const last = projectScenario(PARAMS).at(-1);
+  assert.equal(finalDifference(PARAMS), last.simpleRentalNetWorth - last.sellYear0Total);
+});
+
+test("tornado bars swing each input and sort widest first", () => {
+  const { base, bars } = runTornado(PARAMS, { swingPercent: 10 });
+  assert.equal(base, finalDifference(PARAMS));
+  const rent = bars.find((b) => b.key === "rentalPrice");
+  assert.equal(rent.lowValue, 2250);
+  assert.ok(Math.abs(rent.highValue - 2750) < 1e-9);
+  assert.ok(rent.low < base && rent.high > base);
+  const widths = bars.map((b) => Math.abs(b.high - b.low));
+  widths.slice(1).forEach((w, i) => assert.ok(w <= widths[i]));
+});
+
+test("tornado skips inputs that are zero", () => {
+  const { bars } = runTornado(PARAMS);
+  assert.ok(!bars.some((b) => b.key === "extraPrincipal"));
+});
+
+test("linspace includes both ends", () => {
+  assert.deepEqual(linspace(0, 10, 5), [0, 2.5, 5, 7.5, 10]);
+});
+
+test("heatmap evaluates every grid cell", () => {
+  const heatmap = runHeatmap(PARAMS, {
+    xKey: "homeAppreciation",
+    xValues: [0, 4],
+    yKey: "investmentReturn",
+    yValues: [2, 6, 10],
+  });
+  assert.equal(heatmap.differences.length, 3);
+  assert.equal(heatmap.differences[0].length, 2);
+  assert.equal(heatmap.differences[2][1], finalDifference({ ...PARAMS, homeAppreciation: 4, investmentReturn: 10 }));
+  // Higher returns favor selling
+  assert.ok(heatmap.differences[2][0] < heatmap.differences[0][0]);
+});
+
+test("breakeven contour interpolates the zero crossing", () => {
+  // Zero runs vertically at x = 0.5
+  const segments = breakevenSegments([
+    [-1, 1],
+    [-1, 1],
+  ]);
+  assert.equal(segments.length, 1);
+  const xs = segments[0].map((p) => p.x);
+  assert.deepEqual(xs, [0.5, 0.5]);
+  assert.deepEqual(segments[0].map((p) => p.y).sort(), [0, 1]);
+});
+
+test("breakeven contour is empty when one strategy always wins", () => {
+  assert.deepEqual(breakevenSegments([[1, 2], [3, 4]]), []);
+});
+
+test("breakeven contour handles saddle cells", () => {
+  const segments = breakevenSegments([
+    [1, -1],
+    [-1, 1],
+  ]);
+  assert.equal(segments.length, 2);
+});
+
+test("goal seek finds the rent where the strategies break even", () => {
+  const result = solveBreakeven(PARAMS, "rentalPrice", { target: "equal", year: 10 }, { min: 0 });
+  assert.ok(result.value > 0);
+  assert.equal(result.rentWinsAbove, true);
+  assert.ok(Math.abs(goalDifference({ ...PARAMS, rentalPrice: result.value }, { target: "equal", year: 10 })) < 1);
+  assert.equal(result.base, finalDifference(PARAMS));
+});
+
+test("goal seek can measure at a year past the horizon, or when renting first pulls ahead", () => {
+  const equal = solveBreakeven(PARAMS, "homeAppreciation", { target: "equal", year: 15 }, { min: -20, max: 30 });
+  assert.ok(Math.abs(goalDifference({ ...PARAMS, homeAppreciation: equal.value }, { target: "equal", year: 15 })) < 1);
+
+  // Renting ahead in some year by Year 5 needs no more rent than being ahead at Year 5 itself
+  const byYear = solveBreakeven(PARAMS, "rentalPrice", { target: "rentWins", year: 5 }, { min: 0 });
+  const atYear = solveBreakeven(PARAMS, "rentalPrice", { target: "equal", year: 5 }, { min: 0 });
+  assert.ok(byYear.value <= atYear.value + 0.01);
+  const data = projectScenario({ ...PARAMS, rentalPrice: byYear.value + 1, yearsToHold: 5 });
+  assert.ok(data.slice(1).some((d) => d.betterOption === "rent"));
+});
+
+test("goal seek reports which strategy always wins when there's no breakeven in range", () => {
+  const result = solveBreakeven({ ...PARAMS, rentalPrice: 9000 }, "vacancyRate", { target: "equal", year: 10 }, { min: 0, max: 5 });
+  assert.equal(result.value, null);
+  assert.equal(result.wins, "rent");
+});
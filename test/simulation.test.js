@@ -0,0 +1,51 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { projectScenario } from "../engine.js";
+import { createRandom, percentile, runSimulation } from "../simulation.js";
+import { baseParams } from "./fixtures.js";
+
+const PARAMS = baseParams();
+
+const VOLATILITY = { homeAppreciation: 5, investmentReturn: 15, annualRentIncrease: 2, costInflation: 1 };
+
+test("percentile interpolates between sorted values", () => {
+  assert.equal(percentile([1, 2, 3, 4, 5], 50), 3);
+  assert.equal(percentile([0, 10], 10), 1);
+  assert.equal(percentile([7], 90), 7);
+});
+
+test("seeded random generator is reproducible", () => {
+  const a = createRandom(42);
+  const b = createRandom(42);
+  for (let i = 0; i < 5; i++) {
+    const value = a();
+    assert.equal(value, b());
+    assert.ok(value >= 0 && value < 1);
+  }
+});
+
+test("zero volatility collapses the bands onto the deterministic projection", () => {
+  const result = runSimulation(PARAMS, { paths: 20 });
+  projectScenario(PARAMS).forEach((d) => {
+    assert.ok(Math.abs(result.rent[d.year].p10 - d.simpleRentalNetWorth) < 0.01);
+    assert.ok(Math.abs(result.sell[d.year].p90 - d.sellYear0Total) < 0.01);
+    assert.equal(result.probabilityRentWins[d.year], d.betterOption === "rent" ? 1 : 0);
+  });
+});
+
+test("bands are ordered and probabilities are between 0 and 1", () => {
+  const result = runSimulation(PARAMS, { paths: 300, volatility: VOLATILITY });
+  assert.equal(result.rent.length, 11);
+  result.rent.concat(result.sell).forEach((band) => {
+    assert.ok(band.p10 <= band.p50 && band.p50 <= band.p90);
+  });
+  result.probabilityRentWins.forEach((p) => assert.ok(p >= 0 && p <= 1));
+  // Year 0 has no randomness yet
+  assert.equal(result.sell[0].p10, result.sell[0].p90);
+  assert.ok(result.sell[10].p90 - result.sell[10].p10 > 50000);
+});
+
+test("same seed gives the same result", () => {
+  const options = { paths: 50, volatility: VOLATILITY, seed: 7 };
+  assert.deepEqual(runSimulation(PARAMS, options), runSimulation(PARAMS, options));
+});
@@ -0,0 +1,63 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  FEDERAL_BRACKETS,
+  addedIncomeTax,
+  bracketTax,
+  incomeTax,
+  stateTransferTax,
+  taxProfileFor,
+} from "../tax-profiles.js";
+import { assertCents } from "./fixtures.js";
+
+test("progressive brackets tax each slice at its own rate", () => {
+  // 2024 single: 10% to $11,600, 12% to $47,150, then 22%
+  assertCents(bracketTax(FEDERAL_BRACKETS.single, 50000), 1160 + 35550 * 0.12 + 2850 * 0.22);
+  assert.equal(bracketTax(FEDERAL_BRACKETS.single, 0), 0);
+  assert.equal(bracketTax(FEDERAL_BRACKETS.single, -100), 0);
+});
+
+test("long-term gains stack on top of ordinary income in the 0/15/20% brackets", () => {
+  const profile = taxProfileFor("single", "none");
+  const withGain = incomeTax(profile, { ordinaryIncome: 40000, capitalGains: 20000 });
+  const without = incomeTax(profile, { ordinaryIncome: 40000 });
+  // $7,025 fits under the 0% ceiling of $47,025; the rest is at 15%
+  assertCents(withGain.federal - without.federal, 12975 * 0.15);
+});
+
+test("recapture is capped at 25% federal and NIIT only hits investment income over the threshold", () => {
+  const single = taxProfileFor("single", "none");
+  const base = incomeTax(single, { ordinaryIncome: 700000 });
+  const recapture = incomeTax(single, { ordinaryIncome: 700000, recapture: 10000 });
+  assertCents(recapture.federal - base.federal, 2500);
+
+  const joint = taxProfileFor("mfj", "none");
+  // $270k of income, $30k of it rental: only the $20k over $250k pays NIIT
+  assertCents(incomeTax(joint, { ordinaryIncome: 270000, investmentIncome: 30000 }).niit, 20000 * 0.038);
+  assert.equal(incomeTax(joint, { ordinaryIncome: 240000, investmentIncome: 30000 }).niit, 0);
+});
+
+test("states tax gains as ordinary income where they have an income tax", () => {
+  const input = { ordinaryIncome: 100000, capitalGains: 50000 };
+  const ca = incomeTax(taxProfileFor("mfj", "CA"), input);
+  assertCents(ca.state, bracketTax(taxProfileFor("mfj", "CA").stateBrackets, 150000));
+  assert.equal(incomeTax(taxProfileFor("mfj", "TX"), input).state, 0);
+  assert.equal(incomeTax(taxProfileFor("mfj", "WA"), input).state, 0); // Real estate is exempt
+  // Head of household uses the state's single brackets
+  assert.equal(taxProfileFor("hoh", "NY").stateBrackets, taxProfileFor("single", "NY").stateBrackets);
+});
+
+test("added tax treats income and brackets as rising with inflation", () => {
+  const profile = taxProfileFor("mfj", "CA");
+  const today = addedIncomeTax(profile, 120000, { ordinary: 20000 });
+  assertCents(addedIncomeTax(profile, 120000, { ordinary: 40000 }, 2), today * 2);
+  // Released losses lower the tax
+  assert.ok(addedIncomeTax(profile, 120000, { ordinary: -10000 }) < 0);
+});
+
+test("state transfer taxes, graduated in Washington", () => {
+  assertCents(stateTransferTax(taxProfileFor("mfj", "WA"), 600000), 525000 * 0.011 + 75000 * 0.0128);
+  assertCents(stateTransferTax(taxProfileFor("mfj", "FL"), 400000), 2800);
+  assert.equal(stateTransferTax(taxProfileFor("mfj", "none"), 400000), 0);
+  assert.equal(stateTransferTax(taxProfileFor("mfj", "unknown"), 400000), 0);
+});
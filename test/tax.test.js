@@ -0,0 +1,132 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  calculateDepreciation,
+  calculateSaleTaxes,
+  calculateSection121,
+  RESIDENTIAL_RECOVERY_YEARS,
+  toMonthIndex,
+} from "../tax.js";
+import { assertCents } from "./fixtures.js";
+
+test("depreciation uses 27.5 years with a mid-month first year", () => {
+  const basis = 275000;
+  assertCents(calculateDepreciation(basis, 1), 10000 * 11.5 / 12);
+  assertCents(calculateDepreciation(basis, 2), 10000);
+  assertCents(calculateDepreciation(basis, 27), 10000);
+  assert.equal(calculateDepreciation(basis, 0), 0);
+});
+
+test("depreciation stops once the basis is used up", () => {
+  const basis = 275000;
+  let total = 0;
+  for (let year = 1; year <= 40; year++) {
+    total += calculateDepreciation(basis, year);
+  }
+  assertCents(total, basis);
+  // Year 28 gets the remaining half month
+  assertCents(calculateDepreciation(basis, 28), basis - 10000 * 11.5 / 12 - 10000 * 26);
+  assert.equal(calculateDepreciation(basis, 29), 0);
+  assert.equal(RESIDENTIAL_RECOVERY_YEARS, 27.5);
+});
+
+test("sale taxes split recapture from capital gain", () => {
+  const taxes = calculateSaleTaxes({
+    gain: 150000,
+    accumulatedDepreciation: 40000,
+    exclusion: 0,
+    capitalGainsRate: 15,
+    ordinaryRate: 35,
+  });
+  assertCents(taxes.recaptureTax, 40000 * 0.25);
+  assertCents(taxes.capitalGainsTax, 110000 * 0.15);
+});
+
+test("exclusion only shelters the non-recapture gain", () => {
+  const taxes = calculateSaleTaxes({
+    gain: 150000,
+    accumulatedDepreciation: 40000,
+    exclusion: 250000,
+    capitalGainsRate: 15,
+    ordinaryRate: 22,
+  });
+  assertCents(taxes.recaptureTax, 40000 * 0.22);
+  assert.equal(taxes.capitalGainsTax, 0);
+});
+
+test("recapture is limited to the actual gain", () => {
+  const taxes = calculateSaleTaxes({
+    gain: 10000,
+    accumulatedDepreciation: 40000,
+    exclusion: 0,
+    capitalGainsRate: 15,
+    ordinaryRate: 35,
+  });
+  assertCents(taxes.recaptureTax, 2500);
+  assert.equal(taxes.capitalGainsTax, 0);
+  assert.deepEqual(calculateSaleTaxes({
+    gain: -5000,
+    accumulatedDepreciation: 40000,
+    exclusion: 0,
+    capitalGainsRate: 15,
+    ordinaryRate: 35,
+  }), { recaptureTax: 0, capitalGainsTax: 0 });
+});
+
+const month = (y, m) => y * 12 + (m - 1);
+
+test("toMonthIndex counts calendar months", () => {
+  assert.equal(toMonthIndex(new Date(2026, 2, 31)) - toMonthIndex(new Date(2025, 2, 1)), 12);
+});
+
+test("2-of-5 rule holds until 36 months after moving out", () => {
+  const home = {
+    filingStatus: "mfj",
+    acquiredMonth: month(2018, 6),
+    moveInMonth: month(2018, 6),
+    moveOutMonth: month(2024, 6),
+  };
+  const lastDay = calculateSection121({ ...home, saleMonth: month(2027, 6) });
+  assert.equal(lastDay.exclusionCap, 500000);
+  assert.equal(lastDay.monthsLeft, 0);
+  const tooLate = calculateSection121({ ...home, saleMonth: month(2027, 7) });
+  assert.equal(tooLate.exclusionCap, 0);
+  assert.equal(calculateSection121({ ...home, saleMonth: month(2025, 6) }).monthsLeft, 24);
+});
+
+test("partial exclusion prorates the cap by months of use", () => {
+  const home = {
+    filingStatus: "single",
+    acquiredMonth: month(2024, 1),
+    moveInMonth: month(2024, 1),
+    moveOutMonth: month(2025, 7),
+    saleMonth: month(2025, 7),
+  };
+  assert.equal(calculateSection121(home).exclusionCap, 0);
+  assertCents(calculateSection121({ ...home, unforeseenCircumstances: true }).exclusionCap, 250000 * 18 / 24);
+  assert.equal(calculateSection121(home).monthsLeft, 0);
+});
+
+test("nonqualified use only counts rental time before moving in, from 2009", () => {
+  const home = {
+    filingStatus: "mfj",
+    acquiredMonth: month(2007, 1),
+    moveInMonth: month(2011, 1),
+    moveOutMonth: month(2015, 1),
+    saleMonth: month(2017, 1),
+  };
+  // 2009-2010 counts (24 months), 2007-2008 doesn't; time after moving out never does
+  assertCents(calculateSection121(home).nonqualifiedUseFraction, 24 / 120);
+});
+
+test("nonqualified use fraction shrinks the excludable gain", () => {
+  const taxes = calculateSaleTaxes({
+    gain: 300000,
+    accumulatedDepreciation: 0,
+    exclusion: 500000,
+    nonqualifiedUseFraction: 0.25,
+    capitalGainsRate: 20,
+    ordinaryRate: 24,
+  });
+  assertCents(taxes.capitalGainsTax, 75000 * 0.2);
+});
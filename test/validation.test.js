@@ -0,0 +1,45 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { projectLoan } from "../engine.js";
+import { assumptionWarnings, checkNumber } from "../validation.js";
+import { baseParams } from "./fixtures.js";
+
+const PARAMS = baseParams();
+
+const warningsFor = (params, ownerOutOfState) =>
+  assumptionWarnings(params, projectLoan(params), ownerOutOfState).map((warning) => warning.type);
+
+test("numbers outside their range are reported with the nearest allowed value", () => {
+  const range = { min: 0, max: 30 };
+  assert.deepEqual(checkNumber(4.5, range), { value: 4.5, problem: null });
+  assert.deepEqual(checkNumber(45, range), { value: 30, problem: "max" });
+  assert.deepEqual(checkNumber(-1, range), { value: 0, problem: "min" });
+  assert.deepEqual(checkNumber(7.5, { min: 1, max: 30, integer: true }), { value: 7, problem: "integer" });
+  assert.deepEqual(checkNumber(7, { min: 1, max: 30, integer: true }), { value: 7, problem: null });
+  assert.deepEqual(checkNumber(1e9, {}), { value: 1e9, problem: null });
+
+  const unreadable = checkNumber(NaN, range);
+  assert.equal(unreadable.problem, "number");
+  assert.ok(Number.isNaN(unreadable.value));
+});
+
+test("sensible inputs have no warnings", () => {
+  assert.deepEqual(warningsFor(PARAMS, false), []);
+  assert.deepEqual(warningsFor({ ...PARAMS, propertyMgmtFee: 0 }, false), []);
+  assert.deepEqual(warningsFor({ ...PARAMS, originalLoanAmount: 0 }, false), []);
+});
+
+test("cross-input warnings name the inputs involved", () => {
+  const overPrice = assumptionWarnings({ ...PARAMS, originalLoanAmount: 450000 }, projectLoan(PARAMS));
+  assert.deepEqual(overPrice, [{ type: "loanOverPrice", inputs: ["originalLoanAmount", "purchasePrice"] }]);
+
+  assert.deepEqual(warningsFor({ ...PARAMS, propertyMgmtFee: 0 }, true), ["noManager"]);
+  assert.deepEqual(warningsFor({ ...PARAMS, loanOriginDate: "1990-01-15" }, false), ["paidOff"]);
+
+  // A 15-year loan from 2023 ends in 2038, inside a 15-year hold but not a 10-year one
+  const shortLoan = { ...PARAMS, mortgageTerm: 15 };
+  assert.deepEqual(warningsFor(shortLoan, false), []);
+  assert.deepEqual(warningsFor({ ...shortLoan, yearsToHold: 15 }, false), ["holdPastTerm"]);
+  // Prepaying early is a choice, not a mistake
+  assert.deepEqual(warningsFor({ ...PARAMS, extraPrincipal: 3000 }, false), []);
+});
@@ -0,0 +1,54 @@
+/**
+ * Validation
+ * Range checks for typed numbers, and warnings about inputs that are allowed but probably
+ * not what was meant. Nothing is rewritten: the form keeps what was typed, and the
+ * calculation uses the nearest allowed value until it's fixed.
+ */
+
+/**
+ * Check a typed number against its allowed range
+ * @param {number} value - NaN if the text isn't a number
+ * @param {Object} range - { min, max, integer }, as in SCENARIO_FIELDS
+ * @returns {Object} {
+ *   value,   // to calculate with: the typed value, or the nearest allowed one (NaN if not a number)
+ *   problem  // null, or why the typed value can't be used: "number", "integer", "min" or "max"
+ * }
+ */
+export function checkNumber(value, { min = -Infinity, max = Infinity, integer = false }) {
+  if (isNaN(value)) return { value: NaN, problem: "number" };
+  if (value < min) return { value: min, problem: "min" };
+  if (value > max) return { value: max, problem: "max" };
+  if (integer && !Number.isInteger(value)) return { value: Math.trunc(value), problem: "integer" };
+  return { value, problem: null };
+}
+
+/**
+ * Sanity checks across inputs. Each warning names the inputs involved, so they can be
+ * pointed out where they're entered.
+ * @param {Object} params - projectScenario params
+ * @param {Object} loan - projectLoan result for the same params
+ * @param {boolean} [ownerOutOfState=false] - Whether the owner lives away from the property
+ * @returns {Object[]} [{ type, inputs }], where type is one of:
+ *   "loanOverPrice" - the original loan is more than the purchase price
+ *   "paidOff"       - the loan was paid off before today, so the hold has no mortgage payments
+ *   "noManager"     - no management fee, though the owner lives out of state
+ *   "holdPastTerm"  - the hold runs past the loan's scheduled payoff (before any prepayments)
+ */
+export function assumptionWarnings(params, loan, ownerOutOfState = false) {
+  const warnings = [];
+  if (params.originalLoanAmount > params.purchasePrice) {
+    warnings.push({ type: "loanOverPrice", inputs: ["originalLoanAmount", "purchasePrice"] });
+  }
+
+  const holdMonths = (params.yearsToHold - 1) * 12 + (params.saleMonth || 12);
+  if (params.originalLoanAmount > 0 && loan.schedule.payoffPayment <= loan.monthsElapsed) {
+    warnings.push({ type: "paidOff", inputs: ["loanOriginDate", "mortgageTerm"] });
+  } else if (params.originalLoanAmount > 0 && loan.baseline.payoffPayment < loan.monthsElapsed + holdMonths) {
+    warnings.push({ type: "holdPastTerm", inputs: ["yearsToHold", "mortgageTerm"] });
+  }
+
+  if (ownerOutOfState && params.propertyMgmtFee === 0) {
+    warnings.push({ type: "noManager", inputs: ["propertyMgmtFee", "ownerLocation"] });
+  }
+  return warnings;
+}